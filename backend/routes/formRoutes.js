@@ -9,19 +9,84 @@ import path from 'path';
 import fs from 'fs/promises';
 import { v4 as uuidv4 } from 'uuid';
 import { processForm, validateFieldValue } from '../services/ocrService.js';
-import { generateNextQuestion, isAPIConfigured } from '../services/aiService.js';
-import { generateFilledPDF, createSummaryPDF } from '../services/pdfService.js';
+import {
+  generateNextQuestion,
+  extractFieldValues,
+  isAPIConfigured,
+  getProviderName
+} from '../services/aiService.js';
+import {
+  buildFilledPDF,
+  buildSummaryPDF,
+  generateFilledPDF,
+  createSummaryPDF,
+  findUnsupportedValues,
+  getMimeType
+} from '../services/pdfService.js';
+import { matchProfileToFields } from '../services/profileService.js';
+import {
+  DATA_EXPORT_FORMATS,
+  buildDataExport,
+  hasAcroFormFields
+} from '../services/dataExportService.js';
+import {
+  IMPORT_FORMATS,
+  detectImportFormat,
+  parseImportedValues,
+  matchImportedValues
+} from '../services/dataImportService.js';
+import {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  isSupportedLanguage
+} from '../services/languageService.js';
+import { formLocale, isDateFormat } from '../services/validationService.js';
+import {
+  applicableValues,
+  checkCondition,
+  evaluateRules,
+  hiddenFieldIds,
+  parseRules,
+  requiredFieldIds,
+  rulesForFields
+} from '../services/ruleService.js';
+import { renderPDFPages } from '../utils/pdfRenderer.js';
+import {
+  findNextPendingFieldIndex,
+  isFieldHidden,
+  isFieldPending,
+  isFormComplete,
+  isSkipCommand,
+  parseGoToCommand,
+  resolveCurrentFieldIndex
+} from '../services/formFlowService.js';
 import sessionStore from '../utils/sessionStore.js';
+import profileStore from '../utils/profileStore.js';
+import templateStore from '../utils/templateStore.js';
+import fileLifecycle, { UPLOAD_DIR } from '../utils/fileLifecycle.js';
 
 const router = express.Router();
 
+// Answers containing one of these may hold values for several fields
+const MULTI_VALUE_SEPARATOR = /[,;\n]/;
+
+// Answers to free-text fields often contain commas and line breaks ("Springfield, IL"),
+// so only a semicolon marks them as listing several values
+const FREE_TEXT_TYPES = ['text', 'address'];
+const FREE_TEXT_MULTI_VALUE_SEPARATOR = /;/;
+
+// PDF pages are previewed at 1.5x their size in points
+const PAGE_PREVIEW_SCALE = 1.5;
+
+// Conditions a schema field can carry (see ruleService)
+const FIELD_CONDITIONS = ['visibleIf', 'requiredIf'];
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: async (req, file, cb) => {
-    const uploadDir = path.join(process.cwd(), '..', 'uploads');
     try {
-      await fs.mkdir(uploadDir, { recursive: true });
-      cb(null, uploadDir);
+      await fs.mkdir(UPLOAD_DIR, { recursive: true });
+      cb(null, UPLOAD_DIR);
     } catch (error) {
       cb(error, null);
     }
@@ -47,9 +112,51 @@ const upload = multer({
   }
 });
 
+// Imported value files (JSON/XFDF) are read in memory, never stored
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024
+  }
+});
+
+/**
+ * Prefill a session's fields with values the user still has to confirm
+ * The conversation then continues at the first field the values did not cover
+ * @param {string} sessionId
+ * @param {object} values - { fieldId: value } pairs
+ */
+function prefillSession(sessionId, values) {
+  const session = sessionStore.getSession(sessionId);
+
+  sessionStore.prefillFields(sessionId, values);
+  updateCompletion(sessionId);
+
+  const nextIndex = findNextPendingFieldIndex(sessionStore.getSession(sessionId), resolveCurrentFieldIndex(session));
+  sessionStore.setCurrentFieldIndex(sessionId, nextIndex);
+}
+
+/**
+ * Prefill a session's empty fields from a saved profile
+ * @param {string} sessionId
+ * @param {object} profile - Saved profile
+ * @returns {object} { fieldId: value } pairs that were prefilled
+ */
+function applyProfile(sessionId, profile) {
+  const session = sessionStore.getSession(sessionId);
+  const matches = matchProfileToFields(profile, session.formSchema.fields, session.filledFields, formLocale(session.formSchema));
+
+  prefillSession(sessionId, matches);
+  return matches;
+}
+
 /**
  * POST /api/upload-form
  * Upload and process form
+ * An optional `profileId` form field prefills the new session from that profile.
+ * An optional `language` form field ('en', 'hi', 'es', 'fr' or 'auto', the default)
+ * selects the OCR language pack and keyword table and the language of the conversation;
+ * 'auto' detects the language from the form
  */
 router.post('/upload-form', upload.single('form'), async (req, res) => {
   try {
@@ -57,15 +164,42 @@ router.post('/upload-form', upload.single('form'), async (req, res) => {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
+    const { profileId } = req.body;
+    const requestedLanguage = req.body.language || 'auto';
+    if (requestedLanguage !== 'auto' && !isSupportedLanguage(requestedLanguage)) {
+      await fs.unlink(req.file.path);
+      return res.status(400).json({
+        error: 'Unsupported language',
+        message: `Language must be "auto" or one of: ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}`
+      });
+    }
+    const language = requestedLanguage === 'auto' ? null : requestedLanguage;
+
+    const profile = profileId ? profileStore.getProfile(profileId) : null;
+    if (profileId && !profile) {
+      await fs.unlink(req.file.path);
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
     console.log('Processing uploaded file:', req.file.filename);
 
-    // Process the form with OCR
-    const formSchema = await processForm(req.file.path, req.file.mimetype);
+    // Process the form with OCR, or reuse the saved template of a known form
+    const formSchema = await processForm(req.file.path, req.file.mimetype, {
+      findTemplate: (fingerprint) => templateStore.findByFingerprint(fingerprint),
+      language
+    });
 
     // Create session
     const sessionId = uuidv4();
     sessionStore.createSession(sessionId, formSchema);
-    sessionStore.setOriginalFilePath(sessionId, req.file.path);
+    sessionStore.setOriginalFilePath(sessionId, req.file.path, req.file.originalname);
+    // The chosen language wins over a saved template's
+    sessionStore.setLanguage(sessionId, language || formSchema.language || DEFAULT_LANGUAGE);
+
+    if (profile) {
+      const prefilled = applyProfile(sessionId, profile);
+      console.log(`Prefilled ${Object.keys(prefilled).length} fields from profile "${profile.name}"`);
+    }
 
     // Generate first question
     const session = sessionStore.getSession(sessionId);
@@ -78,6 +212,11 @@ router.post('/upload-form', upload.single('form'), async (req, res) => {
       success: true,
       sessionId: sessionId,
       formSchema: formSchema,
+      language: session.language,
+      filledFields: session.filledFields,
+      prefilledFields: session.prefilledFields,
+      ...ruleState(session),
+      isComplete: session.isComplete,
       firstQuestion: firstQuestion
     });
   } catch (error) {
@@ -99,92 +238,987 @@ router.post('/upload-form', upload.single('form'), async (req, res) => {
   }
 });
 
+/**
+ * Build a response that asks for the same field again
+ * @param {object|undefined} field - Field being asked (undefined once the conversation is over)
+ * @param {string} question - Explanation shown to the user
+ * @param {boolean} isComplete - Whether the form is already complete
+ * @returns {object} Retry response
+ */
+function buildRetryResponse(field, question, isComplete) {
+  return {
+    question,
+    ...(field && {
+      fieldId: field.id,
+      fieldLabel: field.label,
+      fieldType: field.type,
+      ...(field.options && { options: field.options })
+    }),
+    isComplete,
+    validationError: true
+  };
+}
+
+/**
+ * Mark the session complete or incomplete from its required fields
+ * @param {string} sessionId
+ * @returns {boolean} True if the form is complete
+ */
+function updateCompletion(sessionId) {
+  const complete = isFormComplete(sessionStore.getSession(sessionId));
+  if (complete) {
+    sessionStore.markComplete(sessionId);
+  } else {
+    sessionStore.markIncomplete(sessionId);
+  }
+  return complete;
+}
+
+/**
+ * Fields hidden and required now and cross-field rules the answers break, for the UI
+ * @param {object} session - Session data
+ * @returns {object} { hiddenFields: [fieldId], requiredFields: [fieldId],
+ *   ruleViolations: [{ ruleId, fieldIds, message }] }
+ */
+function ruleState(session) {
+  const { formSchema, filledFields } = session;
+  return {
+    hiddenFields: [...hiddenFieldIds(formSchema.fields, filledFields)],
+    requiredFields: [...requiredFieldIds(formSchema, filledFields)],
+    ruleViolations: evaluateRules(formSchema, filledFields, formLocale(formSchema))
+  };
+}
+
+/**
+ * Cross-field rules that new values would break
+ * @param {object} session - Session data
+ * @param {object} values - { fieldId: value } pairs about to be stored
+ * @returns {Array<object>} Violations of rules involving one of the values
+ */
+function findRuleViolations(session, values) {
+  const { formSchema } = session;
+  return evaluateRules(formSchema, { ...session.filledFields, ...values }, formLocale(formSchema))
+    .filter(violation => violation.fieldIds.some(fieldId => fieldId in values));
+}
+
+/**
+ * Check whether an answer may list values for several fields
+ * @param {object} field - Field the answer is for
+ * @param {string} message - User message
+ * @returns {boolean}
+ */
+function mayListSeveralValues(field, message) {
+  const separator = FREE_TEXT_TYPES.includes(field.type) ? FREE_TEXT_MULTI_VALUE_SEPARATOR : MULTI_VALUE_SEPARATOR;
+  return separator.test(message);
+}
+
+/**
+ * Validate and store values extracted from a multi-value answer
+ * Values that contradict another answer (see ruleService) are rejected too;
+ * values for fields an earlier value hid (visibleIf) are dropped
+ * @param {string} sessionId
+ * @param {Array} fields - Form fields
+ * @param {object} values - { fieldId: value } pairs from extractFieldValues
+ * @returns {object} { filled: { fieldId: value }, rejected: [{ fieldId, fieldLabel, value, message }] }
+ */
+function storeExtractedValues(sessionId, fields, values) {
+  const filled = {};
+  const rejected = [];
+  const locale = formLocale(sessionStore.getSession(sessionId).formSchema);
+
+  Object.entries(values).forEach(([fieldId, value]) => {
+    const field = fields.find(f => f.id === fieldId);
+    if (isFieldHidden(sessionStore.getSession(sessionId), field)) return;
+
+    const validation = validateFieldValue(field.type, value, field, locale);
+    const [violation] = validation.valid
+      ? findRuleViolations(sessionStore.getSession(sessionId), { [fieldId]: validation.value })
+      : [];
+
+    if (validation.valid && !violation) {
+      sessionStore.updateField(sessionId, fieldId, validation.value);
+      filled[fieldId] = validation.value;
+    } else {
+      rejected.push({ fieldId, fieldLabel: field.label, value, message: (violation || validation).message });
+    }
+  });
+
+  return { filled, rejected };
+}
+
+/**
+ * Handle a chat message for the session's current field
+ * Understands "go to field X" and "skip" (optional fields only); anything else
+ * is validated and stored as the answer. Answers listing several values
+ * ("John Smith, john@x.com, born 12/03/1990") fill every field they match.
+ * Fields the answers hide (visibleIf) are passed over
+ * @param {string} sessionId
+ * @param {object} session - Session data
+ * @param {string} message - User message
+ * @returns {Promise<object>} { response } when the reply is already decided (validation error or
+ *   no field left to ask); otherwise { filledFields, skippedFields, rejectedFields } and the
+ *   next question still has to be generated
+ */
+async function processChatAnswer(sessionId, session, message) {
+  // Add user message to history
+  sessionStore.addMessage(sessionId, 'user', message);
+
+  const { fields } = session.formSchema;
+
+  // Get current field (the one asked, even if an answer hid the stored one since)
+  const currentIndex = resolveCurrentFieldIndex(session);
+  const currentField = fields[currentIndex];
+
+  // Values stored and fields skipped by this message, so the UI can update its preview
+  let newlyFilled = {};
+  const newlySkipped = [];
+  let rejectedFields = [];
+
+  // "go to field X" makes any field the current question; nothing is stored
+  const goTo = parseGoToCommand(message, fields);
+  if (goTo) {
+    if (!goTo.field) {
+      const fieldList = fields.map((field, index) => `${index + 1}. ${field.label}`).join(', ');
+      const retryResponse = buildRetryResponse(
+        currentField,
+        `No field matches "${goTo.target}". The fields are: ${fieldList}`,
+        session.isComplete
+      );
+      sessionStore.addMessage(sessionId, 'assistant', JSON.stringify(retryResponse));
+      return { response: retryResponse };
+    }
+
+    if (isFieldHidden(session, goTo.field)) {
+      const retryResponse = buildRetryResponse(
+        currentField,
+        `${goTo.field.label} doesn't apply given your earlier answers.`,
+        session.isComplete
+      );
+      sessionStore.addMessage(sessionId, 'assistant', JSON.stringify(retryResponse));
+      return { response: retryResponse };
+    }
+
+    sessionStore.setCurrentFieldIndex(sessionId, fields.indexOf(goTo.field));
+    return { filledFields: newlyFilled, skippedFields: newlySkipped, rejectedFields };
+  }
+
+  if (currentField) {
+    const currentRequired = requiredFieldIds(session.formSchema, session.filledFields).has(currentField.id);
+    if (isSkipCommand(message, !currentRequired)) {
+      if (currentRequired) {
+        const retryResponse = buildRetryResponse(
+          currentField,
+          `${currentField.label} is required, so it can't be skipped. Please provide your ${currentField.label}.`,
+          session.isComplete
+        );
+        sessionStore.addMessage(sessionId, 'assistant', JSON.stringify(retryResponse));
+        return { response: retryResponse };
+      }
+
+      sessionStore.skipField(sessionId, currentField.id);
+      newlySkipped.push(currentField.id);
+    } else {
+      // An answer listing several values may fill other fields too
+      if (mayListSeveralValues(currentField, message)) {
+        const values = await extractFieldValues(session, message);
+        const { filled, rejected } = storeExtractedValues(sessionId, fields, values);
+        newlyFilled = filled;
+        rejectedFields = rejected;
+      }
+
+      // Otherwise the whole message answers the current field
+      if (Object.keys(newlyFilled).length === 0) {
+        // Validate user input
+        const validation = validateFieldValue(currentField.type, message, currentField, formLocale(session.formSchema));
+
+        if (!validation.valid) {
+          // Invalid input - ask again
+          const retryResponse = buildRetryResponse(
+            currentField,
+            `${validation.message}. Please try again: ${currentField.label}`,
+            session.isComplete
+          );
+
+          sessionStore.addMessage(sessionId, 'assistant', JSON.stringify(retryResponse));
+
+          return { response: retryResponse };
+        }
+
+        // The answer must not contradict the other answers (e.g. an end date before the start date)
+        const [violation] = findRuleViolations(session, { [currentField.id]: validation.value });
+        if (violation) {
+          const retryResponse = buildRetryResponse(
+            currentField,
+            `${violation.message}. Please try again: ${currentField.label}`,
+            session.isComplete
+          );
+
+          sessionStore.addMessage(sessionId, 'assistant', JSON.stringify(retryResponse));
+
+          return { response: retryResponse };
+        }
+
+        // Valid input - store it (choice answers are stored as the matched option)
+        sessionStore.updateField(sessionId, currentField.id, validation.value);
+        newlyFilled[currentField.id] = validation.value;
+      }
+    }
+
+    updateCompletion(sessionId);
+
+    // Move to the next field that still needs an answer (the current one
+    // stays if a multi-value answer did not cover it)
+    const nextIndex = findNextPendingFieldIndex(
+      sessionStore.getSession(sessionId),
+      currentIndex
+    );
+    sessionStore.setCurrentFieldIndex(sessionId, nextIndex);
+
+    // Every field is answered or skipped, so all required fields are filled
+    if (nextIndex >= fields.length) {
+      const completeResponse = {
+        question: 'Great! All fields have been filled successfully. You can now export your completed form as a PDF.',
+        isComplete: true
+      };
+
+      sessionStore.addMessage(sessionId, 'assistant', JSON.stringify(completeResponse));
+
+      return {
+        response: {
+          ...completeResponse,
+          filledFields: newlyFilled,
+          skippedFields: newlySkipped,
+          rejectedFields,
+          ...ruleState(sessionStore.getSession(sessionId))
+        }
+      };
+    }
+  }
+
+  return { filledFields: newlyFilled, skippedFields: newlySkipped, rejectedFields };
+}
+
+/**
+ * Check the chat request and load its session
+ * Sends the error response itself when the request cannot be handled
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @returns {object|null} Session data, or null if a response was sent
+ */
+function getChatSession(req, res) {
+  const { sessionId, message } = req.body;
+
+  if (!sessionId || !message) {
+    res.status(400).json({ error: 'Session ID and message are required' });
+    return null;
+  }
+
+  // Check if API is configured
+  if (!isAPIConfigured()) {
+    res.status(503).json({
+      error: 'AI service not configured',
+      message: `The ${getProviderName()} AI provider is not configured. Please check your .env file.`
+    });
+    return null;
+  }
+
+  // Get session
+  const session = sessionStore.getSession(sessionId);
+  if (!session) {
+    res.status(404).json({ error: 'Session not found' });
+    return null;
+  }
+
+  return session;
+}
+
 /**
  * POST /api/chat
  * Handle chat interaction
  */
 router.post('/chat', async (req, res) => {
   try {
+    const session = getChatSession(req, res);
+    if (!session) return;
+
     const { sessionId, message } = req.body;
+    const outcome = await processChatAnswer(sessionId, session, message);
+    if (outcome.response) {
+      return res.json(outcome.response);
+    }
 
-    if (!sessionId || !message) {
-      return res.status(400).json({ error: 'Session ID and message are required' });
+    // Generate next question
+    const updatedSession = sessionStore.getSession(sessionId);
+    const nextQuestion = await generateNextQuestion(updatedSession, message);
+
+    // Store AI response
+    sessionStore.addMessage(sessionId, 'assistant', JSON.stringify(nextQuestion));
+
+    res.json({
+      ...nextQuestion,
+      isComplete: updatedSession.isComplete,
+      filledFields: outcome.filledFields,
+      skippedFields: outcome.skippedFields,
+      rejectedFields: outcome.rejectedFields,
+      ...ruleState(updatedSession)
+    });
+  } catch (error) {
+    console.error('Chat Error:', error);
+    res.status(500).json({
+      error: 'Failed to process message',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/chat/stream
+ * Handle chat interaction, streaming the next question over Server-Sent Events
+ * Emits `token` events ({ text }) while the question is generated, then a single
+ * `done` event with the same structured response /api/chat returns
+ */
+router.post('/chat/stream', async (req, res) => {
+  const session = getChatSession(req, res);
+  if (!session) return;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Stop generating if the client goes away mid-stream
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      abortController.abort();
+    }
+  });
+
+  try {
+    const { sessionId, message } = req.body;
+    const outcome = await processChatAnswer(sessionId, session, message);
+    if (outcome.response) {
+      sendEvent('done', outcome.response);
+      return res.end();
+    }
+
+    // Generate next question, relaying its text as it arrives
+    const updatedSession = sessionStore.getSession(sessionId);
+    const nextQuestion = await generateNextQuestion(updatedSession, message, {
+      onQuestionToken: (text) => sendEvent('token', { text }),
+      signal: abortController.signal
+    });
+
+    // Store AI response
+    sessionStore.addMessage(sessionId, 'assistant', JSON.stringify(nextQuestion));
+
+    sendEvent('done', {
+      ...nextQuestion,
+      isComplete: updatedSession.isComplete,
+      filledFields: outcome.filledFields,
+      skippedFields: outcome.skippedFields,
+      rejectedFields: outcome.rejectedFields,
+      ...ruleState(updatedSession)
+    });
+    res.end();
+  } catch (error) {
+    console.error('Chat Stream Error:', error);
+    sendEvent('error', {
+      error: 'Failed to process message',
+      message: error.message
+    });
+    res.end();
+  }
+});
+
+/**
+ * Recompute whether a session is complete after its values changed
+ * The conversation stays on its current field while that still needs an answer;
+ * otherwise (the field was answered or hidden, or the conversation had run out
+ * of fields) it moves to the first pending field, so no answer is overwritten
+ * @param {string} sessionId
+ * @returns {boolean} True if the conversation now asks about another field
+ */
+function refreshCompletion(sessionId) {
+  updateCompletion(sessionId);
+
+  const session = sessionStore.getSession(sessionId);
+  const { fields } = session.formSchema;
+  const currentField = fields[session.currentFieldIndex];
+  if (currentField && isFieldPending(session, currentField)) {
+    return false;
+  }
+
+  const nextIndex = findNextPendingFieldIndex(session, 0);
+  if (nextIndex >= fields.length && session.currentFieldIndex >= fields.length) {
+    return false;
+  }
+
+  sessionStore.setCurrentFieldIndex(sessionId, nextIndex);
+  return true;
+}
+
+/**
+ * PUT /api/session/:sessionId/fields/:fieldId
+ * Correct or clear a previously answered field
+ * Body: { value } - an empty or missing value clears the field
+ * A value contradicting another answer is stored and reported in ruleViolations,
+ * as either of the two answers may be the one to fix
+ */
+router.put('/session/:sessionId/fields/:fieldId', async (req, res) => {
+  try {
+    const { sessionId, fieldId } = req.params;
+    const { value } = req.body;
+
+    const session = sessionStore.getSession(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
     }
 
-    // Check if API is configured
-    if (!isAPIConfigured()) {
-      return res.status(503).json({
-        error: 'AI service not configured',
-        message: 'NVIDIA API key is not set. Please configure your .env file.'
+    const field = session.formSchema.fields.find(f => f.id === fieldId);
+    if (!field) {
+      return res.status(404).json({ error: 'Field not found' });
+    }
+
+    if (value === undefined || value === null || String(value).trim() === '') {
+      sessionStore.clearField(sessionId, fieldId);
+    } else {
+      const validation = validateFieldValue(field.type, String(value), field, formLocale(session.formSchema));
+      if (!validation.valid) {
+        return res.status(400).json({
+          error: 'Invalid value',
+          message: validation.message
+        });
+      }
+      sessionStore.updateField(sessionId, fieldId, validation.value);
+    }
+
+    const reopened = refreshCompletion(sessionId);
+    const updatedSession = sessionStore.getSession(sessionId);
+
+    // Ask the next question if the conversation moved on: to the cleared value
+    // when it had ended, or past a field the edit answered or hid
+    let nextQuestion = null;
+    if (reopened) {
+      nextQuestion = await generateNextQuestion(
+        updatedSession,
+        updatedSession.filledFields[fieldId]
+          ? `I changed my answer for "${field.label}". Please continue with the next question.`
+          : `I removed my answer for "${field.label}". Please continue with the next question.`
+      );
+      sessionStore.addMessage(sessionId, 'assistant', JSON.stringify(nextQuestion));
+    }
+
+    res.json({
+      success: true,
+      fieldId,
+      value: updatedSession.filledFields[fieldId] ?? null,
+      filledFields: updatedSession.filledFields,
+      skippedFields: updatedSession.skippedFields || [],
+      prefilledFields: updatedSession.prefilledFields || [],
+      ...ruleState(updatedSession),
+      isComplete: updatedSession.isComplete,
+      nextQuestion
+    });
+  } catch (error) {
+    console.error('Update Field Error:', error);
+    res.status(500).json({
+      error: 'Failed to update field',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/session/:sessionId/current-field
+ * Make any field the current question (e.g. clicked in the preview)
+ * Body: { fieldId }
+ */
+router.put('/session/:sessionId/current-field', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { fieldId } = req.body;
+
+    const session = sessionStore.getSession(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const fieldIndex = session.formSchema.fields.findIndex(f => f.id === fieldId);
+    if (fieldIndex === -1) {
+      return res.status(404).json({ error: 'Field not found' });
+    }
+
+    const field = session.formSchema.fields[fieldIndex];
+    if (isFieldHidden(session, field)) {
+      return res.status(400).json({
+        error: 'Field not applicable',
+        message: `${field.label} doesn't apply given the current answers.`
       });
     }
 
-    // Get session
+    sessionStore.setCurrentFieldIndex(sessionId, fieldIndex);
+
+    const updatedSession = sessionStore.getSession(sessionId);
+    const question = await generateNextQuestion(
+      updatedSession,
+      `I'd like to answer "${field.label}" now.`
+    );
+    sessionStore.addMessage(sessionId, 'assistant', JSON.stringify(question));
+
+    res.json({ ...question, isComplete: updatedSession.isComplete });
+  } catch (error) {
+    console.error('Set Current Field Error:', error);
+    res.status(500).json({
+      error: 'Failed to change the current field',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Check the fields of a schema edit and merge them with the session's current fields
+ * Existing fields keep their id (and anything the request does not override, such as
+ * coordinates, the PDF field name or a visibleIf/requiredIf condition); fields without a
+ * known id are new. A kept condition is dropped when the field it looks at was removed
+ * @param {Array} currentFields - Fields in the session now
+ * @param {any} requestedFields - Fields from the request, in their new order
+ * @returns {object} { fields } or { error } describing the first problem
+ */
+function parseSchemaFields(currentFields, requestedFields) {
+  if (!Array.isArray(requestedFields) || requestedFields.length === 0) {
+    return { error: 'At least one field is required' };
+  }
+
+  const currentById = new Map(currentFields.map(field => [field.id, field]));
+  const usedIds = new Set();
+  let nextNumber = Math.max(
+    0,
+    ...[...currentById.keys()].map(id => parseInt(id.replace('field_', ''), 10) || 0)
+  ) + 1;
+
+  const fields = [];
+  // "fieldId.condition" of conditions that come from the request, so a bad one is an error
+  const requestedConditions = new Set();
+  for (const [index, requested] of requestedFields.entries()) {
+    const label = typeof requested?.label === 'string' ? requested.label.trim() : '';
+    const type = typeof requested?.type === 'string' ? requested.type.trim() : '';
+
+    if (!label) {
+      return { error: `Field ${index + 1} needs a label` };
+    }
+    if (!type) {
+      return { error: `"${label}" needs a type` };
+    }
+
+    const options = Array.isArray(requested.options)
+      ? requested.options.map(option => String(option).trim()).filter(Boolean)
+      : [];
+    if (type === 'choice' && options.length === 0) {
+      return { error: `"${label}" is a choice field and needs at least one option` };
+    }
+
+    const format = typeof requested.format === 'string' ? requested.format.trim().toUpperCase() : '';
+    if (type === 'date' && format && !isDateFormat(format)) {
+      return { error: `"${label}" needs a date format made of DD, MM and YYYY (e.g. DD/MM/YYYY)` };
+    }
+
+    const existing = currentById.has(requested.id) && !usedIds.has(requested.id)
+      ? currentById.get(requested.id)
+      : null;
+    const id = existing ? existing.id : `field_${nextNumber++}`;
+    usedIds.add(id);
+
+    const {
+      options: existingOptions,
+      format: existingFormat,
+      visibleIf: existingVisibleIf,
+      requiredIf: existingRequiredIf,
+      ...base
+    } = existing || { page: 0, coordinates: null };
+    // null removes a condition, leaving it out keeps the current one
+    const visibleIf = requested.visibleIf !== undefined ? requested.visibleIf : existingVisibleIf;
+    const requiredIf = requested.requiredIf !== undefined ? requested.requiredIf : existingRequiredIf;
+    FIELD_CONDITIONS
+      .filter(condition => requested[condition])
+      .forEach(condition => requestedConditions.add(`${id}.${condition}`));
+
+    fields.push({
+      ...base,
+      id,
+      label,
+      type,
+      required: !!requested.required,
+      value: null,
+      ...(type === 'choice' && { options }),
+      ...(type === 'date' && (format || existingFormat) && { format: format || existingFormat }),
+      ...(visibleIf && { visibleIf }),
+      ...(requiredIf && { requiredIf })
+    });
+  }
+
+  const fieldIds = new Set(fields.map(field => field.id));
+  for (const field of fields) {
+    for (const condition of FIELD_CONDITIONS.filter(key => field[key])) {
+      const problem = checkCondition(field[condition], field.id, fieldIds);
+      if (problem && requestedConditions.has(`${field.id}.${condition}`)) {
+        return { error: `"${field.label}" has an unusable ${condition} condition: ${problem}` };
+      }
+      if (problem) {
+        delete field[condition];
+      }
+    }
+  }
+
+  return { fields };
+}
+
+/**
+ * PUT /api/session/:sessionId/schema
+ * Replace the session's fields after the user corrected them
+ * Body: { fields: [{ id?, label, type, required, options?, format?, visibleIf?, requiredIf? }], rules? }
+ * with the fields in the new order. `rules` replaces the cross-field rules; without it
+ * the current rules are kept unless they look at a removed field (see ruleService)
+ * Values of removed fields, or that no longer pass their field's validation, are dropped
+ */
+router.put('/session/:sessionId/schema', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
     const session = sessionStore.getSession(sessionId);
     if (!session) {
       return res.status(404).json({ error: 'Session not found' });
     }
 
-    // Add user message to history
-    sessionStore.addMessage(sessionId, 'user', message);
+    const { fields, error } = parseSchemaFields(session.formSchema.fields, req.body.fields);
+    if (error) {
+      return res.status(400).json({ error: 'Invalid form fields', message: error });
+    }
 
-    // Get current field
-    const currentField = session.formSchema.fields[session.currentFieldIndex];
+    let rules = rulesForFields(session.formSchema.rules, fields);
+    if (req.body.rules !== undefined) {
+      const parsed = parseRules(req.body.rules, fields);
+      if (parsed.error) {
+        return res.status(400).json({ error: 'Invalid form rules', message: parsed.error });
+      }
+      rules = parsed.rules;
+    }
 
-    if (currentField) {
-      // Validate user input
-      const validation = validateFieldValue(currentField.type, message);
+    sessionStore.replaceFormSchema(sessionId, {
+      ...session.formSchema,
+      fields,
+      totalFields: fields.length,
+      rules
+    });
 
+    // A retyped field may hold a value its new type rejects; kept values are
+    // rewritten for the new type or date format
+    const droppedFields = [];
+    const { filledFields, prefilledFields = [] } = sessionStore.getSession(sessionId);
+    const locale = formLocale(session.formSchema);
+    fields.forEach(field => {
+      if (!filledFields[field.id]) return;
+
+      const validation = validateFieldValue(field.type, filledFields[field.id], field, locale);
       if (!validation.valid) {
-        // Invalid input - ask again
-        const retryResponse = {
-          question: `${validation.message}. Please try again: ${currentField.label}`,
-          fieldId: currentField.id,
-          fieldLabel: currentField.label,
-          fieldType: currentField.type,
-          isComplete: false,
-          validationError: true
-        };
+        sessionStore.clearField(sessionId, field.id);
+        droppedFields.push(field.id);
+      } else if (validation.value !== filledFields[field.id]) {
+        // Prefilled values stay unconfirmed
+        if (prefilledFields.includes(field.id)) {
+          sessionStore.prefillFields(sessionId, { [field.id]: validation.value });
+        } else {
+          sessionStore.updateField(sessionId, field.id, validation.value);
+        }
+      }
+    });
 
-        sessionStore.addMessage(sessionId, 'assistant', JSON.stringify(retryResponse));
+    // Restart the conversation at the first field that still needs an answer
+    updateCompletion(sessionId);
+    sessionStore.setCurrentFieldIndex(
+      sessionId,
+      findNextPendingFieldIndex(sessionStore.getSession(sessionId), 0)
+    );
 
-        return res.json(retryResponse);
-      }
+    const updatedSession = sessionStore.getSession(sessionId);
+    const nextQuestion = await generateNextQuestion(
+      updatedSession,
+      'I corrected the form fields. Please continue with the first unanswered field.'
+    );
+    sessionStore.addMessage(sessionId, 'assistant', JSON.stringify(nextQuestion));
 
-      // Valid input - store it
-      sessionStore.updateField(sessionId, currentField.id, message);
+    res.json({
+      success: true,
+      formSchema: updatedSession.formSchema,
+      filledFields: updatedSession.filledFields,
+      skippedFields: updatedSession.skippedFields || [],
+      prefilledFields: updatedSession.prefilledFields || [],
+      droppedFields,
+      ...ruleState(updatedSession),
+      isComplete: updatedSession.isComplete,
+      nextQuestion
+    });
+  } catch (error) {
+    console.error('Update Schema Error:', error);
+    res.status(500).json({
+      error: 'Failed to update form fields',
+      message: error.message
+    });
+  }
+});
 
-      // Move to next field
-      const nextIndex = session.currentFieldIndex + 1;
-      sessionStore.setCurrentFieldIndex(sessionId, nextIndex);
+/**
+ * GET /api/session/:sessionId/pages/:pageIndex/image
+ * Get an uploaded page as an image, for placing fields on it
+ */
+router.get('/session/:sessionId/pages/:pageIndex/image', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const pageIndex = parseInt(req.params.pageIndex, 10);
 
-      // Check if all fields are filled
-      if (nextIndex >= session.formSchema.fields.length) {
-        sessionStore.markComplete(sessionId);
-        
-        const completeResponse = {
-          question: 'Great! All fields have been filled successfully. You can now export your completed form as a PDF.',
-          isComplete: true
-        };
+    const session = sessionStore.getSession(sessionId);
+    if (!session || !session.originalFilePath) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
 
-        sessionStore.addMessage(sessionId, 'assistant', JSON.stringify(completeResponse));
+    const mimeType = getMimeType(session.originalFilePath);
 
-        return res.json(completeResponse);
+    // Uploaded images are their own single page
+    if (!mimeType.includes('pdf')) {
+      if (pageIndex !== 0) {
+        return res.status(404).json({ error: 'Page not found' });
       }
+      return res.type(mimeType).sendFile(session.originalFilePath);
     }
 
-    // Generate next question
+    const [page] = await renderPDFPages(session.originalFilePath, {
+      scale: PAGE_PREVIEW_SCALE,
+      pageIndexes: [pageIndex]
+    });
+    if (!page) {
+      return res.status(404).json({ error: 'Page not found' });
+    }
+
+    res.type('png').send(page.image);
+  } catch (error) {
+    console.error('Page Image Error:', error);
+    res.status(500).json({
+      error: 'Failed to render page',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/session/:sessionId/fields/:fieldId/position
+ * Set the box a field's value is drawn in on a scanned form
+ * Body: { page, x, y, width, height } in the page's coordinate space
+ * (formSchema.pages[page], origin at the top left)
+ */
+router.put('/session/:sessionId/fields/:fieldId/position', (req, res) => {
+  try {
+    const { sessionId, fieldId } = req.params;
+
+    const session = sessionStore.getSession(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const field = session.formSchema.fields.find(f => f.id === fieldId);
+    if (!field) {
+      return res.status(404).json({ error: 'Field not found' });
+    }
+
+    if (session.formSchema.isPDFForm) {
+      return res.status(400).json({
+        error: 'Position not supported',
+        message: 'Interactive PDF fields are filled by name, so they have no position to set.'
+      });
+    }
+
+    const page = Number(req.body.page);
+    const pageSize = (session.formSchema.pages || [])[page];
+    if (!Number.isInteger(page) || !pageSize) {
+      return res.status(400).json({ error: 'Invalid page' });
+    }
+
+    const [x, y, width, height] = ['x', 'y', 'width', 'height'].map(key => Number(req.body[key]));
+    if (![x, y, width, height].every(Number.isFinite) || width <= 0 || height <= 0) {
+      return res.status(400).json({
+        error: 'Invalid position',
+        message: 'x, y, width and height must be numbers, with a positive width and height'
+      });
+    }
+
+    // Keep the box on the page
+    const left = Math.min(Math.max(x, 0), pageSize.width);
+    const top = Math.min(Math.max(y, 0), pageSize.height);
+    const box = {
+      x: left,
+      y: top,
+      width: Math.min(width, pageSize.width - left),
+      height: Math.min(height, pageSize.height - top)
+    };
+
+    sessionStore.setFieldPosition(sessionId, fieldId, page, {
+      ...box,
+      // Values are written from the left edge, with the baseline near the bottom of the box
+      inputX: box.x,
+      inputY: box.y + box.height * 0.8,
+      placedByUser: true
+    });
+
     const updatedSession = sessionStore.getSession(sessionId);
-    const nextQuestion = await generateNextQuestion(updatedSession, message);
+    res.json({
+      success: true,
+      field: updatedSession.formSchema.fields.find(f => f.id === fieldId),
+      formSchema: updatedSession.formSchema
+    });
+  } catch (error) {
+    console.error('Field Position Error:', error);
+    res.status(500).json({
+      error: 'Failed to set field position',
+      message: error.message
+    });
+  }
+});
 
-    // Store AI response
+/**
+ * POST /api/session/:sessionId/apply-profile
+ * Prefill the session's empty fields from a saved profile
+ * Body: { profileId }
+ */
+router.post('/session/:sessionId/apply-profile', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { profileId } = req.body;
+
+    const session = sessionStore.getSession(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const profile = profileStore.getProfile(profileId);
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    const appliedFields = applyProfile(sessionId, profile);
+    const updatedSession = sessionStore.getSession(sessionId);
+
+    const nextQuestion = await generateNextQuestion(
+      updatedSession,
+      `I filled some fields from my "${profile.name}" profile. Please continue with the rest.`
+    );
     sessionStore.addMessage(sessionId, 'assistant', JSON.stringify(nextQuestion));
 
-    res.json(nextQuestion);
+    res.json({
+      success: true,
+      appliedFields,
+      filledFields: updatedSession.filledFields,
+      prefilledFields: updatedSession.prefilledFields || [],
+      ...ruleState(updatedSession),
+      isComplete: updatedSession.isComplete,
+      nextQuestion
+    });
   } catch (error) {
-    console.error('Chat Error:', error);
+    console.error('Apply Profile Error:', error);
     res.status(500).json({
-      error: 'Failed to process message',
+      error: 'Failed to apply profile',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/session/:sessionId/import
+ * Prefill the session from a JSON or XFDF file of previously filled values
+ * (multipart field `file`), e.g. last year's export of a related form.
+ * Values are mapped by pdfFieldName, label or type and validated per field
+ */
+router.post('/session/:sessionId/import', importUpload.single('file'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const session = sessionStore.getSession(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const content = req.file.buffer.toString('utf8');
+    const format = detectImportFormat(req.file.originalname, content);
+    if (!format) {
+      return res.status(400).json({
+        error: 'Unsupported import file',
+        message: `Upload one of: ${IMPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    let importedValues;
+    try {
+      importedValues = parseImportedValues(content, format);
+    } catch (error) {
+      return res.status(400).json({
+        error: `Invalid ${format.toUpperCase()} file`,
+        message: error.message
+      });
+    }
+
+    const { fields } = session.formSchema;
+    const { matches, rejected, unmatched } = matchImportedValues(
+      importedValues,
+      fields,
+      session.filledFields,
+      formLocale(session.formSchema)
+    );
+    prefillSession(sessionId, matches);
+
+    const updatedSession = sessionStore.getSession(sessionId);
+    const requiredFields = requiredFieldIds(updatedSession.formSchema, updatedSession.filledFields);
+    const populatedFields = fields
+      .filter(field => field.id in matches)
+      .map(field => ({ fieldId: field.id, fieldLabel: field.label, value: matches[field.id] }));
+    const missingFields = fields
+      .filter(field => !updatedSession.filledFields[field.id] && !isFieldHidden(updatedSession, field))
+      .map(field => ({
+        fieldId: field.id,
+        fieldLabel: field.label,
+        required: requiredFields.has(field.id)
+      }));
+
+    const nextQuestion = await generateNextQuestion(
+      updatedSession,
+      'I imported answers from a previously filled form. Please continue with the rest.'
+    );
+    sessionStore.addMessage(sessionId, 'assistant', JSON.stringify(nextQuestion));
+
+    res.json({
+      success: true,
+      format,
+      populatedFields,
+      rejectedFields: rejected,
+      missingFields,
+      unmatchedValues: unmatched,
+      filledFields: updatedSession.filledFields,
+      prefilledFields: updatedSession.prefilledFields || [],
+      ...ruleState(updatedSession),
+      isComplete: updatedSession.isComplete,
+      nextQuestion
+    });
+  } catch (error) {
+    console.error('Import Error:', error);
+    res.status(500).json({
+      error: 'Failed to import values',
       message: error.message
     });
   }
@@ -203,15 +1237,23 @@ router.get('/form-state/:sessionId', (req, res) => {
       return res.status(404).json({ error: 'Session not found' });
     }
 
+    const state = ruleState(session);
+    const applicable = applicableValues(session.formSchema, session.filledFields);
+
     res.json({
       sessionId: session.sessionId,
       formSchema: session.formSchema,
+      language: session.language || session.formSchema.language || DEFAULT_LANGUAGE,
       filledFields: session.filledFields,
+      skippedFields: session.skippedFields || [],
+      prefilledFields: session.prefilledFields || [],
+      ...state,
       currentFieldIndex: session.currentFieldIndex,
       isComplete: session.isComplete,
       progress: {
-        total: session.formSchema.fields.length,
-        filled: Object.keys(session.filledFields).length
+        // Hidden fields are not applicable and do not count towards progress
+        total: session.formSchema.fields.length - state.hiddenFields.length,
+        filled: Object.keys(applicable).length
       }
     });
   } catch (error) {
@@ -224,70 +1266,240 @@ router.get('/form-state/:sessionId', (req, res) => {
 });
 
 /**
- * POST /api/export-pdf
- * Generate and download filled PDF
+ * File name of a session's exported PDF in the output directory
+ * @param {string} sessionId
+ * @returns {string} File name
+ */
+function exportFileName(sessionId) {
+  return `filled_form_${sessionId}.pdf`;
+}
+
+/**
+ * Report values that could not be placed, as the response body is the PDF itself
+ * @param {object} res - Express response
+ * @param {Array} unplacedFields - Schema fields whose values were not placed
+ */
+function setUnplacedFieldsHeader(res, unplacedFields) {
+  if (unplacedFields.length > 0) {
+    res.set('X-Unplaced-Fields', encodeURIComponent(JSON.stringify(
+      unplacedFields.map(field => ({ id: field.id, label: field.label }))
+    )));
+  }
+}
+
+/**
+ * Options for a session's summary report
+ * @param {object} session - Session data
+ * @param {object} include - { includeFileName, includeFillDate }, both default to true
+ * @returns {object} Options for buildSummaryPDF
+ */
+function summaryOptions(session, { includeFileName = true, includeFillDate = true } = {}) {
+  return {
+    skippedFields: session.skippedFields || [],
+    fileName: includeFileName ? session.originalFileName || null : null,
+    // An incomplete form has no fill date yet
+    filledAt: includeFillDate && session.isComplete ? session.completedAt : null
+  };
+}
+
+/**
+ * Respond with 422 when answers contain characters no configured font can draw
+ * @param {object} res - Express response
+ * @param {object} session - Session data
+ * @param {boolean} acroForm - Whether the answers are filled into AcroForm fields
+ *   (one font per value) rather than drawn character by character
+ * @returns {Promise<boolean>} True if the response was sent
+ */
+async function rejectUnsupportedCharacters(res, session, acroForm = false) {
+  const unsupportedFields = await findUnsupportedValues(
+    session.formSchema,
+    applicableValues(session.formSchema, session.filledFields),
+    { acroForm }
+  );
+  if (unsupportedFields.length === 0) {
+    return false;
+  }
+
+  res.status(422).json({
+    error: 'Unsupported characters',
+    message: `These answers contain characters no available font can draw: ${
+      unsupportedFields.map(field => `${field.fieldLabel} (${field.characters.join(' ')})`).join(', ')
+    }. Edit them or configure a font that covers them${acroForm ? ' (a form field is drawn in one font)' : ''} (PDF_FONTS).`,
+    unsupportedFields
+  });
+  return true;
+}
+
+/**
+ * GET /api/session/:sessionId/preview
+ * Render the form filled with the current values, for previewing before export
+ * Characters no available font can draw are shown as "?" instead of failing
+ * Works on incomplete forms and leaves the session and its files untouched
  */
-router.post('/export-pdf', async (req, res) => {
+router.get('/session/:sessionId/preview', async (req, res) => {
   try {
-    const { sessionId } = req.body;
+    const { sessionId } = req.params;
+
+    const session = sessionStore.getSession(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (!session.originalFilePath) {
+      return res.status(404).json({ error: 'No original document to preview' });
+    }
+
+    const { pdfBytes, unplacedFields } = await buildFilledPDF(
+      session.originalFilePath,
+      session.formSchema,
+      applicableValues(session.formSchema, session.filledFields)
+    );
+
+    setUnplacedFieldsHeader(res, unplacedFields);
+    res.set({
+      'Content-Disposition': 'inline; filename="preview.pdf"',
+      'Cache-Control': 'no-store'
+    });
+    res.type('pdf').send(Buffer.from(pdfBytes));
+  } catch (error) {
+    console.error('Preview Error:', error);
+    res.status(500).json({
+      error: 'Failed to render preview',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/export (also /api/export-pdf)
+ * Download the filled form: a PDF by default, a summary report with `format`
+ * 'summary', or the answers as data with 'json', 'csv', 'xfdf' or 'fdf'
+ * Values of fields hidden by other answers are not applicable and left out
+ * The summary also works on incomplete forms and lists the unanswered fields;
+ * `includeFileName` and `includeFillDate` (default true) control its details
+ * Can be repeated; the session and its files stay until the session is deleted or expires
+ */
+router.post(['/export', '/export-pdf'], async (req, res) => {
+  try {
+    const { sessionId, format = 'pdf', includeFileName, includeFillDate } = req.body;
 
     if (!sessionId) {
       return res.status(400).json({ error: 'Session ID is required' });
     }
 
+    if (!['pdf', 'summary'].includes(format) && !DATA_EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        error: `Unsupported export format: ${format}`,
+        formats: ['pdf', 'summary', ...Object.keys(DATA_EXPORT_FORMATS)]
+      });
+    }
+
     const session = sessionStore.getSession(sessionId);
     if (!session) {
       return res.status(404).json({ error: 'Session not found' });
     }
 
+    if (format === 'summary') {
+      if (await rejectUnsupportedCharacters(res, session)) return;
+
+      const pdfBytes = await buildSummaryPDF(
+        session.formSchema,
+        applicableValues(session.formSchema, session.filledFields),
+        summaryOptions(session, { includeFileName, includeFillDate })
+      );
+      res.attachment('form_summary.pdf');
+      return res.type('pdf').send(Buffer.from(pdfBytes));
+    }
+
     if (!session.isComplete) {
       return res.status(400).json({ error: 'Form is not complete yet' });
     }
 
-    // Generate output path
-    const outputDir = path.join(process.cwd(), '..', 'uploads');
-    const outputFileName = `filled_form_${sessionId}.pdf`;
-    const outputPath = path.join(outputDir, outputFileName);
+    if (format !== 'pdf') {
+      if ((format === 'xfdf' || format === 'fdf') && !hasAcroFormFields(session)) {
+        return res.status(400).json({
+          error: `${format.toUpperCase()} export needs a PDF with fillable form fields`
+        });
+      }
+
+      // Data exports are cheap to rebuild, so they are sent without being stored
+      const { content, mimeType, extension } = buildDataExport(session, format);
+      res.attachment(`filled_form.${extension}`);
+      return res.type(mimeType).send(content);
+    }
+
+    if (await rejectUnsupportedCharacters(res, session, hasAcroFormFields(session))) return;
+
+    // The export is kept (and overwritten by the next export) until the session is deleted
+    const outputPath = await fileLifecycle.prepareOutput(sessionId, exportFileName(sessionId));
 
     // Generate PDF
     let pdfPath;
+    let unplacedFields = [];
     if (session.originalFilePath) {
-      pdfPath = await generateFilledPDF(
+      ({ outputPath: pdfPath, unplacedFields } = await generateFilledPDF(
         session.originalFilePath,
         session.formSchema,
-        session.filledFields,
+        applicableValues(session.formSchema, session.filledFields),
         outputPath
-      );
+      ));
     } else {
       // Create summary PDF if original file not available
       pdfPath = await createSummaryPDF(
         session.formSchema,
-        session.filledFields,
-        outputPath
+        applicableValues(session.formSchema, session.filledFields),
+        outputPath,
+        summaryOptions(session, { includeFileName, includeFillDate })
       );
     }
 
+    setUnplacedFieldsHeader(res, unplacedFields);
+
     // Send file
-    res.download(pdfPath, 'filled_form.pdf', async (err) => {
+    res.download(pdfPath, 'filled_form.pdf', (err) => {
       if (err) {
         console.error('Download Error:', err);
       }
+    });
+  } catch (error) {
+    console.error('Export Error:', error);
+    res.status(500).json({
+      error: 'Failed to export form',
+      message: error.message
+    });
+  }
+});
 
-      // Clean up files after download
-      try {
-        await fs.unlink(pdfPath);
-        if (session.originalFilePath) {
-          await fs.unlink(session.originalFilePath);
-        }
-        sessionStore.deleteSession(sessionId);
-      } catch (cleanupError) {
-        console.error('Cleanup Error:', cleanupError);
+/**
+ * GET /api/session/:sessionId/export
+ * Download the last exported PDF again without regenerating it
+ */
+router.get('/session/:sessionId/export', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const session = sessionStore.getSession(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const exportPath = (session.outputFiles || []).find(filePath =>
+      path.basename(filePath) === exportFileName(sessionId)
+    );
+    const exists = exportPath && await fs.access(exportPath).then(() => true, () => false);
+    if (!exists) {
+      return res.status(404).json({ error: 'Form has not been exported yet' });
+    }
+
+    res.download(exportPath, 'filled_form.pdf', (err) => {
+      if (err) {
+        console.error('Download Error:', err);
       }
     });
   } catch (error) {
-    console.error('Export PDF Error:', error);
+    console.error('Download Export Error:', error);
     res.status(500).json({
-      error: 'Failed to export PDF',
+      error: 'Failed to download export',
       message: error.message
     });
   }
@@ -301,16 +1513,8 @@ router.delete('/session/:sessionId', async (req, res) => {
   try {
     const { sessionId } = req.params;
 
-    const session = sessionStore.getSession(sessionId);
-    if (session && session.originalFilePath) {
-      try {
-        await fs.unlink(session.originalFilePath);
-      } catch (error) {
-        console.error('Failed to delete file:', error);
-      }
-    }
-
-    sessionStore.deleteSession(sessionId);
+    // Removes the uploaded form and every export along with the session
+    await fileLifecycle.deleteSession(sessionId);
 
     res.json({ success: true, message: 'Session deleted' });
   } catch (error) {
@@ -0,0 +1,153 @@
+/**
+ * Profile Routes
+ * API endpoints for managing reusable user profiles
+ */
+
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { profileValuesFromSession } from '../services/profileService.js';
+import profileStore from '../utils/profileStore.js';
+import sessionStore from '../utils/sessionStore.js';
+
+const router = express.Router();
+
+// Field types a profile value may have (same as form fields)
+const PROFILE_VALUE_TYPES = [
+  'name', 'email', 'phone', 'date', 'address', 'postal', 'number', 'text', 'checkbox', 'choice', 'ssn', 'aadhaar', 'pan'
+];
+
+/**
+ * Check and clean the values of a profile request
+ * @param {any} values - Request values
+ * @returns {Array|null} Values as { label, type, value }, or null if malformed
+ */
+function parseProfileValues(values) {
+  if (!Array.isArray(values)) return null;
+
+  const parsed = values.map(item => ({
+    label: typeof item?.label === 'string' ? item.label.trim() : '',
+    type: item?.type || 'text',
+    value: item?.value === undefined || item?.value === null ? '' : String(item.value).trim()
+  }));
+
+  const isValid = parsed.every(item =>
+    item.label && item.value && PROFILE_VALUE_TYPES.includes(item.type)
+  );
+
+  return isValid ? parsed : null;
+}
+
+/**
+ * GET /api/profiles
+ * List saved profiles
+ */
+router.get('/profiles', (req, res) => {
+  res.json({ profiles: profileStore.listProfiles() });
+});
+
+/**
+ * POST /api/profiles
+ * Create a profile from explicit values, or from the filled fields of a session
+ * Body: { name, values: [{ label, type, value }] } or { name, sessionId }
+ */
+router.post('/profiles', (req, res) => {
+  try {
+    const { name, values, sessionId } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Profile name is required' });
+    }
+
+    let profileValues;
+    if (sessionId) {
+      const session = sessionStore.getSession(sessionId);
+      if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+      profileValues = profileValuesFromSession(session);
+    } else {
+      profileValues = parseProfileValues(values);
+      if (!profileValues) {
+        return res.status(400).json({
+          error: 'Invalid profile values',
+          message: `Values must be a list of { label, type, value } with type one of: ${PROFILE_VALUE_TYPES.join(', ')}`
+        });
+      }
+    }
+
+    const profile = profileStore.createProfile(uuidv4(), name.trim(), profileValues);
+    res.status(201).json({ success: true, profile });
+  } catch (error) {
+    console.error('Create Profile Error:', error);
+    res.status(500).json({
+      error: 'Failed to create profile',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/profiles/:profileId
+ * Get a single profile
+ */
+router.get('/profiles/:profileId', (req, res) => {
+  const profile = profileStore.getProfile(req.params.profileId);
+  if (!profile) {
+    return res.status(404).json({ error: 'Profile not found' });
+  }
+  res.json({ profile });
+});
+
+/**
+ * PUT /api/profiles/:profileId
+ * Rename a profile and/or replace its values
+ * Body: { name?, values? }
+ */
+router.put('/profiles/:profileId', (req, res) => {
+  try {
+    const { profileId } = req.params;
+    const { name, values } = req.body;
+
+    if (!profileStore.getProfile(profileId)) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({ error: 'Profile name cannot be empty' });
+    }
+
+    const profileValues = values === undefined ? undefined : parseProfileValues(values);
+    if (profileValues === null) {
+      return res.status(400).json({
+        error: 'Invalid profile values',
+        message: `Values must be a list of { label, type, value } with type one of: ${PROFILE_VALUE_TYPES.join(', ')}`
+      });
+    }
+
+    const profile = profileStore.updateProfile(profileId, {
+      name: name === undefined ? undefined : String(name).trim(),
+      values: profileValues
+    });
+    res.json({ success: true, profile });
+  } catch (error) {
+    console.error('Update Profile Error:', error);
+    res.status(500).json({
+      error: 'Failed to update profile',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/profiles/:profileId
+ * Delete a profile
+ */
+router.delete('/profiles/:profileId', (req, res) => {
+  if (!profileStore.getProfile(req.params.profileId)) {
+    return res.status(404).json({ error: 'Profile not found' });
+  }
+  profileStore.deleteProfile(req.params.profileId);
+  res.json({ success: true, message: 'Profile deleted' });
+});
+
+export default router;
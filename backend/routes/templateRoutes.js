@@ -0,0 +1,112 @@
+/**
+ * Template Routes
+ * API endpoints for saving a session's form schema as a reusable template
+ */
+
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import templateStore from '../utils/templateStore.js';
+import sessionStore from '../utils/sessionStore.js';
+
+const router = express.Router();
+
+/**
+ * Copy the reusable part of a session's schema (no values, fingerprints or template info)
+ * @param {object} formSchema - Session form schema
+ * @returns {object} Schema to store in a template
+ */
+function templateSchemaFromSession(formSchema) {
+  const { fingerprint, templateId, templateName, ...schema } = JSON.parse(JSON.stringify(formSchema));
+  return {
+    ...schema,
+    fields: schema.fields.map(field => ({ ...field, value: null }))
+  };
+}
+
+/**
+ * GET /api/templates
+ * List saved templates (without their schemas)
+ */
+router.get('/templates', (req, res) => {
+  const templates = templateStore.listTemplates().map(({ formSchema, ...template }) => ({
+    ...template,
+    totalFields: formSchema.fields.length
+  }));
+  res.json({ templates });
+});
+
+/**
+ * POST /api/templates
+ * Save a session's form schema as a template
+ * Saving a form that already has a template updates that template
+ * Body: { name, sessionId }
+ */
+router.post('/templates', (req, res) => {
+  try {
+    const { name, sessionId } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Template name is required' });
+    }
+
+    const session = sessionStore.getSession(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const fingerprint = session.formSchema.fingerprint || {};
+    if (!fingerprint.fileHash && !fingerprint.textHash) {
+      return res.status(400).json({
+        error: 'Form cannot be recognized',
+        message: 'This session has no document fingerprint, so a template would never match.'
+      });
+    }
+
+    const existing = (session.formSchema.templateId && templateStore.getTemplate(session.formSchema.templateId))
+      || templateStore.findByFingerprint(fingerprint);
+
+    const template = templateStore.saveTemplate(
+      existing ? existing.templateId : uuidv4(),
+      name.trim(),
+      templateSchemaFromSession(session.formSchema),
+      {
+        fileHash: fingerprint.fileHash || existing?.fingerprint.fileHash || null,
+        textHash: fingerprint.textHash || existing?.fingerprint.textHash || null
+      }
+    );
+
+    res.status(existing ? 200 : 201).json({ success: true, updated: !!existing, template });
+  } catch (error) {
+    console.error('Save Template Error:', error);
+    res.status(500).json({
+      error: 'Failed to save template',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/templates/:templateId
+ * Get a single template with its schema
+ */
+router.get('/templates/:templateId', (req, res) => {
+  const template = templateStore.getTemplate(req.params.templateId);
+  if (!template) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  res.json({ template });
+});
+
+/**
+ * DELETE /api/templates/:templateId
+ * Delete a template
+ */
+router.delete('/templates/:templateId', (req, res) => {
+  if (!templateStore.getTemplate(req.params.templateId)) {
+    return res.status(404).json({ error: 'Template not found' });
+  }
+  templateStore.deleteTemplate(req.params.templateId);
+  res.json({ success: true, message: 'Template deleted' });
+});
+
+export default router;
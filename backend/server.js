@@ -7,6 +7,9 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import formRoutes from './routes/formRoutes.js';
+import profileRoutes from './routes/profileRoutes.js';
+import templateRoutes from './routes/templateRoutes.js';
+import fileLifecycle from './utils/fileLifecycle.js';
 
 // Load environment variables
 dotenv.config();
@@ -18,7 +21,8 @@ const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
 // Middleware
 app.use(cors({
   origin: FRONTEND_URL,
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['X-Unplaced-Fields']
 }));
 
 app.use(express.json());
@@ -41,6 +45,8 @@ app.get('/health', (req, res) => {
 
 // API routes
 app.use('/api', formRoutes);
+app.use('/api', profileRoutes);
+app.use('/api', templateRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -75,6 +81,10 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Remove expired sessions and files left by earlier runs before accepting uploads,
+// then keep checking for expired sessions
+await fileLifecycle.start();
+
 // Start server
 app.listen(PORT, () => {
   console.log('='.repeat(50));
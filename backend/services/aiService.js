@@ -1,15 +1,19 @@
 /**
  * AI Service
- * Handles interaction with NVIDIA NIMs API
+ * Handles interaction with the configured LLM provider (see llmProviders/)
  * Manages conversation flow and question generation
  */
 
 import dotenv from 'dotenv';
+import { createProvider } from './llmProviders/index.js';
+import { DEFAULT_LANGUAGE, languageName } from './languageService.js';
+import { dateFormatFor, formLocale } from './validationService.js';
+import { evaluateRules, hiddenFieldIds, requiredFieldIds } from './ruleService.js';
+import { isFieldPending, resolveCurrentFieldIndex } from './formFlowService.js';
 dotenv.config();
 
-const NVIDIA_API_KEY = process.env.NVIDIA_API_KEY;
-const NVIDIA_API_URL = process.env.NVIDIA_API_URL || 'https://integrate.api.nvidia.com/v1/chat/completions';
-const AI_MODEL = process.env.AI_MODEL || 'mistralai/mistral-large-3-675b-instruct-2512';
+const provider = createProvider();
+console.log(`Using AI provider: ${provider.name}`);
 
 /**
  * System prompt for the AI assistant
@@ -26,6 +30,10 @@ Rules:
 7. Output STRICT JSON only.
 8. Do not move to next field until valid.
 9. Never hallucinate.
+10. For choice fields, list the allowed options in the question; the answer must be one of them.
+11. Converse in the conversation language given with the form: write every question and
+    explanation in it, even if the user or the field labels use another language.
+    Keep fieldId, fieldType, JSON keys and choice options exactly as given.
 
 When asking a question, respond with JSON in this exact format:
 {
@@ -45,59 +53,134 @@ When all fields are filled, respond with:
 Be conversational, friendly, and helpful. Explain why each field is needed if it's not obvious.`;
 
 /**
- * Call NVIDIA NIMs API
- * @param {Array} messages - Conversation messages
- * @returns {Promise<object>} API response
+ * System prompt for pulling several field values out of one free-form answer
  */
-async function callNvidiaAPI(messages) {
-  try {
-    const response = await fetch(NVIDIA_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${NVIDIA_API_KEY}`
-      },
-      body: JSON.stringify({
-        model: AI_MODEL,
-        messages: messages,
-        temperature: 0.7,
-        max_tokens: 500,
-        top_p: 0.9
-      })
-    });
+const EXTRACTION_PROMPT = `You extract form field values from a user's message.
+
+Rules:
+1. Only use values the user explicitly states in the message.
+2. Never guess or invent values.
+3. Use the field ids from the field list.
+4. For choice fields, use one of the listed options.
+5. Text that is not clearly a value for another field belongs to the field the user was just asked about.
+6. Output STRICT JSON only, in this exact format:
+{
+  "values": { "field_1": "value", "field_3": "value" }
+}
+
+If the message contains no field values, respond with { "values": {} }.`;
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('NVIDIA API Error:', errorText);
-      throw new Error(`NVIDIA API request failed: ${response.status} ${response.statusText}`);
+/**
+ * Extract the question text from a partially streamed AI message
+ * The model answers with JSON, so only the (possibly unterminated) "question"
+ * string is shown; plain-text answers are shown as they are
+ * @param {string} content - AI message received so far
+ * @returns {string} Question text received so far
+ */
+function streamedQuestionText(content) {
+  const trimmed = content.trimStart();
+  if (trimmed && !trimmed.startsWith('{') && !trimmed.startsWith('`')) {
+    return content;
+  }
+
+  const start = content.match(/"question"\s*:\s*"/);
+  if (!start) return '';
+
+  const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+  let question = '';
+  for (let i = start.index + start[0].length; i < content.length; i++) {
+    const char = content[i];
+    if (char === '"') break;
+    if (char !== '\\') {
+      question += char;
+      continue;
     }
 
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('AI Service Error:', error);
-    throw error;
+    // Stop at an escape sequence that has not fully arrived yet
+    const next = content[i + 1];
+    if (next === undefined) break;
+    if (next === 'u') {
+      const hex = content.slice(i + 2, i + 6);
+      if (hex.length < 4) break;
+      question += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+    } else {
+      question += escapes[next] ?? next;
+      i += 1;
+    }
+  }
+  return question;
+}
+
+/**
+ * Attach the asked field's options so the UI can offer them as buttons
+ * @param {object} response - Structured question response
+ * @param {Array} fields - Form fields
+ * @returns {object} Response with options for choice fields
+ */
+function withFieldOptions(response, fields) {
+  const askedField = fields.find(field => field.id === response.fieldId);
+  if (askedField?.type === 'choice' && askedField.options) {
+    return { ...response, options: askedField.options };
   }
+  return response;
 }
 
 /**
  * Generate next question for form filling
  * @param {object} session - Current session data
  * @param {string|null} userMessage - User's response (null for first question)
+ * @param {object} options
+ * @param {Function} options.onQuestionToken - Stream the question; called with each new piece of text
+ * @param {AbortSignal} options.signal - Aborts a streamed request
  * @returns {Promise<object>} AI response with next question
  */
-export async function generateNextQuestion(session, userMessage = null) {
+export async function generateNextQuestion(session, userMessage = null, { onQuestionToken, signal } = {}) {
   try {
-    const { formSchema, filledFields, currentFieldIndex, conversationHistory } = session;
+    const { formSchema, filledFields, conversationHistory } = session;
     const fields = formSchema.fields;
+    // A field hidden by earlier answers is never asked
+    const currentFieldIndex = resolveCurrentFieldIndex(session);
+    const language = session.language || formSchema.language || DEFAULT_LANGUAGE;
+    const locale = formLocale(formSchema);
 
     // Build context about the form
-    let formContext = `Form has ${fields.length} fields:\n`;
+    const skippedFields = session.skippedFields || [];
+    const hiddenFields = hiddenFieldIds(fields, filledFields);
+    const requiredFields = requiredFieldIds(formSchema, filledFields);
+    let formContext = `Conversation language: ${languageName(language)}\n\n`;
+    formContext += `Form has ${fields.length} fields:\n`;
     fields.forEach((field, index) => {
-      const status = filledFields[field.id] ? '✓ Filled' : '○ Empty';
-      formContext += `${index + 1}. ${field.label} (${field.type}) ${field.required ? '[Required]' : '[Optional]'} - ${status}\n`;
+      // Fields hidden by earlier answers do not apply, so they are never asked
+      if (hiddenFields.has(field.id)) {
+        formContext += `${index + 1}. ${field.label} (${field.type}) - ⊘ Not applicable, do not ask\n`;
+        return;
+      }
+      let status = filledFields[field.id] ? '✓ Filled' : '○ Empty';
+      if (skippedFields.includes(field.id)) status = '⤼ Skipped';
+      formContext += `${index + 1}. ${field.label} (${field.type}) ${requiredFields.has(field.id) ? '[Required]' : '[Optional]'} - ${status}\n`;
+      if (field.type === 'choice' && field.options) {
+        formContext += `   Options: ${field.options.join(' | ')}\n`;
+      }
+      if (field.type === 'date') {
+        formContext += `   Format: ${dateFormatFor(field, locale)}\n`;
+      }
     });
 
+    // Answers that break a cross-field rule, for the user to correct
+    const violations = evaluateRules(formSchema, filledFields, locale);
+    if (violations.length > 0) {
+      formContext += `\nAnswers that contradict each other:\n${violations.map(v => `- ${v.message}`).join('\n')}\n`;
+    }
+
+    // The server decides which field comes next (skips and "go to" jumps included)
+    const nextField = fields[currentFieldIndex];
+    const nextFieldRequired = !!nextField && requiredFields.has(nextField.id);
+    if (nextField) {
+      formContext += `\nAsk about field ${currentFieldIndex + 1} next: ${nextField.label} (${nextField.id})`;
+      formContext += nextFieldRequired ? '\n' : ' - optional, the user may say "skip"\n';
+    }
+
     // Build messages for API
     const messages = [
       {
@@ -132,11 +215,30 @@ export async function generateNextQuestion(session, userMessage = null) {
       });
     }
 
-    // Call NVIDIA API
-    const response = await callNvidiaAPI(messages);
-    
-    // Extract AI response
-    const aiMessage = response.choices[0].message.content;
+    // Call the AI provider, streamed when the caller wants the question as it arrives
+    const providerContext = {
+      currentField: nextField,
+      required: nextFieldRequired,
+      language,
+      dateFormat: dateFormatFor(nextField, locale),
+      signal
+    };
+    let aiMessage;
+    if (onQuestionToken) {
+      let content = '';
+      let sentLength = 0;
+      aiMessage = await provider.stream(messages, (chunk) => {
+        content += chunk;
+        // Only relay text once it is known to be part of the question
+        const question = streamedQuestionText(content);
+        if (question.length > sentLength) {
+          onQuestionToken(question.slice(sentLength));
+          sentLength = question.length;
+        }
+      }, providerContext);
+    } else {
+      aiMessage = await provider.complete(messages, providerContext);
+    }
 
     // Try to parse as JSON
     let parsedResponse;
@@ -166,24 +268,24 @@ export async function generateNextQuestion(session, userMessage = null) {
       };
     }
 
-    return parsedResponse;
+    return withFieldOptions(parsedResponse, fields);
   } catch (error) {
     console.error('Generate Question Error:', error);
     
     // Fallback response in case of API failure
-    const { formSchema, currentFieldIndex } = session;
-    const fields = formSchema.fields;
+    const fields = session.formSchema.fields;
+    const currentFieldIndex = resolveCurrentFieldIndex(session);
     
     if (currentFieldIndex < fields.length) {
       const currentField = fields[currentFieldIndex];
-      return {
+      return withFieldOptions({
         question: `Please provide your ${currentField.label}.`,
         fieldId: currentField.id,
         fieldLabel: currentField.label,
         fieldType: currentField.type,
         isComplete: false,
         error: 'Using fallback due to AI service error'
-      };
+      }, fields);
     } else {
       return {
         question: 'All fields have been filled! You can now export your form.',
@@ -194,9 +296,80 @@ export async function generateNextQuestion(session, userMessage = null) {
 }
 
 /**
- * Validate if NVIDIA API key is configured
- * @returns {boolean} True if API key is set
+ * Extract every recognizable field value from a single free-form answer
+ * e.g. "John Smith, john@x.com, born 12/03/1990"
+ * Only the current field and fields still pending are filled, so answered
+ * and hidden fields are never overwritten. Values are not validated here
+ * @param {object} session - Current session data
+ * @param {string} userMessage - User's answer
+ * @returns {Promise<object>} { fieldId: value } pairs (empty if nothing was recognized)
+ */
+export async function extractFieldValues(session, userMessage) {
+  try {
+    const currentFieldIndex = resolveCurrentFieldIndex(session);
+    const fields = session.formSchema.fields.filter((field, index) =>
+      index === currentFieldIndex || isFieldPending(session, field)
+    );
+
+    let fieldList = 'Fields:\n';
+    fields.forEach(field => {
+      fieldList += `- ${field.id}: ${field.label} (${field.type})`;
+      if (field.type === 'choice' && field.options) {
+        fieldList += ` Options: ${field.options.join(' | ')}`;
+      }
+      fieldList += '\n';
+    });
+
+    // The field the user was just asked about is the most likely home for unlabeled text
+    const currentField = session.formSchema.fields[currentFieldIndex];
+    if (currentField) {
+      fieldList += `\nThe user was just asked about: ${currentField.id} (${currentField.label})\n`;
+    }
+
+    const messages = [
+      { role: 'system', content: EXTRACTION_PROMPT },
+      { role: 'system', content: fieldList },
+      { role: 'user', content: userMessage }
+    ];
+
+    const aiMessage = await provider.complete(messages, {
+      task: 'extract',
+      fields,
+      currentField,
+      userMessage
+    });
+
+    const jsonMatch = aiMessage.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) return {};
+
+    const parsed = JSON.parse(jsonMatch[0]);
+    const values = parsed.values || parsed;
+
+    // Keep only known fields with non-empty text values
+    const fieldIds = new Set(fields.map(field => field.id));
+    return Object.fromEntries(
+      Object.entries(values)
+        .filter(([fieldId, value]) => fieldIds.has(fieldId) && value !== null && String(value).trim() !== '')
+        .map(([fieldId, value]) => [fieldId, String(value).trim()])
+    );
+  } catch (error) {
+    console.error('Extract Field Values Error:', error);
+    return {};
+  }
+}
+
+/**
+ * Validate if the active AI provider is configured
+ * @returns {boolean} True if the provider can make requests
  */
 export function isAPIConfigured() {
-  return !!NVIDIA_API_KEY && NVIDIA_API_KEY !== 'your_nvidia_nims_api_key_here';
+  return provider.isConfigured();
+}
+
+/**
+ * Get the name of the active AI provider
+ * @returns {string} Provider name
+ */
+export function getProviderName() {
+  return provider.name;
 }
@@ -0,0 +1,266 @@
+/**
+ * Data Export Service
+ * Exports a session's answers as structured data instead of a filled PDF:
+ * JSON (schema plus values), CSV (one row per field) and XFDF/FDF, which other
+ * PDF tools import onto the original AcroForm by field name
+ */
+
+import { applicableValues, hiddenFieldIds, requiredFieldIds } from './ruleService.js';
+
+// Export formats other than 'pdf', with their MIME type and file extension
+export const DATA_EXPORT_FORMATS = {
+  json: { mimeType: 'application/json', extension: 'json' },
+  csv: { mimeType: 'text/csv', extension: 'csv' },
+  xfdf: { mimeType: 'application/vnd.adobe.xfdf', extension: 'xfdf' },
+  fdf: { mimeType: 'application/vnd.fdf', extension: 'fdf' }
+};
+
+// Answers that check a checkbox (same list as the PDF filler)
+const CHECKED_VALUES = ['yes', 'true', '1', 'checked', 'x'];
+
+// AcroForm fields whose value is a PDF name (the selected state) rather than text
+const NAME_VALUED_FIELD_TYPES = ['PDFCheckBox', 'PDFRadioGroup'];
+
+/**
+ * Status of a field in the session
+ * @param {object} session - Session data
+ * @param {string} fieldId
+ * @param {Set<string>} hidden - Ids of fields other answers hid (not applicable)
+ * @returns {string} 'filled', 'skipped', 'hidden' or 'empty'
+ */
+function fieldStatus(session, fieldId, hidden) {
+  if (hidden.has(fieldId)) return 'hidden';
+  if (session.filledFields[fieldId]) return 'filled';
+  if ((session.skippedFields || []).includes(fieldId)) return 'skipped';
+  return 'empty';
+}
+
+/**
+ * JSON export: the schema fields with their values
+ * @param {object} session - Session data
+ * @returns {string} JSON document
+ */
+function toJSON(session) {
+  const { formSchema } = session;
+  const hidden = hiddenFieldIds(formSchema.fields, session.filledFields);
+  const filledFields = applicableValues(formSchema, session.filledFields);
+  const requiredFields = requiredFieldIds(formSchema, session.filledFields);
+
+  return JSON.stringify({
+    sessionId: session.sessionId,
+    templateName: formSchema.templateName || null,
+    exportedAt: new Date().toISOString(),
+    isComplete: session.isComplete,
+    fields: formSchema.fields.map(field => ({
+      id: field.id,
+      label: field.label,
+      type: field.type,
+      required: requiredFields.has(field.id),
+      ...(field.visibleIf && { visibleIf: field.visibleIf }),
+      ...(field.requiredIf && { requiredIf: field.requiredIf }),
+      page: field.page || 0,
+      ...(field.pdfFieldName && { pdfFieldName: field.pdfFieldName }),
+      ...(field.options && { options: field.options }),
+      value: filledFields[field.id] || null,
+      status: fieldStatus(session, field.id, hidden)
+    })),
+    values: { ...filledFields }
+  }, null, 2);
+}
+
+/**
+ * Quote a CSV cell when it contains a delimiter, quote or line break
+ * Cells a spreadsheet would run as a formula (=, +, - or @ first) are prefixed with '
+ * @param {any} value
+ * @returns {string} CSV cell
+ */
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV export: one label/value row per field
+ * @param {object} session - Session data
+ * @returns {string} CSV document
+ */
+function toCSV(session) {
+  const filledFields = applicableValues(session.formSchema, session.filledFields);
+  const rows = [['Field ID', 'Label', 'Value']];
+  session.formSchema.fields.forEach(field => {
+    rows.push([field.id, field.label, filledFields[field.id] || '']);
+  });
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Values keyed by AcroForm field name, in the form the PDF expects
+ * Fields without a pdfFieldName (scanned forms) cannot be imported and are left out,
+ * as are hidden fields
+ * @param {object} session - Session data
+ * @returns {Array<object>} [{ name, value, isName }] - isName marks PDF name values
+ *   (checkbox and radio button states)
+ */
+function acroFormValues(session) {
+  const filledFields = applicableValues(session.formSchema, session.filledFields);
+  return session.formSchema.fields
+    .filter(field => field.pdfFieldName && filledFields[field.id])
+    .map(field => {
+      const value = String(filledFields[field.id]);
+      // Schemas saved before pdfFieldType was recorded only know the field type
+      const pdfFieldType = field.pdfFieldType || (field.type === 'checkbox' ? 'PDFCheckBox' : null);
+
+      if (pdfFieldType === 'PDFCheckBox') {
+        return {
+          name: field.pdfFieldName,
+          // Checkboxes detected before their on-state was recorded use the usual "Yes"
+          value: CHECKED_VALUES.includes(value.toLowerCase()) ? field.pdfOnValue || 'Yes' : 'Off',
+          isName: true
+        };
+      }
+      return {
+        name: field.pdfFieldName,
+        value,
+        isName: NAME_VALUED_FIELD_TYPES.includes(pdfFieldType)
+      };
+    });
+}
+
+/**
+ * Escape text for XML content and attributes
+ * @param {string} text
+ * @returns {string} Escaped text
+ */
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render XFDF <field> elements, nesting dotted names (e.g. "applicant.name")
+ * as the AcroForm field hierarchy
+ * @param {Array<object>} values - [{ name, value }]
+ * @param {string} indent
+ * @returns {string} XML
+ */
+function xfdfFields(values, indent) {
+  const groups = new Map();
+  values.forEach(({ name, value }) => {
+    const [head, ...rest] = name.split('.');
+    if (!groups.has(head)) groups.set(head, { value: null, children: [] });
+    const group = groups.get(head);
+    if (rest.length === 0) {
+      group.value = value;
+    } else {
+      group.children.push({ name: rest.join('.'), value });
+    }
+  });
+
+  return [...groups].map(([name, { value, children }]) => {
+    const lines = [`${indent}<field name="${escapeXML(name)}">`];
+    if (value !== null) lines.push(`${indent}  <value>${escapeXML(value)}</value>`);
+    if (children.length > 0) lines.push(xfdfFields(children, `${indent}  `));
+    lines.push(`${indent}</field>`);
+    return lines.join('\n');
+  }).join('\n');
+}
+
+/**
+ * XFDF export
+ * @param {object} session - Session data
+ * @returns {string} XFDF document
+ */
+function toXFDF(session) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<xfdf xmlns="http://ns.adobe.com/xfdf/" xml:space="preserve">',
+    '  <fields>',
+    xfdfFields(acroFormValues(session), '    '),
+    '  </fields>',
+    '</xfdf>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Encode a PDF string: literal for ASCII, UTF-16BE hex otherwise
+ * @param {string} text
+ * @returns {string} PDF string object
+ */
+function pdfString(text) {
+  if (/^[\x20-\x7e]*$/.test(text)) {
+    return `(${text.replace(/([\\()])/g, '\\$1')})`;
+  }
+  let hex = 'FEFF';
+  for (let i = 0; i < text.length; i++) {
+    hex += text.charCodeAt(i).toString(16).padStart(4, '0').toUpperCase();
+  }
+  return `<${hex}>`;
+}
+
+/**
+ * Encode a PDF name object, escaping characters names cannot contain
+ * @param {string} name
+ * @returns {string} PDF name object
+ */
+function pdfName(name) {
+  return '/' + [...Buffer.from(name, 'utf8')].map(byte => {
+    const char = String.fromCharCode(byte);
+    return byte > 0x20 && byte < 0x7f && !/[#()<>[\]{}/%]/.test(char)
+      ? char
+      : `#${byte.toString(16).padStart(2, '0').toUpperCase()}`;
+  }).join('');
+}
+
+/**
+ * FDF export
+ * @param {object} session - Session data
+ * @returns {string} FDF document
+ */
+function toFDF(session) {
+  const fields = acroFormValues(session).map(({ name, value, isName }) =>
+    `<< /T ${pdfString(name)} /V ${isName ? pdfName(value) : pdfString(value)} >>`
+  );
+
+  return [
+    '%FDF-1.2',
+    '1 0 obj',
+    '<< /FDF << /Fields [',
+    ...fields,
+    '] >> >>',
+    'endobj',
+    'trailer',
+    '<< /Root 1 0 R >>',
+    '%%EOF',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Whether a session's form has AcroForm fields that XFDF/FDF can address
+ * @param {object} session - Session data
+ * @returns {boolean}
+ */
+export function hasAcroFormFields(session) {
+  return session.formSchema.fields.some(field => field.pdfFieldName);
+}
+
+/**
+ * Export a session's answers in a data format
+ * @param {object} session - Session data
+ * @param {string} format - One of DATA_EXPORT_FORMATS
+ * @returns {object} { content, mimeType, extension }
+ */
+export function buildDataExport(session, format) {
+  const builders = { json: toJSON, csv: toCSV, xfdf: toXFDF, fdf: toFDF };
+  const builder = builders[format];
+  if (!builder) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  return { content: builder(session), ...DATA_EXPORT_FORMATS[format] };
+}
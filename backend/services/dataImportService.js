@@ -0,0 +1,205 @@
+/**
+ * Data Import Service
+ * Reads previously filled values from JSON or XFDF files (e.g. last year's
+ * export of a related form) and maps them onto a session's fields:
+ * by pdfFieldName first, then by label or type like profile values
+ */
+
+import { validateFieldValue } from './ocrService.js';
+import { matchValuesToFields } from './profileService.js';
+
+// File formats that can be imported
+export const IMPORT_FORMATS = ['json', 'xfdf'];
+
+/**
+ * Guess the format of an imported file
+ * @param {string} fileName - Original file name
+ * @param {string} content - File content
+ * @returns {string|null} 'json', 'xfdf' or null if unknown
+ */
+export function detectImportFormat(fileName, content) {
+  const extension = (fileName || '').split('.').pop().toLowerCase();
+  if (extension === 'json') return 'json';
+  if (extension === 'xfdf' || extension === 'xml') return 'xfdf';
+
+  const start = content.trimStart();
+  if (start.startsWith('{') || start.startsWith('[')) return 'json';
+  if (start.startsWith('<')) return 'xfdf';
+  return null;
+}
+
+/**
+ * Turn an imported value into text, ignoring empty ones
+ * @param {any} value
+ * @returns {string|null}
+ */
+function importedText(value) {
+  if (value === null || value === undefined || typeof value === 'object') return null;
+  const text = String(value).trim();
+  return text || null;
+}
+
+/**
+ * Readable label for an AcroForm field name ("applicant_firstName" -> "applicant first Name")
+ * @param {string} name
+ * @returns {string}
+ */
+function labelFromFieldName(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/[_.-]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Read values from JSON
+ * Accepts this app's JSON export ({ fields: [{ label, type, pdfFieldName, value }] }),
+ * a list of { label, type, value } (profile values) or a flat { name: value } map
+ * @param {string} content
+ * @returns {Array<object>} Imported values as { pdfFieldName, label, type, value }
+ */
+function parseJSONValues(content) {
+  const data = JSON.parse(content);
+  const items = Array.isArray(data) ? data : data?.fields;
+
+  if (Array.isArray(items)) {
+    return items
+      .map(item => ({
+        pdfFieldName: item?.pdfFieldName || null,
+        label: typeof item?.label === 'string' ? item.label : labelFromFieldName(item?.pdfFieldName || ''),
+        type: item?.type || null,
+        value: importedText(item?.value)
+      }))
+      .filter(item => item.value);
+  }
+
+  if (data && typeof data === 'object') {
+    return Object.entries(data)
+      .map(([name, value]) => ({
+        pdfFieldName: name,
+        label: labelFromFieldName(name),
+        type: null,
+        value: importedText(value)
+      }))
+      .filter(item => item.value);
+  }
+
+  return [];
+}
+
+/**
+ * Decode XML character entities
+ * @param {string} text
+ * @returns {string}
+ */
+function unescapeXML(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Read values from XFDF
+ * Nested <field> elements are joined into dotted AcroForm names ("applicant.name")
+ * @param {string} content
+ * @returns {Array<object>} Imported values as { pdfFieldName, label, type, value }
+ */
+function parseXFDFValues(content) {
+  if (!/<xfdf[\s>]/.test(content)) {
+    throw new Error('Not an XFDF document');
+  }
+
+  const values = [];
+  const names = [];
+  const tokens = /<field\s+name=(["'])(.*?)\1\s*(\/?)>|<\/field\s*>|<value>([\s\S]*?)<\/value>/g;
+  let token;
+
+  while ((token = tokens.exec(content)) !== null) {
+    const [match, , name, selfClosing, value] = token;
+    if (name !== undefined) {
+      if (!selfClosing) names.push(unescapeXML(name));
+    } else if (match.startsWith('</field')) {
+      names.pop();
+    } else if (names.length > 0) {
+      const text = importedText(unescapeXML(value));
+      if (text) {
+        values.push({
+          pdfFieldName: names.join('.'),
+          label: labelFromFieldName(names[names.length - 1]),
+          type: null,
+          value: text
+        });
+      }
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Read the values in an imported file
+ * @param {string} content - File content
+ * @param {string} format - 'json' or 'xfdf'
+ * @returns {Array<object>} Imported values as { pdfFieldName, label, type, value }
+ */
+export function parseImportedValues(content, format) {
+  return format === 'json' ? parseJSONValues(content) : parseXFDFValues(content);
+}
+
+/**
+ * Map imported values onto a form's empty fields
+ * An exact pdfFieldName match wins; the rest are matched by label or type.
+ * Every value is validated for the field it lands in
+ * @param {Array<object>} importedValues - From parseImportedValues
+ * @param {Array} fields - Form fields
+ * @param {object} filledFields - Values already in the session (left untouched)
+ * @param {object} locale - Form locale the values are validated for (see formLocale)
+ * @returns {object} { matches: { fieldId: value }, rejected: [{ fieldId, fieldLabel, value, message }],
+ *   unmatched: [names of imported values no field took] }
+ */
+export function matchImportedValues(importedValues, fields, filledFields = {}, locale) {
+  const matches = {};
+  const rejected = [];
+  const remaining = [];
+
+  importedValues.forEach(imported => {
+    const field = imported.pdfFieldName && fields.find(f =>
+      f.pdfFieldName === imported.pdfFieldName && !filledFields[f.id] && !matches[f.id]
+    );
+    if (!field) {
+      remaining.push(imported);
+      return;
+    }
+
+    const validation = validateFieldValue(field.type, imported.value, field, locale);
+    if (validation.valid) {
+      matches[field.id] = validation.value;
+    } else {
+      rejected.push({ fieldId: field.id, fieldLabel: field.label, value: imported.value, message: validation.message });
+    }
+  });
+
+  const rejectedIds = new Set(rejected.map(failure => failure.fieldId));
+  const byLabel = matchValuesToFields(
+    remaining,
+    fields.filter(field => !rejectedIds.has(field.id)),
+    { ...filledFields, ...matches },
+    locale
+  );
+
+  // Values that were tried but failed validation are already reported as rejected
+  const unmatched = byLabel.unusedValues
+    .filter(imported => !byLabel.rejected.some(failure => failure.value === imported.value))
+    .map(imported => imported.pdfFieldName || imported.label);
+
+  return {
+    matches: { ...matches, ...byLabel.matches },
+    rejected: [...rejected, ...byLabel.rejected],
+    unmatched
+  };
+}
@@ -0,0 +1,121 @@
+/**
+ * Form Flow Service
+ * Decides which field the conversation asks next and when a form is complete
+ * Fields hidden by earlier answers (see ruleService) are passed over
+ * Also recognizes "skip" and "go to field X" chat commands; anything else is an answer
+ */
+
+import { applicableValues, hiddenFieldIds, requiredFieldIds } from './ruleService.js';
+
+const SKIP_COMMAND = /^(skip|skip it|skip this|skip this one|skip this field)[.!]?$/i;
+// Also real answers (e.g. "N/A" for a required field), so only a skip for optional fields
+const OPTIONAL_SKIP_COMMAND = /^(pass|n\/a|not applicable)[.!]?$/i;
+const GO_TO_COMMAND = /^(?:go|jump|back)\s*to\s+field\s+(.+?)[.!?]?$/i;
+
+/**
+ * Check whether a field is hidden by the answers so far
+ * @param {object} session - Session data
+ * @param {object} field - Schema field
+ * @returns {boolean} True if the field does not apply
+ */
+export function isFieldHidden(session, field) {
+  return hiddenFieldIds(session.formSchema.fields, session.filledFields).has(field.id);
+}
+
+/**
+ * Check whether a field still needs an answer (shown, neither filled nor skipped)
+ * A skipped field is pending again once another answer makes it required
+ * @param {object} session - Session data
+ * @param {object} field - Schema field
+ * @returns {boolean} True if the field is pending
+ */
+export function isFieldPending(session, field) {
+  const skippedFields = session.skippedFields || [];
+  if (session.filledFields[field.id] || isFieldHidden(session, field)) return false;
+  return !skippedFields.includes(field.id)
+    || requiredFieldIds(session.formSchema, session.filledFields).has(field.id);
+}
+
+/**
+ * Find the next pending field, wrapping around to earlier fields
+ * @param {object} session - Session data
+ * @param {number} fromIndex - Index to start searching at
+ * @returns {number} Field index, or the field count if no field is pending
+ */
+export function findNextPendingFieldIndex(session, fromIndex) {
+  const { fields } = session.formSchema;
+  const isPending = (index) => isFieldPending(session, fields[index]);
+
+  for (let index = fromIndex; index < fields.length; index++) {
+    if (isPending(index)) return index;
+  }
+  for (let index = 0; index < Math.min(fromIndex, fields.length); index++) {
+    if (isPending(index)) return index;
+  }
+  return fields.length;
+}
+
+/**
+ * Index of the field the conversation is on
+ * If earlier answers have hidden the current field since, the next pending field takes its place
+ * @param {object} session - Session data
+ * @returns {number} Field index, or the field count if no field is left to ask
+ */
+export function resolveCurrentFieldIndex(session) {
+  const { currentFieldIndex } = session;
+  const currentField = session.formSchema.fields[currentFieldIndex];
+  if (!currentField || !isFieldHidden(session, currentField)) {
+    return currentFieldIndex;
+  }
+  return findNextPendingFieldIndex(session, currentFieldIndex);
+}
+
+/**
+ * A form is complete once every required field that is shown has a value
+ * (conditionally required fields included, see ruleService)
+ * @param {object} session - Session data
+ * @returns {boolean} True if the form can be exported
+ */
+export function isFormComplete(session) {
+  const { formSchema } = session;
+  const required = requiredFieldIds(formSchema, session.filledFields);
+  const values = applicableValues(formSchema, session.filledFields);
+  return formSchema.fields.every(field => !required.has(field.id) || !!values[field.id]);
+}
+
+/**
+ * Check whether a chat message asks to skip the current field
+ * @param {string} message - User message
+ * @param {boolean} optional - Whether the current field may be skipped
+ * @returns {boolean} True for "skip" and similar; "n/a" and "pass" only for optional fields
+ */
+export function isSkipCommand(message, optional) {
+  const text = message.trim();
+  return SKIP_COMMAND.test(text) || (optional && OPTIONAL_SKIP_COMMAND.test(text));
+}
+
+/**
+ * Parse a "go to field X" chat command
+ * X may be a field number (1-based) or (part of) a field label
+ * @param {string} message - User message
+ * @param {Array} fields - Form fields
+ * @returns {object|null} null if the message is not a go-to command,
+ *   otherwise { field, target } with field null when nothing matched
+ */
+export function parseGoToCommand(message, fields) {
+  const match = message.trim().match(GO_TO_COMMAND);
+  if (!match) return null;
+
+  const target = match[1].trim();
+  const targetLower = target.toLowerCase();
+
+  const fieldNumber = parseInt(target, 10);
+  if (String(fieldNumber) === target) {
+    return { field: fields[fieldNumber - 1] || null, target };
+  }
+
+  const field = fields.find(f => f.label.toLowerCase() === targetLower)
+    || fields.find(f => f.label.toLowerCase().includes(targetLower));
+
+  return { field: field || null, target };
+}
@@ -0,0 +1,246 @@
+/**
+ * Language Service
+ * Languages forms can be processed and filled in: the Tesseract language pack
+ * used for OCR, the keywords that identify field types in each language, and
+ * detection of a form's language from its text
+ */
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Language code -> display names and Tesseract language pack
+export const SUPPORTED_LANGUAGES = {
+  en: { name: 'English', nativeName: 'English', tesseract: 'eng' },
+  hi: { name: 'Hindi', nativeName: 'हिन्दी', tesseract: 'hin' },
+  es: { name: 'Spanish', nativeName: 'Español', tesseract: 'spa' },
+  fr: { name: 'French', nativeName: 'Français', tesseract: 'fra' }
+};
+
+/**
+ * Keywords identifying each field type, per language
+ * Types are tried in this order, so more specific types come first where it matters.
+ * Spaces inside a keyword match any amount of whitespace ("full name", "fullname").
+ * 'ssn' is validated as a US number, so other countries' ID documents (DNI, NIR...)
+ * are left as text; Aadhaar and PAN have types of their own
+ */
+const FIELD_KEYWORDS = {
+  en: {
+    name: ['name', 'full name', 'first name', 'last name', 'middle name', 'applicant name', 'student name', 'parent name', 'guardian name', 'surname', 'given name'],
+    email: ['email', 'e-mail', 'email address', 'electronic mail'],
+    phone: ['phone', 'telephone', 'mobile', 'cell', 'contact number', 'phone number', 'tel', 'contact no'],
+    postal: ['zip', 'zip code', 'postal code', 'postcode', 'pin code', 'pincode'],
+    address: ['address', 'street', 'residence', 'location', 'city', 'state', 'province', 'country'],
+    date: ['date', 'dob', 'birth date', 'date of birth', 'admission date', 'enrollment date', 'year', 'month', 'day'],
+    aadhaar: ['aadhaar', 'aadhar', 'aadhaar number', 'uid', 'uidai'],
+    pan: ['pan', 'pan number', 'pan card', 'permanent account number'],
+    ssn: ['ssn', 'social security', 'tax id', 'national id', 'id number', 'identification'],
+    gender: ['gender', 'sex', 'male', 'female'],
+    age: ['age', 'years old'],
+    grade: ['grade', 'class', 'standard', 'level', 'year'],
+    school: ['school', 'institution', 'college', 'university', 'previous school'],
+    parent: ['parent', 'father', 'mother', 'guardian', 'emergency contact'],
+    occupation: ['occupation', 'profession', 'job', 'employment', 'work'],
+    income: ['income', 'salary', 'annual income'],
+    religion: ['religion', 'caste', 'category'],
+    nationality: ['nationality', 'citizenship', 'country of origin'],
+    signature: ['signature', 'sign here', 'applicant signature', 'parent signature'],
+    checkbox: ['check', 'select', 'tick', 'mark', 'yes', 'no', 'agree', 'consent'],
+    text: ['describe', 'explain', 'provide', 'enter', 'write', 'details', 'information', 'remarks', 'comments']
+  },
+  hi: {
+    name: ['नाम', 'पूरा नाम', 'उपनाम', 'आवेदक का नाम', 'छात्र का नाम'],
+    email: ['ईमेल', 'ई-मेल', 'ईमेल पता'],
+    phone: ['फ़ोन', 'फोन', 'मोबाइल', 'दूरभाष', 'संपर्क नंबर', 'मोबाइल नंबर', 'फ़ोन नंबर'],
+    postal: ['पिन कोड', 'पिनकोड'],
+    address: ['पता', 'स्थायी पता', 'वर्तमान पता', 'शहर', 'राज्य', 'ज़िला', 'जिला', 'गाँव', 'गांव', 'देश'],
+    date: ['तिथि', 'तारीख', 'दिनांक', 'जन्म तिथि', 'जन्मतिथि', 'वर्ष', 'महीना'],
+    aadhaar: ['आधार', 'आधार संख्या', 'आधार नंबर'],
+    pan: ['पैन', 'पैन नंबर', 'स्थायी खाता संख्या'],
+    gender: ['लिंग', 'पुरुष', 'महिला'],
+    age: ['आयु', 'उम्र'],
+    grade: ['कक्षा', 'श्रेणी'],
+    school: ['विद्यालय', 'स्कूल', 'महाविद्यालय', 'विश्वविद्यालय', 'संस्थान'],
+    parent: ['पिता', 'माता', 'अभिभावक', 'संरक्षक'],
+    occupation: ['व्यवसाय', 'पेशा', 'नौकरी', 'रोज़गार'],
+    income: ['आय', 'वार्षिक आय', 'वेतन'],
+    religion: ['धर्म', 'जाति', 'वर्ग'],
+    nationality: ['राष्ट्रीयता', 'नागरिकता'],
+    signature: ['हस्ताक्षर'],
+    checkbox: ['हाँ', 'हां', 'नहीं', 'सहमति', 'सहमत', 'चुनें'],
+    text: ['विवरण', 'टिप्पणी', 'जानकारी', 'लिखें']
+  },
+  es: {
+    name: ['nombre', 'nombre completo', 'nombres', 'apellido', 'apellidos', 'primer apellido', 'segundo apellido'],
+    email: ['correo', 'correo electrónico', 'email', 'e-mail'],
+    phone: ['teléfono', 'telefono', 'móvil', 'movil', 'celular', 'número de teléfono', 'tel'],
+    postal: ['código postal', 'codigo postal', 'c.p.'],
+    address: ['dirección', 'direccion', 'domicilio', 'calle', 'ciudad', 'localidad', 'municipio', 'provincia', 'estado', 'país', 'pais'],
+    date: ['fecha', 'fecha de nacimiento', 'año', 'mes', 'día'],
+    gender: ['sexo', 'género', 'genero', 'masculino', 'femenino'],
+    age: ['edad'],
+    grade: ['curso', 'grado', 'nivel'],
+    school: ['escuela', 'colegio', 'instituto', 'universidad', 'centro educativo'],
+    parent: ['padre', 'madre', 'tutor', 'tutora', 'contacto de emergencia'],
+    occupation: ['ocupación', 'ocupacion', 'profesión', 'profesion', 'empleo', 'trabajo'],
+    income: ['ingresos', 'salario', 'sueldo'],
+    religion: ['religión', 'religion'],
+    nationality: ['nacionalidad', 'ciudadanía'],
+    signature: ['firma', 'firme aquí'],
+    checkbox: ['marque', 'seleccione', 'sí', 'acepto', 'consentimiento'],
+    text: ['describa', 'explique', 'detalles', 'información', 'observaciones', 'comentarios']
+  },
+  fr: {
+    name: ['nom', 'prénom', 'prenom', 'nom complet', 'nom de famille', 'prénoms'],
+    email: ['courriel', 'e-mail', 'email', 'adresse électronique', 'mail'],
+    phone: ['téléphone', 'telephone', 'portable', 'mobile', 'tél', 'tel'],
+    postal: ['code postal', 'cp'],
+    address: ['adresse', 'rue', 'domicile', 'ville', 'commune', 'région', 'département', 'pays'],
+    date: ['date', 'date de naissance', 'né le', 'née le', 'année', 'mois', 'jour'],
+    gender: ['sexe', 'genre', 'masculin', 'féminin'],
+    age: ['âge', 'age'],
+    grade: ['classe', 'niveau'],
+    school: ['école', 'ecole', 'collège', 'lycée', 'université', 'établissement'],
+    parent: ['père', 'mère', 'parent', 'tuteur', 'tutrice', "personne à prévenir"],
+    occupation: ['profession', 'emploi', 'métier', 'activité professionnelle'],
+    income: ['revenu', 'revenus', 'salaire'],
+    religion: ['religion'],
+    nationality: ['nationalité', 'citoyenneté'],
+    signature: ['signature', 'signez ici'],
+    checkbox: ['cochez', 'sélectionnez', 'oui', 'non', "j'accepte", 'consentement'],
+    text: ['décrivez', 'expliquez', 'précisez', 'détails', 'informations', 'remarques', 'commentaires', 'observations']
+  }
+};
+
+// Words marking a field as optional, per language
+const OPTIONAL_KEYWORDS = {
+  en: ['optional', 'if applicable'],
+  hi: ['वैकल्पिक', 'यदि लागू हो'],
+  es: ['opcional', 'si procede', 'si aplica'],
+  fr: ['facultatif', 'facultative', 'optionnel', 'le cas échéant', 's\'il y a lieu']
+};
+
+// Headings and filler words that are never field labels, per language
+const SKIP_WORDS = {
+  en: ['section', 'part', 'page', 'form', 'instructions', 'note', 'please', 'kindly', 'total', 'subtotal', 'amount', 'the', 'and', 'or', 'for', 'to', 'in', 'of', 'is', 'are', 'was', 'were'],
+  hi: ['खंड', 'भाग', 'पृष्ठ', 'फ़ॉर्म', 'फॉर्म', 'प्रपत्र', 'निर्देश', 'नोट', 'कृपया', 'कुल', 'और', 'या', 'का', 'की', 'के', 'में', 'है'],
+  es: ['sección', 'parte', 'página', 'formulario', 'instrucciones', 'nota', 'por favor', 'total', 'subtotal', 'importe', 'el', 'la', 'los', 'las', 'y', 'o', 'de', 'del', 'en', 'para', 'es'],
+  fr: ['section', 'partie', 'page', 'formulaire', 'instructions', 'note', 'veuillez', 'total', 'sous-total', 'montant', 'le', 'la', 'les', 'et', 'ou', 'de', 'des', 'du', 'en', 'pour', 'est']
+};
+
+// Common words that tell Latin-script languages apart
+const COMMON_WORDS = {
+  en: ['the', 'and', 'of', 'your', 'please', 'with', 'this', 'if', 'yes', 'no'],
+  es: ['el', 'los', 'las', 'y', 'del', 'su', 'por', 'con', 'para', 'una', 'sí'],
+  fr: ['le', 'les', 'et', 'des', 'du', 'votre', 'vos', 'pour', 'avec', 'une', 'oui', 'non']
+};
+
+// Letters and marks, so keywords only match whole words in every script
+const WORD_CHAR = '[\\p{L}\\p{M}\\p{N}_]';
+
+/**
+ * Build a case-insensitive regex matching any of the keywords as whole words
+ * @param {Array<string>} keywords
+ * @param {object} options
+ * @param {boolean} options.exact - Match the whole text instead of a word inside it
+ * @returns {RegExp}
+ */
+function keywordPattern(keywords, { exact = false } = {}) {
+  const alternatives = keywords
+    .map(keyword => keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s*'))
+    .join('|');
+  return exact
+    ? new RegExp(`^(${alternatives})$`, 'iu')
+    : new RegExp(`(?<!${WORD_CHAR})(${alternatives})(?!${WORD_CHAR})`, 'iu');
+}
+
+/**
+ * Whether a language code is supported
+ * @param {string} language
+ * @returns {boolean}
+ */
+export function isSupportedLanguage(language) {
+  return Object.prototype.hasOwnProperty.call(SUPPORTED_LANGUAGES, language);
+}
+
+/**
+ * Tesseract language string for OCR
+ * English is added to every language, since forms often mix it in;
+ * without a language (auto-detection) all supported packs are loaded
+ * @param {string|null} language - Language code, or null to detect
+ * @returns {string} e.g. 'spa+eng'
+ */
+export function tesseractLanguages(language = null) {
+  if (!language) {
+    return Object.values(SUPPORTED_LANGUAGES).map(entry => entry.tesseract).join('+');
+  }
+  const packs = [SUPPORTED_LANGUAGES[language].tesseract, SUPPORTED_LANGUAGES[DEFAULT_LANGUAGE].tesseract];
+  return [...new Set(packs)].join('+');
+}
+
+const detectionPatternCache = new Map();
+
+/**
+ * Patterns used to detect fields in a form of the given language
+ * English keywords are always included, after the language's own
+ * @param {string} language - Language code
+ * @returns {object} { fieldPatterns: { type: RegExp }, optionalPattern: RegExp, skipPattern: RegExp }
+ */
+export function getDetectionPatterns(language = DEFAULT_LANGUAGE) {
+  const code = isSupportedLanguage(language) ? language : DEFAULT_LANGUAGE;
+  if (detectionPatternCache.has(code)) return detectionPatternCache.get(code);
+
+  const codes = [...new Set([code, DEFAULT_LANGUAGE])];
+  const fieldPatterns = {};
+  Object.keys(FIELD_KEYWORDS[DEFAULT_LANGUAGE]).forEach(type => {
+    fieldPatterns[type] = keywordPattern(codes.flatMap(c => FIELD_KEYWORDS[c][type] || []));
+  });
+
+  const patterns = {
+    fieldPatterns,
+    optionalPattern: keywordPattern(codes.flatMap(c => OPTIONAL_KEYWORDS[c])),
+    skipPattern: keywordPattern(codes.flatMap(c => SKIP_WORDS[c]), { exact: true })
+  };
+  detectionPatternCache.set(code, patterns);
+  return patterns;
+}
+
+/**
+ * Detect the language of a form from its text
+ * Devanagari text is Hindi; Latin-script languages are told apart by
+ * common words, field keywords and language-specific letters
+ * @param {string} text - Extracted form text
+ * @returns {string} Language code (DEFAULT_LANGUAGE when nothing stands out)
+ */
+export function detectLanguage(text = '') {
+  const letters = text.match(/\p{L}/gu) || [];
+  if (letters.length === 0) return DEFAULT_LANGUAGE;
+
+  const devanagari = letters.filter(char => /\p{Script=Devanagari}/u.test(char)).length;
+  if (devanagari / letters.length > 0.3) return 'hi';
+
+  const words = (text.toLowerCase().match(/[\p{L}\p{M}'-]+/gu) || []);
+  const scores = {};
+  ['en', 'es', 'fr'].forEach(code => {
+    const common = new Set(COMMON_WORDS[code]);
+    const keywords = new Set(Object.values(FIELD_KEYWORDS[code]).flat().filter(keyword => !keyword.includes(' ')));
+    scores[code] = words.reduce((score, word) =>
+      score + (common.has(word) ? 1 : 0) + (keywords.has(word) ? 2 : 0), 0);
+  });
+  scores.es += (text.match(/[ñ¿¡]/gi) || []).length * 2;
+  scores.fr += (text.match(/[çèêëàâîïôûœ]/gi) || []).length * 2;
+
+  // English wins ties, so mostly-English forms with a few shared words stay English
+  const [best] = Object.entries(scores).sort(([codeA, a], [codeB, b]) =>
+    b - a || (codeA === DEFAULT_LANGUAGE ? -1 : codeB === DEFAULT_LANGUAGE ? 1 : 0)
+  );
+  return best[1] > 0 ? best[0] : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Display name of a language for prompts and messages
+ * @param {string} language - Language code
+ * @returns {string} e.g. 'Spanish (Español)'
+ */
+export function languageName(language) {
+  const entry = SUPPORTED_LANGUAGES[language] || SUPPORTED_LANGUAGES[DEFAULT_LANGUAGE];
+  return entry.name === entry.nativeName ? entry.name : `${entry.name} (${entry.nativeName})`;
+}
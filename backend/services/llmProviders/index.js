@@ -0,0 +1,54 @@
+/**
+ * LLM Providers
+ * Creates the provider selected by AI_PROVIDER:
+ * - nvidia (default): NVIDIA NIMs (NVIDIA_API_KEY, NVIDIA_API_URL, AI_MODEL)
+ * - openai: any OpenAI-compatible endpoint, including local llama.cpp/Ollama (AI_API_URL, AI_API_KEY, AI_MODEL)
+ * - template: deterministic questions, no model needed
+ *
+ * Every provider implements name, isConfigured(), complete(messages, context)
+ * and stream(messages, onChunk, context)
+ */
+
+import { OpenAICompatibleProvider } from './openaiCompatibleProvider.js';
+import { TemplateProvider } from './templateProvider.js';
+
+const DEFAULT_MODEL = 'mistralai/mistral-large-3-675b-instruct-2512';
+
+/**
+ * Create the provider configured in the environment
+ * @returns {object} LLM provider
+ */
+export function createProvider() {
+  const providerName = (process.env.AI_PROVIDER || 'nvidia').toLowerCase();
+
+  switch (providerName) {
+    case 'openai':
+      return new OpenAICompatibleProvider({
+        name: 'openai',
+        apiUrl: process.env.AI_API_URL,
+        apiKey: process.env.AI_API_KEY,
+        model: process.env.AI_MODEL
+      });
+    case 'template':
+      return new TemplateProvider();
+    case 'nvidia':
+      return createNvidiaProvider();
+    default:
+      console.warn(`Unknown AI_PROVIDER "${providerName}", falling back to nvidia`);
+      return createNvidiaProvider();
+  }
+}
+
+/**
+ * NVIDIA NIMs speaks the OpenAI chat completions protocol
+ * @returns {OpenAICompatibleProvider} NVIDIA provider
+ */
+function createNvidiaProvider() {
+  return new OpenAICompatibleProvider({
+    name: 'nvidia',
+    apiUrl: process.env.NVIDIA_API_URL || 'https://integrate.api.nvidia.com/v1/chat/completions',
+    apiKey: process.env.NVIDIA_API_KEY,
+    model: process.env.AI_MODEL || DEFAULT_MODEL,
+    requiresApiKey: true
+  });
+}
@@ -0,0 +1,132 @@
+/**
+ * OpenAI-Compatible Provider
+ * Talks to any /v1/chat/completions endpoint: NVIDIA NIMs, OpenAI,
+ * or a local llama.cpp / Ollama server
+ */
+
+export class OpenAICompatibleProvider {
+  /**
+   * @param {object} config
+   * @param {string} config.name - Provider name used in logs and errors
+   * @param {string} config.apiUrl - Chat completions endpoint
+   * @param {string} config.apiKey - Bearer token (optional for local servers)
+   * @param {string} config.model - Model name
+   * @param {boolean} config.requiresApiKey - Whether the endpoint needs an API key
+   */
+  constructor({ name, apiUrl, apiKey, model, requiresApiKey = false }) {
+    this.name = name;
+    this.apiUrl = apiUrl;
+    this.apiKey = apiKey;
+    this.model = model;
+    this.requiresApiKey = requiresApiKey;
+  }
+
+  /**
+   * Check whether the provider has what it needs to make requests
+   * @returns {boolean} True if configured
+   */
+  isConfigured() {
+    if (!this.apiUrl) return false;
+    if (!this.requiresApiKey) return true;
+    return !!this.apiKey && !/^your_.*_here$/.test(this.apiKey);
+  }
+
+  /**
+   * Send a chat completion request
+   * @param {Array} messages - Conversation messages
+   * @param {object} options
+   * @param {boolean} options.stream - Request a streamed response
+   * @param {AbortSignal} options.signal - Aborts the request
+   * @returns {Promise<Response>} Fetch response
+   */
+  async request(messages, { stream = false, signal } = {}) {
+    const headers = {
+      'Content-Type': 'application/json'
+    };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    if (stream) {
+      headers['Accept'] = 'text/event-stream';
+    }
+
+    const response = await fetch(this.apiUrl, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: this.model,
+        messages: messages,
+        temperature: 0.7,
+        max_tokens: 500,
+        top_p: 0.9,
+        ...(stream && { stream: true })
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error(`${this.name} API Error:`, errorText);
+      throw new Error(`${this.name} API request failed: ${response.status} ${response.statusText}`);
+    }
+
+    return response;
+  }
+
+  /**
+   * Get a full completion
+   * @param {Array} messages - Conversation messages
+   * @param {object} context
+   * @param {AbortSignal} context.signal - Aborts the request
+   * @returns {Promise<string>} AI message content
+   */
+  async complete(messages, { signal } = {}) {
+    const response = await this.request(messages, { signal });
+    const data = await response.json();
+    return data.choices[0].message.content;
+  }
+
+  /**
+   * Get a completion streamed over Server-Sent Events
+   * @param {Array} messages - Conversation messages
+   * @param {Function} onChunk - Called with each piece of generated content
+   * @param {object} context
+   * @param {AbortSignal} context.signal - Aborts the request
+   * @returns {Promise<string>} Full AI message content
+   */
+  async stream(messages, onChunk, { signal } = {}) {
+    const response = await this.request(messages, { stream: true, signal });
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let content = '';
+
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+
+        const payload = trimmed.slice(5).trim();
+        if (payload === '[DONE]') continue;
+
+        try {
+          const delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+          if (delta) {
+            content += delta;
+            onChunk(delta);
+          }
+        } catch (parseError) {
+          console.warn('Skipping malformed stream chunk');
+        }
+      }
+    }
+
+    return content;
+  }
+}
+
+export default OpenAICompatibleProvider;
@@ -0,0 +1,202 @@
+/**
+ * Template Provider
+ * Deterministic question generation without any language model
+ * Asks for the current field with a fixed, type-specific phrasing in the
+ * conversation language
+ */
+
+/**
+ * Question templates per language and field type ({label} is replaced with the field label,
+ * {format} with the date format answers are stored in)
+ */
+const QUESTION_TEMPLATES = {
+  en: {
+    name: 'What is your {label}?',
+    email: 'What is your {label}? (e.g. name@example.com)',
+    phone: 'What is your {label}? Please include the area code.',
+    date: 'What is the {label}? Please use the format {format}.',
+    ssn: 'What is your {label}? (XXX-XX-XXXX)',
+    checkbox: '{label} - yes or no?',
+    signature: 'Please type your full name to sign as {label}.',
+    address: 'What is your {label}?',
+    default: 'Please provide your {label}.'
+  },
+  hi: {
+    name: 'आपका {label} क्या है?',
+    email: 'आपका {label} क्या है? (जैसे name@example.com)',
+    phone: 'आपका {label} क्या है? कृपया एरिया कोड भी लिखें।',
+    date: '{label} क्या है? कृपया {format} प्रारूप में लिखें।',
+    checkbox: '{label} - हाँ या नहीं?',
+    signature: '{label} के रूप में हस्ताक्षर करने के लिए कृपया अपना पूरा नाम लिखें।',
+    address: 'आपका {label} क्या है?',
+    default: 'कृपया अपना {label} बताएँ।'
+  },
+  es: {
+    name: '¿Cuál es su {label}?',
+    email: '¿Cuál es su {label}? (p. ej. nombre@ejemplo.com)',
+    phone: '¿Cuál es su {label}? Incluya el prefijo.',
+    date: '¿Cuál es la {label}? Use el formato {format}.',
+    checkbox: '{label}: ¿sí o no?',
+    signature: 'Escriba su nombre completo para firmar como {label}.',
+    address: '¿Cuál es su {label}?',
+    default: 'Indique su {label}.'
+  },
+  fr: {
+    name: 'Quel est votre {label} ?',
+    email: 'Quelle est votre {label} ? (ex. nom@exemple.com)',
+    phone: 'Quel est votre {label} ? Indiquez l\'indicatif.',
+    date: 'Quelle est la {label} ? Utilisez le format {format}.',
+    checkbox: '{label} : oui ou non ?',
+    signature: 'Saisissez votre nom complet pour signer en tant que {label}.',
+    address: 'Quelle est votre {label} ?',
+    default: 'Veuillez indiquer votre {label}.'
+  }
+};
+
+/**
+ * Other phrases per language ({options} is replaced with a choice field's options)
+ */
+const PHRASES = {
+  en: {
+    choice: 'Please choose your {label}: {options}.',
+    optional: '(optional)',
+    complete: 'All fields have been filled! You can now export your form.'
+  },
+  hi: {
+    choice: 'कृपया अपना {label} चुनें: {options}।',
+    optional: '(वैकल्पिक)',
+    complete: 'सभी फ़ील्ड भर दिए गए हैं! अब आप अपना फ़ॉर्म एक्सपोर्ट कर सकते हैं।'
+  },
+  es: {
+    choice: 'Elija su {label}: {options}.',
+    optional: '(opcional)',
+    complete: '¡Todos los campos están completos! Ya puede exportar su formulario.'
+  },
+  fr: {
+    choice: 'Choisissez votre {label} : {options}.',
+    optional: '(facultatif)',
+    complete: 'Tous les champs sont remplis ! Vous pouvez maintenant exporter votre formulaire.'
+  }
+};
+
+/**
+ * Patterns used to recognize typed values in a free-form answer
+ */
+const VALUE_PATTERNS = {
+  email: /[^\s@,;]+@[^\s@,;]+\.[^\s@,;]+/,
+  date: /\b\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4}\b/,
+  phone: /\+?[\d\s\-()]{10,}/
+};
+
+/**
+ * Recognize typed values (email, date, phone) in a free-form answer
+ * A part is only taken when the value is all it says, apart from one word
+ * such as "born" ("Moved on 03/04/2020" stays text). Leftover text goes to
+ * the field the user was asked about, as typed if no part was taken
+ * @param {string} message - User answer
+ * @param {Array} fields - Fields that may be filled
+ * @param {object|undefined} currentField - Field the user was asked about
+ * @returns {object} { fieldId: value } pairs
+ */
+function extractValues(message, fields, currentField) {
+  const values = {};
+  const leftovers = [];
+
+  message.split(/[,;\n]/).map(part => part.trim()).filter(Boolean).forEach(part => {
+    for (const [type, pattern] of Object.entries(VALUE_PATTERNS)) {
+      const match = part.match(pattern);
+      const otherWords = match ? part.replace(match[0], ' ').split(/\s+/).filter(Boolean) : [];
+      const field = match && otherWords.length <= 1 && fields.find(f => f.type === type && !values[f.id]);
+      if (field) {
+        values[field.id] = match[0].trim();
+        return;
+      }
+    }
+    leftovers.push(part);
+  });
+
+  if (currentField && !values[currentField.id] && leftovers.length > 0) {
+    values[currentField.id] = Object.keys(values).length > 0 ? leftovers.join(', ') : message.trim();
+  }
+
+  return values;
+}
+
+export class TemplateProvider {
+  constructor() {
+    this.name = 'template';
+  }
+
+  /**
+   * The template provider needs no configuration
+   * @returns {boolean} Always true
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Build the question for the current field as the JSON the AI would return
+   * For the 'extract' task, recognizes field values in the user's answer instead
+   * @param {Array} messages - Conversation messages (unused)
+   * @param {object} context
+   * @param {object|undefined} context.currentField - Field to ask about next
+   * @param {boolean} context.required - Whether the current field needs an answer now
+   * @param {string} context.language - Conversation language code (English if unknown)
+   * @param {string} context.dateFormat - Format of the current field if it is a date
+   * @param {string} context.task - 'extract' to pull values out of context.userMessage
+   * @returns {Promise<string>} JSON response content
+   */
+  async complete(messages, { currentField, required = !!currentField?.required, language, dateFormat = 'MM/DD/YYYY', task, fields = [], userMessage = '' } = {}) {
+    if (task === 'extract') {
+      return JSON.stringify({ values: extractValues(userMessage, fields, currentField) });
+    }
+
+    // Types a language has no template for (e.g. US SSN outside English) use its default
+    const templates = QUESTION_TEMPLATES[language] || QUESTION_TEMPLATES.en;
+    const phrases = PHRASES[language] || PHRASES.en;
+
+    if (!currentField) {
+      return JSON.stringify({
+        question: phrases.complete,
+        isComplete: true
+      });
+    }
+
+    let question;
+    if (currentField.type === 'choice' && currentField.options) {
+      question = phrases.choice
+        .replace('{label}', currentField.label)
+        .replace('{options}', currentField.options.join(', '));
+    } else {
+      const template = templates[currentField.type] || templates.default;
+      question = template.replace('{label}', currentField.label).replace('{format}', dateFormat);
+    }
+    if (!required) {
+      question += ` ${phrases.optional}`;
+    }
+
+    return JSON.stringify({
+      question,
+      fieldId: currentField.id,
+      fieldLabel: currentField.label,
+      fieldType: currentField.type,
+      isComplete: false
+    });
+  }
+
+  /**
+   * "Stream" the templated response as a single chunk
+   * @param {Array} messages - Conversation messages (unused)
+   * @param {Function} onChunk - Called with the response content
+   * @param {object} context - Same as complete()
+   * @returns {Promise<string>} JSON response content
+   */
+  async stream(messages, onChunk, context = {}) {
+    const content = await this.complete(messages, context);
+    onChunk(content);
+    return content;
+  }
+}
+
+export default TemplateProvider;
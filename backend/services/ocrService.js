@@ -5,31 +5,45 @@
  */
 
 import Tesseract from 'tesseract.js';
+import { loadImage } from '@napi-rs/canvas';
 import pdfParse from 'pdf-parse';
 import fs from 'fs/promises';
 import path from 'path';
+import { renderPDFPages } from '../utils/pdfRenderer.js';
+import { hashFile, hashText } from '../utils/fingerprint.js';
+import {
+  DEFAULT_LANGUAGE,
+  detectLanguage,
+  getDetectionPatterns,
+  tesseractLanguages
+} from './languageService.js';
+import { detectDateFormat, formLocale, normalizeValue } from './validationService.js';
 
 /**
  * Extract text and coordinates from image using Tesseract OCR
- * @param {string} imagePath - Path to image file
+ * @param {string|Buffer} image - Path to image file or image data
+ * @param {string} ocrLanguages - Tesseract language packs (e.g. 'hin+eng')
  * @returns {Promise<object>} Extracted text and word data with coordinates
  */
-async function extractTextFromImage(imagePath) {
+async function extractTextFromImage(image, ocrLanguages = 'eng') {
   try {
-    const result = await Tesseract.recognize(imagePath, 'eng', {
+    const result = await Tesseract.recognize(image, ocrLanguages, {
       logger: (m) => {
         if (m.status === 'recognizing text') {
           console.log(`OCR Progress: ${Math.round(m.progress * 100)}%`);
         }
       }
     });
+
+    // Tesseract.js does not report the source size, so read it from the image itself
+    const { width, height } = await loadImage(image);
     
     return {
       text: result.data.text,
       words: result.data.words, // Contains bounding box coordinates
       lines: result.data.lines,
-      imageWidth: result.data.imageWidth,
-      imageHeight: result.data.imageHeight
+      imageWidth: width,
+      imageHeight: height
     };
   } catch (error) {
     console.error('OCR Error:', error);
@@ -38,20 +52,59 @@ async function extractTextFromImage(imagePath) {
 }
 
 /**
- * Extract text from PDF
+ * Extract text and word positions from each page of a PDF
+ * Positions are converted to a top-left origin so they match OCR bounding boxes
  * @param {string} pdfPath - Path to PDF file
- * @returns {Promise<object>} Extracted text and metadata
+ * @returns {Promise<object>} Extracted text, per-page word data and metadata
  */
 async function extractTextFromPDF(pdfPath) {
   try {
     const dataBuffer = await fs.readFile(pdfPath);
-    const data = await pdfParse(dataBuffer);
+    const pages = [];
+
+    // pdf-parse renders pages sequentially, so we can collect them in order
+    const renderPage = async (pageData) => {
+      const textContent = await pageData.getTextContent({
+        normalizeWhitespace: false,
+        disableCombineTextItems: false
+      });
+      const [x0, y0, x1, y1] = pageData.view;
+      const width = x1 - x0;
+      const height = y1 - y0;
+
+      let lastY;
+      let text = '';
+      const words = [];
+
+      for (const item of textContent.items) {
+        text += (lastY === item.transform[5] || lastY === undefined) ? item.str : `
+${item.str}`;
+        lastY = item.transform[5];
+
+        if (!item.str.trim()) continue;
+
+        const itemHeight = Math.abs(item.transform[3]) || item.height;
+        const left = item.transform[4] - x0;
+        const top = height - (item.transform[5] - y0) - itemHeight;
+        words.push({
+          text: item.str.trim(),
+          bbox: { x0: left, y0: top, x1: left + item.width, y1: top + itemHeight }
+        });
+      }
+
+      pages.push({ pageIndex: pages.length, text, words, width, height });
+      return text;
+    };
+
+    // pdf-parse's bundled pdf.js relies on Uint8Array copy semantics for slice(),
+    // which a Node Buffer does not have, so hand it a plain Uint8Array
+    const data = await pdfParse(new Uint8Array(dataBuffer), { pagerender: renderPage });
     
-    console.log(`PDF text extraction: ${data.text.length} characters`);
+    console.log(`PDF text extraction: ${data.text.length} characters across ${pages.length} pages`);
     
     return {
       text: data.text,
-      words: [],
+      pages: pages,
       isScanned: data.text.length < 100 // Likely scanned if very little text
     };
   } catch (error) {
@@ -60,6 +113,31 @@ async function extractTextFromPDF(pdfPath) {
   }
 }
 
+/**
+ * Rasterize each page of a scanned PDF and run it through Tesseract
+ * @param {string} pdfPath - Path to PDF file
+ * @param {string} ocrLanguages - Tesseract language packs
+ * @returns {Promise<Array>} Page data with OCR text, words and pixel sizes
+ */
+async function extractTextFromScannedPDF(pdfPath, ocrLanguages) {
+  const renderedPages = await renderPDFPages(pdfPath);
+  const pages = [];
+
+  for (const rendered of renderedPages) {
+    console.log(`Running OCR on page ${rendered.pageIndex + 1} of ${renderedPages.length}`);
+    const ocrData = await extractTextFromImage(rendered.image, ocrLanguages);
+    pages.push({
+      pageIndex: rendered.pageIndex,
+      text: ocrData.text,
+      words: ocrData.words,
+      width: rendered.width,
+      height: rendered.height
+    });
+  }
+
+  return pages;
+}
+
 /**
  * Extract form fields from interactive PDF
  * @param {string} pdfPath - Path to PDF file
@@ -86,6 +164,9 @@ async function extractPDFFormFields(pdfPath) {
     }
     
     console.log(`Found ${formFields.length} interactive PDF form fields`);
+
+    // Page references let us record which page each field's widget sits on
+    const pageRefs = pdfDoc.getPages().map(page => page.ref);
     
     const fields = formFields.map((field, index) => {
       const fieldName = field.getName();
@@ -95,20 +176,24 @@ async function extractPDFFormFields(pdfPath) {
       
       // Determine our field type from PDF field type
       let type = 'text';
+      let options = null;
       if (fieldType === 'PDFCheckBox') {
         type = 'checkbox';
-      } else if (fieldType === 'PDFRadioGroup') {
-        type = 'checkbox';
-      } else if (fieldType === 'PDFDropdown') {
-        type = 'text';
+      } else if (fieldType === 'PDFRadioGroup' || fieldType === 'PDFDropdown' || fieldType === 'PDFOptionList') {
+        // Keep the AcroForm options so answers can be matched to one of them
+        type = 'choice';
+        options = field.getOptions();
       } else if (fieldType === 'PDFTextField') {
         // Try to infer type from field name
         const nameLower = fieldName.toLowerCase();
         if (/email|e-mail/.test(nameLower)) type = 'email';
         else if (/phone|tel|mobile/.test(nameLower)) type = 'phone';
         else if (/date|dob|birth/.test(nameLower)) type = 'date';
+        else if (/aadhaa?r/.test(nameLower)) type = 'aadhaar';
+        else if (/(^|[^a-z])pan(no|num|card|[^a-z]|$)/.test(nameLower)) type = 'pan';
         else if (/name/.test(nameLower)) type = 'name';
-        else if (/address|street|city|state|zip/.test(nameLower)) type = 'address';
+        else if (/zip|postal|pin_?code/.test(nameLower)) type = 'postal';
+        else if (/address|street|city|state/.test(nameLower)) type = 'address';
       }
       
       // Clean up field name for display
@@ -120,6 +205,12 @@ async function extractPDFFormFields(pdfPath) {
       
       // Capitalize first letter
       label = label.charAt(0).toUpperCase() + label.slice(1);
+
+      const widget = field.acroField.getWidgets()[0];
+      const pageIndex = widget ? pageRefs.indexOf(widget.P()) : -1;
+
+      // State a checkbox is checked with: often "Yes", but also "On", "1" or a custom export value
+      const onValue = fieldType === 'PDFCheckBox' ? field.acroField.getOnValue()?.decodeText() : null;
       
       return {
         id: `field_${index + 1}`,
@@ -128,8 +219,12 @@ async function extractPDFFormFields(pdfPath) {
         required: true,
         value: null,
         position: index,
+        page: pageIndex >= 0 ? pageIndex : 0,
         coordinates: null,
-        pdfFieldName: fieldName // Store original PDF field name for filling
+        pdfFieldName: fieldName, // Store original PDF field name for filling
+        pdfFieldType: fieldType, // e.g. PDFRadioGroup, needed to encode exported values
+        ...(onValue && { pdfOnValue: onValue }),
+        ...(options && { options })
       };
     });
     
@@ -141,38 +236,31 @@ async function extractPDFFormFields(pdfPath) {
   }
 }
 
+/**
+ * Generic fields used when nothing could be detected on any page
+ */
+const GENERIC_FIELDS = [
+  { id: 'field_1', label: 'Full Name', type: 'name', required: true, value: null, page: 0, coordinates: null },
+  { id: 'field_2', label: 'Email Address', type: 'email', required: true, value: null, page: 0, coordinates: null },
+  { id: 'field_3', label: 'Phone Number', type: 'phone', required: true, value: null, page: 0, coordinates: null },
+  { id: 'field_4', label: 'Address', type: 'address', required: false, value: null, page: 0, coordinates: null },
+  { id: 'field_5', label: 'Date', type: 'date', required: true, value: null, page: 0, coordinates: null }
+];
+
 /**
  * Detect form fields from extracted text with coordinates
  * Enhanced detection for complex forms
- * @param {string} text - Extracted text
+ * @param {string} text - Extracted text of a single page
  * @param {Array} words - Word data with bounding boxes (optional)
- * @returns {Array} Array of detected form fields with coordinates
+ * @param {string} language - Form language, selects the keyword table
+ * @returns {Array} Array of detected form fields with page-relative coordinates
  */
-function detectFormFields(text, words = []) {
+function detectFormFields(text, words = [], language = DEFAULT_LANGUAGE) {
   const fields = [];
   const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
 
-  // Expanded form field patterns with more keywords
-  const fieldPatterns = {
-    name: /\b(name|full\s*name|first\s*name|last\s*name|middle\s*name|applicant\s*name|student\s*name|parent\s*name|guardian\s*name|surname|given\s*name)\b/i,
-    email: /\b(email|e-mail|email\s*address|electronic\s*mail)\b/i,
-    phone: /\b(phone|telephone|mobile|cell|contact\s*number|phone\s*number|tel|contact\s*no)\b/i,
-    address: /\b(address|street|residence|location|city|state|province|zip|postal\s*code|country|pin\s*code)\b/i,
-    date: /\b(date|dob|birth\s*date|date\s*of\s*birth|admission\s*date|enrollment\s*date|year|month|day)\b/i,
-    ssn: /\b(ssn|social\s*security|tax\s*id|national\s*id|id\s*number|identification)\b/i,
-    gender: /\b(gender|sex|male|female)\b/i,
-    age: /\b(age|years\s*old)\b/i,
-    grade: /\b(grade|class|standard|level|year)\b/i,
-    school: /\b(school|institution|college|university|previous\s*school)\b/i,
-    parent: /\b(parent|father|mother|guardian|emergency\s*contact)\b/i,
-    occupation: /\b(occupation|profession|job|employment|work)\b/i,
-    income: /\b(income|salary|annual\s*income)\b/i,
-    religion: /\b(religion|caste|category)\b/i,
-    nationality: /\b(nationality|citizenship|country\s*of\s*origin)\b/i,
-    signature: /\b(signature|sign\s*here|applicant\s*signature|parent\s*signature)\b/i,
-    checkbox: /\b(check|select|tick|mark|yes|no|agree|consent)\b/i,
-    text: /\b(describe|explain|provide|enter|write|details|information|remarks|comments)\b/i
-  };
+  // Field type keywords of the form's language (plus English)
+  const { fieldPatterns, optionalPattern, skipPattern } = getDetectionPatterns(language);
 
   // Track found field names to avoid duplicates
   const foundFields = new Set();
@@ -200,8 +288,7 @@ function detectFormFields(text, words = []) {
       if (label.length < 2 || label.length > 80 || foundFields.has(label.toLowerCase())) return;
 
       // Skip common non-field text
-      const skipWords = /^(section|part|page|form|instructions|note|please|kindly|total|subtotal|amount|the|and|or|for|to|in|of|is|are|was|were)$/i;
-      if (skipWords.test(label)) return;
+      if (skipPattern.test(label)) return;
 
       // Determine field type
       let fieldType = 'text';
@@ -215,10 +302,13 @@ function detectFormFields(text, words = []) {
       }
 
       // Check if optional
-      if (/optional|if\s*applicable/i.test(line)) {
+      if (optionalPattern.test(line)) {
         required = false;
       }
 
+      // Dates are stored in the format printed next to the label, if any
+      const format = fieldType === 'date' ? detectDateFormat(line) : null;
+
       // Find coordinates
       let coordinates = findCoordinatesForLabel(label, words);
 
@@ -229,7 +319,8 @@ function detectFormFields(text, words = []) {
         required: required,
         value: null,
         position: index,
-        coordinates: coordinates
+        coordinates: coordinates,
+        ...(format && { format })
       });
 
       foundFields.add(label.toLowerCase());
@@ -250,11 +341,11 @@ function detectFormFields(text, words = []) {
             let label = match[0].trim();
             
             // Try to get more context
-            const words = line.split(/\s+/);
-            const matchIndex = words.findIndex(w => pattern.test(w));
-            if (matchIndex >= 0 && matchIndex < words.length - 1) {
+            const lineWords = line.split(/\s+/);
+            const matchIndex = lineWords.findIndex(w => pattern.test(w));
+            if (matchIndex >= 0 && matchIndex < lineWords.length - 1) {
               // Include next word if it makes sense
-              label = words.slice(matchIndex, Math.min(matchIndex + 3, words.length)).join(' ');
+              label = lineWords.slice(matchIndex, Math.min(matchIndex + 3, lineWords.length)).join(' ');
             }
 
             // Clean label
@@ -282,19 +373,35 @@ function detectFormFields(text, words = []) {
     });
   }
 
+  console.log(`Detected ${fields.length} fields:`, fields.map(f => f.label));
+  return fields;
+}
+
+/**
+ * Detect form fields on every page and tag each field with its page index
+ * @param {Array} pages - Page data ({ pageIndex, text, words })
+ * @param {string} language - Form language
+ * @returns {Array} Array of detected form fields numbered across the whole document
+ */
+function detectFieldsAcrossPages(pages, language) {
+  const fields = [];
+
+  pages.forEach(page => {
+    const pageFields = detectFormFields(page.text, page.words, language);
+    pageFields.forEach(field => {
+      fields.push({
+        ...field,
+        id: `field_${fields.length + 1}`,
+        page: page.pageIndex
+      });
+    });
+  });
+
   // If still no fields detected, create generic fields
   if (fields.length === 0) {
-    const genericFields = [
-      { id: 'field_1', label: 'Full Name', type: 'name', required: true, value: null, coordinates: null },
-      { id: 'field_2', label: 'Email Address', type: 'email', required: true, value: null, coordinates: null },
-      { id: 'field_3', label: 'Phone Number', type: 'phone', required: true, value: null, coordinates: null },
-      { id: 'field_4', label: 'Address', type: 'address', required: false, value: null, coordinates: null },
-      { id: 'field_5', label: 'Date', type: 'date', required: true, value: null, coordinates: null }
-    ];
-    return genericFields;
+    return GENERIC_FIELDS.map(field => ({ ...field }));
   }
 
-  console.log(`Detected ${fields.length} fields:`, fields.map(f => f.label));
   return fields;
 }
 
@@ -311,14 +418,27 @@ function findCoordinatesForLabel(label, words) {
   
   for (let i = 0; i < words.length; i++) {
     const word = words[i];
-    if (labelWords.some(lw => word.text.toLowerCase().includes(lw))) {
+    const wordText = word.text.toLowerCase();
+    if (labelWords.some(lw => wordText.includes(lw))) {
+      const width = word.bbox.x1 - word.bbox.x0;
+
+      // OCR words are single tokens, but PDF text items may hold a whole line
+      // ("Name: ______"), so place the input right after the label text inside it
+      const labelEnd = Math.max(...labelWords.map(lw => {
+        const at = wordText.indexOf(lw);
+        return at >= 0 ? at + lw.length : 0;
+      }));
+      const inputX = labelEnd < wordText.length - 1
+        ? word.bbox.x0 + (width * (labelEnd + 1)) / wordText.length + 10
+        : word.bbox.x1 + 10;
+
       return {
         x: word.bbox.x0,
         y: word.bbox.y0,
-        width: word.bbox.x1 - word.bbox.x0,
+        width: width,
         height: word.bbox.y1 - word.bbox.y0,
         // Estimate input field position (to the right of label)
-        inputX: word.bbox.x1 + 10,
+        inputX: inputX,
         inputY: word.bbox.y0
       };
     }
@@ -327,30 +447,74 @@ function findCoordinatesForLabel(label, words) {
   return null;
 }
 
+/**
+ * Build a form schema from a saved template
+ * Fields are copied so sessions never modify the template itself
+ * @param {object} template - Saved template
+ * @param {string} extractedText - Text excerpt of the new upload
+ * @param {object} fingerprint - { fileHash, textHash } of the new upload
+ * @returns {object} Form schema
+ */
+function schemaFromTemplate(template, extractedText, fingerprint) {
+  const formSchema = JSON.parse(JSON.stringify(template.formSchema));
+  return {
+    ...formSchema,
+    extractedText,
+    totalFields: formSchema.fields.length,
+    fingerprint,
+    templateId: template.templateId,
+    templateName: template.name
+  };
+}
+
 /**
  * Process uploaded form file
  * @param {string} filePath - Path to uploaded file
  * @param {string} mimeType - File MIME type
+ * @param {object} options
+ * @param {Function} options.findTemplate - Looks up a saved template by fingerprint
+ *   ({ fileHash } or { textHash }); a match is used instead of field detection
+ * @param {string|null} options.language - Language of the form (see SUPPORTED_LANGUAGES);
+ *   null detects it from the extracted text
  * @returns {Promise<object>} Form schema with extracted fields and coordinates
  */
-export async function processForm(filePath, mimeType) {
+export async function processForm(filePath, mimeType, { findTemplate, language = null } = {}) {
   try {
+    const ocrLanguages = tesseractLanguages(language);
+
     let extractedText = '';
-    let ocrData = null;
-    let fields = [];
+    let pages = [];
+
+    // A byte-identical upload of a templated form needs no extraction at all
+    const fileHash = await hashFile(filePath);
+    const fileTemplate = findTemplate ? findTemplate({ fileHash }) : null;
+    if (fileTemplate) {
+      console.log(`Using saved template "${fileTemplate.name}"`);
+      return schemaFromTemplate(fileTemplate, fileTemplate.formSchema.extractedText, { fileHash });
+    }
 
     // For PDFs, try to extract interactive form fields first
     if (mimeType.includes('pdf')) {
       const pdfFormFields = await extractPDFFormFields(filePath);
       
       if (pdfFormFields && pdfFormFields.length > 0) {
+        // Interactive forms are recognized by their field names
+        const textHash = hashText(pdfFormFields.map(field => field.pdfFieldName).sort().join(' '));
+        const template = findTemplate && textHash ? findTemplate({ textHash }) : null;
+        if (template) {
+          console.log(`Using saved template "${template.name}"`);
+          return schemaFromTemplate(template, 'Interactive PDF Form', { fileHash, textHash });
+        }
+
         // Found interactive PDF form fields - use them directly
         console.log(`Using ${pdfFormFields.length} interactive PDF form fields`);
         return {
           extractedText: 'Interactive PDF Form',
           fields: pdfFormFields,
           totalFields: pdfFormFields.length,
-          isPDFForm: true
+          language: language || detectLanguage(pdfFormFields.map(field => field.label).join('\n')),
+          isPDFForm: true,
+          fingerprint: { fileHash, textHash }
         };
       }
       
@@ -358,37 +522,57 @@ export async function processForm(filePath, mimeType) {
       console.log('No interactive PDF fields, using OCR-based detection');
       const pdfData = await extractTextFromPDF(filePath);
       extractedText = pdfData.text;
-      
-      // If it was a scanned PDF, we have OCR data
+      pages = pdfData.pages;
+
+      // Scanned PDFs have no text layer, so render the pages and OCR them
       if (pdfData.isScanned) {
-        ocrData = {
-          words: pdfData.words,
-          lines: pdfData.lines,
-          imageWidth: pdfData.imageWidth,
-          imageHeight: pdfData.imageHeight
-        };
+        console.log('PDF looks scanned, rasterizing pages for OCR');
+        pages = await extractTextFromScannedPDF(filePath, ocrLanguages);
+        extractedText = pages.map(page => page.text).join('\n\n');
       }
     } else if (mimeType.includes('image')) {
-      ocrData = await extractTextFromImage(filePath);
+      const ocrData = await extractTextFromImage(filePath, ocrLanguages);
       extractedText = ocrData.text;
+      pages = [{
+        pageIndex: 0,
+        text: ocrData.text,
+        words: ocrData.words,
+        width: ocrData.imageWidth,
+        height: ocrData.imageHeight
+      }];
     } else {
       throw new Error('Unsupported file type. Please upload an image or PDF.');
     }
 
     console.log('Extracted Text Length:', extractedText.length);
 
-    // Detect form fields with coordinates if available
-    fields = detectFormFields(extractedText, ocrData?.words);
+    // A saved template replaces heuristic detection for a form seen before
+    const textHash = hashText(extractedText);
+    const template = findTemplate && textHash ? findTemplate({ textHash }) : null;
+    if (template) {
+      console.log(`Using saved template "${template.name}"`);
+      return schemaFromTemplate(template, extractedText.substring(0, 500), { fileHash, textHash });
+    }
+
+    const formLanguage = language || detectLanguage(extractedText);
+    console.log(`Form language: ${formLanguage}${language ? '' : ' (detected)'}`);
 
-    console.log(`Detected ${fields.length} form fields`);
+    // Detect form fields page by page with page-relative coordinates
+    const fields = detectFieldsAcrossPages(pages, formLanguage);
+
+    console.log(`Detected ${fields.length} form fields across ${pages.length} pages`);
 
     return {
       extractedText: extractedText.substring(0, 500), // Store first 500 chars for reference
       fields: fields,
       totalFields: fields.length,
-      imageWidth: ocrData?.imageWidth,
-      imageHeight: ocrData?.imageHeight,
-      isPDFForm: false
+      // Size of the coordinate space each page's field coordinates are measured in
+      pages: pages.map(page => ({ width: page.width, height: page.height })),
+      imageWidth: pages[0]?.width,
+      imageHeight: pages[0]?.height,
+      language: formLanguage,
+      isPDFForm: false,
+      fingerprint: { fileHash, textHash }
     };
   } catch (error) {
     console.error('Form Processing Error:', error);
@@ -396,29 +580,41 @@ export async function processForm(filePath, mimeType) {
   }
 }
 
+/**
+ * Match an answer to one of a choice field's options
+ * Accepts the option text (case-insensitive) or its 1-based number
+ * @param {Array} options - Allowed options
+ * @param {string} value - User answer
+ * @returns {string|null} Matching option or null
+ */
+function matchChoiceOption(options, value) {
+  const answer = value.trim().toLowerCase();
+  const exactMatch = options.find(option => option.toLowerCase() === answer);
+  if (exactMatch) return exactMatch;
+
+  const optionNumber = parseInt(answer, 10);
+  if (String(optionNumber) === answer && optionNumber >= 1 && optionNumber <= options.length) {
+    return options[optionNumber - 1];
+  }
+
+  return null;
+}
+
 /**
  * Validate field value based on type
+ * Dates, phone numbers, postal codes and ID numbers are normalized for the
+ * form's locale (see validationService)
  * @param {string} type - Field type
  * @param {string} value - Value to validate
- * @returns {object} Validation result
+ * @param {object} field - Schema field (used for choice options and date formats)
+ * @param {object} locale - { language, region } of the form (see formLocale)
+ * @returns {object} Validation result with the value to store
  */
-export function validateFieldValue(type, value) {
+export function validateFieldValue(type, value, field = {}, locale = formLocale()) {
   const validations = {
     email: {
       pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
       message: 'Please provide a valid email address'
-    },
-    phone: {
-      pattern: /^[\d\s\-\+\(\)]{10,}$/,
-      message: 'Please provide a valid phone number (at least 10 digits)'
-    },
-    date: {
-      pattern: /^\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4}$/,
-      message: 'Please provide a date in format MM/DD/YYYY or DD-MM-YYYY'
-    },
-    ssn: {
-      pattern: /^\d{3}-?\d{2}-?\d{4}$/,
-      message: 'Please provide a valid SSN (XXX-XX-XXXX)'
     }
   };
 
@@ -430,6 +626,28 @@ export function validateFieldValue(type, value) {
     };
   }
 
+  // Choice fields must match one of their options
+  if (type === 'choice' && Array.isArray(field.options) && field.options.length > 0) {
+    const option = matchChoiceOption(field.options, value);
+    if (!option) {
+      return {
+        valid: false,
+        message: `Please choose one of: ${field.options.join(', ')}`
+      };
+    }
+    return {
+      valid: true,
+      message: 'Valid',
+      value: option
+    };
+  }
+
+  // Locale-aware validation, storing the normalized value
+  const normalized = normalizeValue(type, value.trim(), field, locale);
+  if (normalized) {
+    return normalized;
+  }
+
   // Type-specific validation
   if (validations[type]) {
     const { pattern, message } = validations[type];
@@ -443,6 +661,7 @@ export function validateFieldValue(type, value) {
 
   return {
     valid: true,
-    message: 'Valid'
+    message: 'Valid',
+    value: value
   };
 }
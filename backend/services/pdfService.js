@@ -2,126 +2,357 @@
  * PDF Service - Enhanced Version
  * Handles PDF generation and form filling for both interactive and scanned forms
  * Supports accurate field positioning and checkbox/radio button filling
+ * Text Helvetica cannot encode is drawn with the fonts in utils/fontRegistry.js
  */
 
 import { PDFDocument, rgb, StandardFonts, PDFCheckBox, PDFTextField } from 'pdf-lib';
+import fontkit from '@pdf-lib/fontkit';
 import fs from 'fs/promises';
 import path from 'path';
+import fontRegistry from '../utils/fontRegistry.js';
+import { hiddenFieldIds, requiredFieldIds } from './ruleService.js';
+
+/**
+ * Embed a standard font together with the fallback fonts for characters it lacks
+ * Text is split into runs of characters sharing a font. Fonts are embedded (subset)
+ * by prepare(), which must see every text before it is measured or drawn;
+ * characters no font has are drawn as "?"
+ * @param {PDFDocument} pdfDoc - PDF document
+ * @param {string} standardFontName - StandardFonts member used for WinAnsi text
+ * @returns {Promise<object>} { prepare(texts), widthOfTextAtSize(text, size), drawText(page, text, options) }
+ */
+async function createFontSet(pdfDoc, standardFontName) {
+  await fontRegistry.load();
+  const standardFont = await pdfDoc.embedFont(standardFontName);
+  const embeddedFonts = new Map();
+
+  const toRuns = (text) => {
+    const runs = [];
+    for (const char of String(text)) {
+      const codePoint = char.codePointAt(0);
+      let font = standardFont;
+      // Line breaks are laid out by the caller
+      let drawn = codePoint < 0x20 ? ' ' : char;
+
+      if (codePoint >= 0x20 && !fontRegistry.isStandard(codePoint)) {
+        const entry = fontRegistry.fontFor(codePoint);
+        font = entry && embeddedFonts.get(entry.filePath);
+        if (!font) {
+          font = standardFont;
+          drawn = '?';
+        }
+      }
+
+      const last = runs[runs.length - 1];
+      if (last && last.font === font) {
+        last.text += drawn;
+      } else {
+        runs.push({ text: drawn, font });
+      }
+    }
+    return runs;
+  };
+
+  return {
+    async prepare(texts) {
+      for (const text of texts) {
+        for (const char of String(text)) {
+          const codePoint = char.codePointAt(0);
+          if (codePoint < 0x20 || fontRegistry.isStandard(codePoint)) continue;
+
+          const entry = fontRegistry.fontFor(codePoint);
+          if (entry && !embeddedFonts.has(entry.filePath)) {
+            pdfDoc.registerFontkit(fontkit);
+            embeddedFonts.set(entry.filePath, await pdfDoc.embedFont(entry.bytes, { subset: true }));
+          }
+        }
+      }
+    },
+
+    widthOfTextAtSize(text, size) {
+      return toRuns(text).reduce((width, run) => width + run.font.widthOfTextAtSize(run.text, size), 0);
+    },
+
+    drawText(page, text, { x, y, size, color }) {
+      let runX = x;
+      toRuns(text).forEach(run => {
+        page.drawText(run.text, { x: runX, y, size, font: run.font, color });
+        runX += run.font.widthOfTextAtSize(run.text, size);
+      });
+    }
+  };
+}
+
+/**
+ * Find filled values that contain characters no available font can draw
+ * Run before exporting so the user can be told which answers to change
+ * @param {object} formSchema - Form schema with fields
+ * @param {object} filledFields - Filled field values
+ * @param {object} options
+ * @param {boolean} options.acroForm - Values go into AcroForm text fields, which are drawn
+ *   in one font, so that font must cover the whole value (as the fill requires)
+ * @returns {Promise<Array>} [{ fieldId, fieldLabel, characters }] for each affected field
+ */
+export async function findUnsupportedValues(formSchema, filledFields, { acroForm = false } = {}) {
+  const unsupported = [];
+  for (const field of formSchema.fields) {
+    const value = filledFields[field.id];
+    if (!value) continue;
+
+    // Checkbox and choice fields store a state or option, not drawn text
+    const characters = acroForm && !['checkbox', 'choice'].includes(field.type)
+      ? await fontRegistry.findCharactersWithoutSingleFont(value)
+      : await fontRegistry.findUnsupportedCharacters(value);
+    if (characters.length > 0) {
+      unsupported.push({ fieldId: field.id, fieldLabel: field.label, characters });
+    }
+  }
+  return unsupported;
+}
+
+/**
+ * Find a PDF form field by fuzzy label matching
+ * Only used for schema fields without a stored pdfFieldName; an exact
+ * (normalized) name match wins over a partial one
+ * @param {Array} formFields - PDF form fields not yet claimed by another schema field
+ * @param {object} field - Schema field
+ * @returns {object|undefined} Matching PDF form field
+ */
+function findFieldByLabel(formFields, field) {
+  const normalize = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '');
+  const label = normalize(field.label);
+  if (!label) return undefined;
+
+  const exactMatch = formFields.find(f => normalize(f.getName()) === label);
+  if (exactMatch) return exactMatch;
+
+  return formFields.find(f => {
+    const fieldName = normalize(f.getName());
+    return fieldName && (fieldName.includes(label) || label.includes(fieldName));
+  });
+}
+
+/**
+ * Embed the font a text field's appearance needs for a value Helvetica cannot encode
+ * @param {PDFDocument} pdfDoc - PDF document
+ * @param {string} value - Field value
+ * @param {Map} embeddedFonts - Fonts embedded so far, by file path (reused across fields)
+ * @returns {Promise<PDFFont|null|undefined>} Font to use, undefined when the default font
+ *   works, null when no single font can draw the value
+ */
+async function appearanceFontFor(pdfDoc, value, embeddedFonts) {
+  const needsFont = [...value].some(char => {
+    const codePoint = char.codePointAt(0);
+    return codePoint >= 0x20 && !fontRegistry.isStandard(codePoint);
+  });
+  if (!needsFont) return undefined;
+
+  const entry = fontRegistry.fontForText(value);
+  if (!entry) return null;
+
+  if (!embeddedFonts.has(entry.filePath)) {
+    pdfDoc.registerFontkit(fontkit);
+    embeddedFonts.set(entry.filePath, await pdfDoc.embedFont(entry.bytes, { subset: true }));
+  }
+  return embeddedFonts.get(entry.filePath);
+}
 
 /**
  * Fill interactive PDF form fields
+ * Schema fields are matched by their stored pdfFieldName, with fuzzy label
+ * matching as a fallback. Values outside WinAnsi get their appearance drawn
+ * with a fallback font that covers the whole value
  * @param {PDFDocument} pdfDoc - PDF document
  * @param {object} formSchema - Form schema with fields
  * @param {object} filledFields - Filled field values
- * @returns {boolean} True if form fields were found and filled
+ * @returns {Promise<object>} { filled, unplacedFields } - filled is false when the PDF has no form fields
  */
 async function fillInteractivePDFForm(pdfDoc, formSchema, filledFields) {
+  const unplacedFields = [];
+
   try {
     const form = pdfDoc.getForm();
     const formFields = form.getFields();
 
     if (formFields.length === 0) {
       console.log('No interactive form fields found in PDF');
-      return false;
+      return { filled: false, unplacedFields };
     }
 
     console.log(`Found ${formFields.length} interactive form fields`);
 
+    await fontRegistry.load();
+    const embeddedFonts = new Map();
+
+    // PDF fields already written to, so two schema fields never share one
+    const usedFields = new Set();
+
     // Map our fields to PDF form fields
-    formSchema.fields.forEach(field => {
+    for (const field of formSchema.fields) {
       const value = filledFields[field.id];
-      if (!value) return;
+      if (!value) continue;
 
-      // Try to find matching PDF form field by label
-      const pdfField = formFields.find(f => {
-        const fieldName = f.getName().toLowerCase();
-        const label = field.label.toLowerCase();
-        return fieldName.includes(label) || label.includes(fieldName);
-      });
+      const availableFields = formFields.filter(f => !usedFields.has(f));
+      let pdfField;
+      if (field.pdfFieldName) {
+        pdfField = availableFields.find(f => f.getName() === field.pdfFieldName);
+      }
+      if (!pdfField) {
+        pdfField = findFieldByLabel(availableFields, field);
+        if (pdfField) {
+          console.warn(`Matched ${field.id} (${field.label}) to ${pdfField.getName()} by label`);
+        }
+      }
 
-      if (pdfField) {
-        try {
-          const fieldType = pdfField.constructor.name;
-
-          if (fieldType === 'PDFTextField') {
-            pdfField.setText(String(value));
-            console.log(`Filled text field: ${pdfField.getName()} = ${value}`);
-          } else if (fieldType === 'PDFCheckBox') {
-            // Check if value indicates checked state
-            const shouldCheck = ['yes', 'true', '1', 'checked', 'x'].includes(String(value).toLowerCase());
-            if (shouldCheck) {
-              pdfField.check();
-              console.log(`Checked checkbox: ${pdfField.getName()}`);
-            }
-          } else if (fieldType === 'PDFRadioGroup') {
-            // Select the radio button option
-            const options = pdfField.getOptions();
-            const matchingOption = options.find(opt => 
-              opt.toLowerCase() === String(value).toLowerCase()
-            );
-            if (matchingOption) {
-              pdfField.select(matchingOption);
-              console.log(`Selected radio: ${pdfField.getName()} = ${matchingOption}`);
+      if (!pdfField) {
+        console.warn(`Could not place ${field.id} (${field.label}) in the PDF form`);
+        unplacedFields.push(field);
+        continue;
+      }
+
+      usedFields.add(pdfField);
+
+      try {
+        const fieldType = pdfField.constructor.name;
+
+        if (fieldType === 'PDFTextField') {
+          const appearanceFont = await appearanceFontFor(pdfDoc, String(value), embeddedFonts);
+          if (appearanceFont === null) {
+            console.warn(`No font can draw the value of ${pdfField.getName()}`);
+            unplacedFields.push(field);
+            continue;
+          }
+          pdfField.setText(String(value));
+          if (appearanceFont) {
+            pdfField.updateAppearances(appearanceFont);
+          }
+          console.log(`Filled text field: ${pdfField.getName()} = ${value}`);
+        } else if (fieldType === 'PDFCheckBox') {
+          // Check if value indicates checked state
+          const shouldCheck = ['yes', 'true', '1', 'checked', 'x'].includes(String(value).toLowerCase());
+          if (shouldCheck) {
+            pdfField.check();
+            console.log(`Checked checkbox: ${pdfField.getName()}`);
+          }
+        } else if (fieldType === 'PDFRadioGroup') {
+          // Select the radio button option
+          const options = pdfField.getOptions();
+          const matchingOption = options.find(opt => 
+            opt.toLowerCase() === String(value).toLowerCase()
+          );
+          if (matchingOption) {
+            pdfField.select(matchingOption);
+            console.log(`Selected radio: ${pdfField.getName()} = ${matchingOption}`);
+          } else {
+            unplacedFields.push(field);
+          }
+        } else if (fieldType === 'PDFDropdown' || fieldType === 'PDFOptionList') {
+          // Select the matching option
+          const options = pdfField.getOptions();
+          const matchingOption = options.find(opt =>
+            opt.toLowerCase() === String(value).toLowerCase()
+          );
+          const appearanceFont = matchingOption && await appearanceFontFor(pdfDoc, matchingOption, embeddedFonts);
+          if (matchingOption && appearanceFont !== null) {
+            pdfField.select(matchingOption);
+            if (appearanceFont) {
+              pdfField.updateAppearances(appearanceFont);
             }
-          } else if (fieldType === 'PDFDropdown') {
-            pdfField.select(String(value));
-            console.log(`Selected dropdown: ${pdfField.getName()} = ${value}`);
+            console.log(`Selected option: ${pdfField.getName()} = ${matchingOption}`);
+          } else {
+            unplacedFields.push(field);
           }
-        } catch (error) {
-          console.error(`Error filling field ${pdfField.getName()}:`, error.message);
         }
+      } catch (error) {
+        console.error(`Error filling field ${pdfField.getName()}:`, error.message);
+        unplacedFields.push(field);
       }
-    });
+    }
 
     // Flatten the form to make fields non-editable
     form.flatten();
-    return true;
+    return { filled: true, unplacedFields };
   } catch (error) {
     console.error('Interactive form filling error:', error);
-    return false;
+    return { filled: false, unplacedFields: [] };
   }
 }
 
 /**
  * Fill scanned form using coordinates
+ * Each field is drawn on the page it was detected on (field.page, default 0)
  * @param {PDFDocument} pdfDoc - PDF document
- * @param {object} formSchema - Form schema with fields and coordinates
+ * @param {object} formSchema - Form schema with fields, page sizes and coordinates
  * @param {object} filledFields - Filled field values
+ * @param {object} options
+ * @param {object} options.imageArea - Where an uploaded image was drawn on the first page
+ *   ({ x, y, width, height } in PDF points); by default coordinates span the whole page
+ * @returns {Promise<Array>} Schema fields that could not be placed on any page
  */
-async function fillScannedForm(pdfDoc, formSchema, filledFields) {
+async function fillScannedForm(pdfDoc, formSchema, filledFields, { imageArea = null } = {}) {
+  const unplacedFields = [];
   const pages = pdfDoc.getPages();
-  const firstPage = pages[0];
-  const { width, height } = firstPage.getSize();
+  const pageLayouts = formSchema.pages || [];
 
-  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
-  const italicFont = await pdfDoc.embedFont(StandardFonts.HelveticaOblique);
+  const font = await createFontSet(pdfDoc, StandardFonts.Helvetica);
+  const italicFont = await createFontSet(pdfDoc, StandardFonts.HelveticaOblique);
+  // ✓ is not in Helvetica's encoding
+  const symbolFont = await pdfDoc.embedFont(StandardFonts.ZapfDingbats);
   const fontSize = 10;
 
-  formSchema.fields.forEach((field, index) => {
+  const values = formSchema.fields.map(field => filledFields[field.id]).filter(Boolean);
+  await font.prepare(values);
+  await italicFont.prepare(values);
+
+  // Fields without coordinates are stacked per page in the fallback layout
+  const fallbackRows = {};
+
+  formSchema.fields.forEach((field) => {
     const value = filledFields[field.id];
     if (!value) return;
 
+    const pageIndex = field.page || 0;
+    const page = pages[pageIndex];
+    if (!page) {
+      console.warn(`Field ${field.id} is on page ${pageIndex + 1}, but the document has ${pages.length} pages`);
+      unplacedFields.push(field);
+      return;
+    }
+    const { width, height } = page.getSize();
+
     let xPos, yPos;
+    // Boxes placed by the user also limit how wide the value may be
+    let boxWidth = null;
 
     if (field.coordinates) {
-      // Use detected coordinates from OCR
-      // Convert from image coordinates to PDF coordinates
-      const imageHeight = formSchema.imageHeight || height;
-      const imageWidth = formSchema.imageWidth || width;
-      
+      // Use detected (or user-placed) coordinates
+      // Convert from page image coordinates to PDF coordinates
+      const layout = pageLayouts[pageIndex] || {};
+      const imageHeight = layout.height || formSchema.imageHeight || height;
+      const imageWidth = layout.width || formSchema.imageWidth || width;
+
+      // An uploaded image sits inside a margin; PDF pages fill the whole page
+      const area = (pageIndex === 0 && imageArea) || { x: 0, y: 0, width, height };
+
       // Scale coordinates to PDF size
-      const scaleX = width / imageWidth;
-      const scaleY = height / imageHeight;
+      const scaleX = area.width / imageWidth;
+      const scaleY = area.height / imageHeight;
       
-      xPos = field.coordinates.inputX * scaleX;
+      xPos = area.x + field.coordinates.inputX * scaleX;
       // PDF coordinates start from bottom, image from top
-      yPos = height - (field.coordinates.inputY * scaleY);
+      yPos = area.y + area.height - (field.coordinates.inputY * scaleY);
+
+      if (field.coordinates.placedByUser) {
+        boxWidth = field.coordinates.width * scaleX;
+      }
     } else {
       // Fallback to estimated positions
+      const row = fallbackRows[pageIndex] || 0;
+      fallbackRows[pageIndex] = row + 1;
       const startY = height - 150;
       const lineHeight = 25;
       xPos = 150;
-      yPos = startY - (index * lineHeight);
+      yPos = startY - (row * lineHeight);
     }
 
     // Handle different field types
@@ -131,57 +362,56 @@ async function fillScannedForm(pdfDoc, formSchema, filledFields) {
       if (shouldCheck) {
         // Draw a checkmark
         const checkSize = 12;
-        firstPage.drawText('✓', {
+        page.drawText('✓', {
           x: xPos,
           y: yPos,
           size: checkSize,
-          font: font,
+          font: symbolFont,
           color: rgb(0, 0, 0)
         });
       }
     } else if (field.type === 'signature') {
       // Draw signature in italic
-      firstPage.drawText(String(value), {
+      italicFont.drawText(page, String(value), {
         x: xPos,
         y: yPos,
         size: fontSize + 2,
-        font: italicFont,
         color: rgb(0, 0, 0.5)
       });
     } else {
       // Draw regular text
       const textValue = String(value);
-      const maxWidth = width - xPos - 50;
+      const maxWidth = boxWidth || width - xPos - 50;
       
       // Truncate text if too long
       let displayText = textValue;
       if (font.widthOfTextAtSize(textValue, fontSize) > maxWidth) {
         while (font.widthOfTextAtSize(displayText + '...', fontSize) > maxWidth && displayText.length > 0) {
-          displayText = displayText.slice(0, -1);
+          displayText = [...displayText].slice(0, -1).join('');
         }
         displayText += '...';
       }
 
-      firstPage.drawText(displayText, {
+      font.drawText(page, displayText, {
         x: xPos,
         y: yPos,
         size: fontSize,
-        font: font,
         color: rgb(0, 0, 0)
       });
     }
   });
+
+  return unplacedFields;
 }
 
 /**
- * Generate filled PDF from original form (Hybrid approach)
+ * Build the filled PDF from the original form in memory (Hybrid approach)
  * @param {string} originalFilePath - Path to original form file
  * @param {object} formSchema - Form schema with fields
  * @param {object} filledFields - Filled field values
- * @param {string} outputPath - Path to save filled PDF
- * @returns {Promise<string>} Path to generated PDF
+ * @returns {Promise<object>} { pdfBytes, unplacedFields } - fields whose values could not be placed
  */
-export async function generateFilledPDF(originalFilePath, formSchema, filledFields, outputPath) {
+export async function buildFilledPDF(originalFilePath, formSchema, filledFields) {
   try {
     // Read the original file
     const fileBuffer = await fs.readFile(originalFilePath);
@@ -189,20 +419,22 @@ export async function generateFilledPDF(originalFilePath, formSchema, filledFiel
 
     let pdfDoc;
     let isImage = false;
+    let unplacedFields = [];
 
     if (mimeType.includes('pdf')) {
       // Load existing PDF
       pdfDoc = await PDFDocument.load(fileBuffer);
       
       // Try to fill interactive form fields first
-      const filledInteractive = await fillInteractivePDFForm(pdfDoc, formSchema, filledFields);
+      const interactiveResult = await fillInteractivePDFForm(pdfDoc, formSchema, filledFields);
       
-      if (filledInteractive) {
+      if (interactiveResult.filled) {
         console.log('Successfully filled interactive PDF form');
+        unplacedFields = interactiveResult.unplacedFields;
       } else {
         // No interactive fields, treat as scanned PDF
         console.log('No interactive fields, filling as scanned form');
-        await fillScannedForm(pdfDoc, formSchema, filledFields);
+        unplacedFields = await fillScannedForm(pdfDoc, formSchema, filledFields);
       }
     } else {
       // Create new PDF for image
@@ -218,6 +450,7 @@ export async function generateFilledPDF(originalFilePath, formSchema, filledFiel
         image = await pdfDoc.embedJpg(fileBuffer);
       }
 
+      let imageArea = null;
       if (image) {
         const { width, height } = page.getSize();
         const imageAspect = image.width / image.height;
@@ -244,10 +477,11 @@ export async function generateFilledPDF(originalFilePath, formSchema, filledFiel
           width: imgWidth,
           height: imgHeight
         });
+        imageArea = { x: imgX, y: imgY, width: imgWidth, height: imgHeight };
       }
 
-      // Fill as scanned form
-      await fillScannedForm(pdfDoc, formSchema, filledFields);
+      // Fill as scanned form, positioned relative to the drawn image
+      unplacedFields = await fillScannedForm(pdfDoc, formSchema, filledFields, { imageArea });
     }
 
     // Add metadata
@@ -255,12 +489,12 @@ export async function generateFilledPDF(originalFilePath, formSchema, filledFiel
     pdfDoc.setAuthor('Intelligent Form Filler');
     pdfDoc.setCreationDate(new Date());
 
-    // Save the PDF
     const pdfBytes = await pdfDoc.save();
-    await fs.writeFile(outputPath, pdfBytes);
 
-    console.log(`PDF generated successfully: ${outputPath}`);
-    return outputPath;
+    if (unplacedFields.length > 0) {
+      console.warn(`${unplacedFields.length} fields could not be placed:`, unplacedFields.map(f => f.label));
+    }
+    return { pdfBytes, unplacedFields };
   } catch (error) {
     console.error('PDF Generation Error:', error);
     throw new Error('Failed to generate filled PDF');
@@ -268,77 +502,231 @@ export async function generateFilledPDF(originalFilePath, formSchema, filledFiel
 }
 
 /**
- * Create a summary PDF with all filled fields
- * @param {object} formSchema - Form schema
+ * Generate filled PDF from original form and save it
+ * @param {string} originalFilePath - Path to original form file
+ * @param {object} formSchema - Form schema with fields
  * @param {object} filledFields - Filled field values
- * @param {string} outputPath - Output path
- * @returns {Promise<string>} Path to generated PDF
+ * @param {string} outputPath - Path to save filled PDF
+ * @returns {Promise<object>} { outputPath, unplacedFields } - fields whose values could not be placed
  */
-export async function createSummaryPDF(formSchema, filledFields, outputPath) {
-  try {
-    const pdfDoc = await PDFDocument.create();
-    const page = pdfDoc.addPage([612, 792]); // Letter size
-    const { width, height } = page.getSize();
+export async function generateFilledPDF(originalFilePath, formSchema, filledFields, outputPath) {
+  const { pdfBytes, unplacedFields } = await buildFilledPDF(originalFilePath, formSchema, filledFields);
+  await fs.writeFile(outputPath, pdfBytes);
+
+  console.log(`PDF generated successfully: ${outputPath}`);
+  return { outputPath, unplacedFields };
+}
 
-    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
-    const boldFont = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+// Summary report layout (US Letter, in points)
+const SUMMARY_PAGE_SIZE = [612, 792];
+const SUMMARY_MARGIN = 50;
+const SUMMARY_HEADER_HEIGHT = 40;
+const SUMMARY_FOOTER_HEIGHT = 30;
 
-    // Title
-    page.drawText('Filled Form Summary', {
-      x: 50,
-      y: height - 50,
-      size: 18,
-      font: boldFont,
+/**
+ * Break text into lines that fit a width, on word boundaries where possible
+ * Words wider than the line are split; line breaks in the text are kept
+ * @param {string} text
+ * @param {object} font - Font set (see createFontSet)
+ * @param {number} size - Font size
+ * @param {number} maxWidth
+ * @returns {Array<string>} Lines
+ */
+function wrapText(text, font, size, maxWidth) {
+  const fits = (line) => font.widthOfTextAtSize(line, size) <= maxWidth;
+  const lines = [];
+
+  String(text).split(/\r?\n/).forEach(paragraph => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (fits(candidate)) {
+        line = candidate;
+        return;
+      }
+      if (line) lines.push(line);
+
+      // Split words that are too long for a line on their own
+      line = '';
+      for (const char of word) {
+        if (line && !fits(line + char)) {
+          lines.push(line);
+          line = '';
+        }
+        line += char;
+      }
+    });
+    lines.push(line);
+  });
+
+  return lines;
+}
+
+/**
+ * Build a summary report of a form's answers
+ * Answered fields come first, then a section listing unanswered fields and one
+ * listing the fields other answers made not applicable (hidden by visibleIf).
+ * Every page has a header with the form name and a footer with page numbers
+ * @param {object} formSchema - Form schema
+ * @param {object} filledFields - Filled field values (without those of hidden fields)
+ * @param {object} options
+ * @param {Array<string>} options.skippedFields - Ids of fields the user skipped
+ * @param {string} options.fileName - Original file name to show, omitted when null
+ * @param {Date} options.filledAt - Date the form was completed, omitted when null (incomplete form)
+ * @returns {Promise<Uint8Array>} PDF bytes
+ */
+export async function buildSummaryPDF(formSchema, filledFields, { skippedFields = [], fileName = null, filledAt = null } = {}) {
+  const pdfDoc = await PDFDocument.create();
+  const font = await createFontSet(pdfDoc, StandardFonts.Helvetica);
+  const boldFont = await createFontSet(pdfDoc, StandardFonts.HelveticaBold);
+
+  const [pageWidth, pageHeight] = SUMMARY_PAGE_SIZE;
+  const contentWidth = pageWidth - SUMMARY_MARGIN * 2;
+  const contentTop = pageHeight - SUMMARY_MARGIN - SUMMARY_HEADER_HEIGHT;
+  const contentBottom = SUMMARY_MARGIN + SUMMARY_FOOTER_HEIGHT;
+  const title = formSchema.templateName ? `${formSchema.templateName} - Summary` : 'Filled Form Summary';
+
+  const texts = [
+    title,
+    fileName || '',
+    ...formSchema.fields.flatMap(field => [field.label, filledFields[field.id] || ''])
+  ];
+  await font.prepare(texts);
+  await boldFont.prepare(texts);
+
+  let page = null;
+  let y = 0;
+
+  const addPage = () => {
+    page = pdfDoc.addPage(SUMMARY_PAGE_SIZE);
+    boldFont.drawText(page, title, {
+      x: SUMMARY_MARGIN,
+      y: pageHeight - SUMMARY_MARGIN - 14,
+      size: 14,
       color: rgb(0, 0, 0)
     });
+    page.drawLine({
+      start: { x: SUMMARY_MARGIN, y: pageHeight - SUMMARY_MARGIN - 24 },
+      end: { x: pageWidth - SUMMARY_MARGIN, y: pageHeight - SUMMARY_MARGIN - 24 },
+      thickness: 0.5,
+      color: rgb(0.7, 0.7, 0.7)
+    });
+    y = contentTop;
+  };
 
-    // Date
-    const date = new Date().toLocaleDateString();
-    page.drawText(`Generated: ${date}`, {
-      x: 50,
-      y: height - 75,
-      size: 10,
-      font: font,
-      color: rgb(0.5, 0.5, 0.5)
+  // Start a new page unless the next block fits on this one
+  const ensureSpace = (height) => {
+    if (!page || y - height < contentBottom) {
+      addPage();
+    }
+  };
+
+  const drawLines = (lines, { x, size, lineFont, color }) => {
+    const lineHeight = size * 1.3;
+    lines.forEach(line => {
+      ensureSpace(lineHeight);
+      lineFont.drawText(page, line, { x, y: y - size, size, color });
+      y -= lineHeight;
     });
+  };
 
-    // Draw fields
-    let yPosition = height - 120;
-    const lineHeight = 25;
-    const fields = formSchema.fields;
+  const drawSectionTitle = (text) => {
+    // Keep a title together with the first line of its section
+    ensureSpace(50);
+    y -= 8;
+    drawLines([text], { x: SUMMARY_MARGIN, size: 13, lineFont: boldFont, color: rgb(0.1, 0.1, 0.4) });
+    y -= 4;
+  };
 
-    fields.forEach((field, index) => {
-      const value = filledFields[field.id] || 'N/A';
-      
-      // Check if we need a new page
-      if (yPosition < 50) {
-        const newPage = pdfDoc.addPage([612, 792]);
-        yPosition = height - 50;
-      }
+  addPage();
+
+  // Form details
+  const details = [
+    fileName && `Form: ${fileName}`,
+    filledAt && `Filled: ${filledAt.toLocaleDateString()}`,
+    `Generated: ${new Date().toLocaleDateString()}`
+  ].filter(Boolean);
+  drawLines(details.flatMap(line => wrapText(line, font, 10, contentWidth)), {
+    x: SUMMARY_MARGIN,
+    size: 10,
+    lineFont: font,
+    color: rgb(0.4, 0.4, 0.4)
+  });
 
-      // Field label
-      page.drawText(`${index + 1}. ${field.label}`, {
-        x: 50,
-        y: yPosition,
-        size: 11,
-        font: boldFont,
-        color: rgb(0, 0, 0)
+  const fields = formSchema.fields;
+  const hidden = hiddenFieldIds(fields, filledFields);
+  const answered = fields.filter(field => filledFields[field.id]);
+  const unanswered = fields.filter(field => !filledFields[field.id] && !hidden.has(field.id));
+  const notApplicable = fields.filter(field => hidden.has(field.id));
+  const requiredFields = requiredFieldIds(formSchema, filledFields);
+
+  // Hidden fields do not apply, so they are not counted (as in the preview's progress)
+  drawSectionTitle(`Answers (${answered.length} of ${fields.length - notApplicable.length})`);
+  answered.forEach((field, index) => {
+    const labelLines = wrapText(`${index + 1}. ${field.label}`, boldFont, 11, contentWidth);
+    const valueLines = wrapText(filledFields[field.id], font, 10, contentWidth - 20);
+
+    // Keep a label with at least the first line of its value
+    ensureSpace(labelLines.length * 11 * 1.3 + 13);
+    drawLines(labelLines, { x: SUMMARY_MARGIN, size: 11, lineFont: boldFont, color: rgb(0, 0, 0) });
+    drawLines(valueLines, { x: SUMMARY_MARGIN + 20, size: 10, lineFont: font, color: rgb(0, 0, 0.8) });
+    y -= 10;
+  });
+
+  if (unanswered.length > 0) {
+    drawSectionTitle(`Unanswered Fields (${unanswered.length})`);
+    unanswered.forEach(field => {
+      const required = requiredFields.has(field.id);
+      const status = skippedFields.includes(field.id) && !required
+        ? 'skipped'
+        : (required ? 'required' : 'optional');
+      drawLines(wrapText(`- ${field.label} (${status})`, font, 10, contentWidth), {
+        x: SUMMARY_MARGIN,
+        size: 10,
+        lineFont: font,
+        color: required ? rgb(0.7, 0, 0) : rgb(0.3, 0.3, 0.3)
       });
+    });
+  }
 
-      // Field value
-      page.drawText(String(value), {
-        x: 70,
-        y: yPosition - 15,
+  if (notApplicable.length > 0) {
+    drawSectionTitle(`Not Applicable (${notApplicable.length})`);
+    notApplicable.forEach(field => {
+      drawLines(wrapText(`- ${field.label}`, font, 10, contentWidth), {
+        x: SUMMARY_MARGIN,
         size: 10,
-        font: font,
-        color: rgb(0, 0, 0.8)
+        lineFont: font,
+        color: rgb(0.3, 0.3, 0.3)
       });
+    });
+  }
 
-      yPosition -= lineHeight + 15;
+  // Footers need the final page count
+  const pages = pdfDoc.getPages();
+  pages.forEach((footerPage, index) => {
+    const footer = `Page ${index + 1} of ${pages.length}`;
+    font.drawText(footerPage, footer, {
+      x: pageWidth - SUMMARY_MARGIN - font.widthOfTextAtSize(footer, 9),
+      y: SUMMARY_MARGIN,
+      size: 9,
+      color: rgb(0.5, 0.5, 0.5)
     });
+  });
 
-    // Save PDF
-    const pdfBytes = await pdfDoc.save();
+  return pdfDoc.save();
+}
+
+/**
+ * Create a summary PDF with all filled fields
+ * @param {object} formSchema - Form schema
+ * @param {object} filledFields - Filled field values
+ * @param {string} outputPath - Output path
+ * @param {object} options - See buildSummaryPDF
+ * @returns {Promise<string>} Path to generated PDF
+ */
+export async function createSummaryPDF(formSchema, filledFields, outputPath, options = {}) {
+  try {
+    const pdfBytes = await buildSummaryPDF(formSchema, filledFields, options);
     await fs.writeFile(outputPath, pdfBytes);
 
     console.log(`Summary PDF created: ${outputPath}`);
@@ -354,7 +742,7 @@ export async function createSummaryPDF(formSchema, filledFields, outputPath) {
  * @param {string} filePath
  * @returns {string} MIME type
  */
-function getMimeType(filePath) {
+export function getMimeType(filePath) {
   const ext = path.extname(filePath).toLowerCase();
   const mimeTypes = {
     '.pdf': 'application/pdf',
@@ -0,0 +1,161 @@
+/**
+ * Profile Service
+ * Matches saved profile values (and imported values) to the fields of a form
+ * A value fits a field when their types agree and their labels are similar
+ */
+
+import { validateFieldValue } from './ocrService.js';
+
+// Words that say nothing about what a label asks for ("Your Full Name" ~ "Name")
+const LABEL_STOPWORDS = new Set([
+  'your', 'the', 'of', 'a', 'an', 'full', 'number', 'no', 'home', 'current', 'applicant', 'applicants'
+]);
+
+// Minimum label similarity (0-1) for a profile value to fill a field
+const LABEL_SIMILARITY_THRESHOLD = 0.7;
+
+// People rarely have more than one of these, so a type match alone is enough
+const TYPE_ONLY_MATCH_TYPES = ['email', 'phone', 'aadhaar', 'pan'];
+
+/**
+ * Split a label into meaningful lowercase words
+ * @param {string} label
+ * @returns {Array<string>} Words
+ */
+function labelWords(label) {
+  const words = label
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+  const meaningful = words.filter(word => !LABEL_STOPWORDS.has(word));
+
+  // A label made only of stopwords ("Number") still has to match itself
+  return meaningful.length > 0 ? meaningful : words;
+}
+
+/**
+ * Word-overlap similarity of two labels (Dice coefficient)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0 (nothing shared) to 1 (same words)
+ */
+export function labelSimilarity(a, b) {
+  const wordsA = new Set(labelWords(a));
+  const wordsB = new Set(labelWords(b));
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return (2 * shared) / (wordsA.size + wordsB.size);
+}
+
+/**
+ * Score how well a profile value fits a field
+ * @param {object} field - Schema field
+ * @param {object} profileValue - { label, type, value }; type is null when unknown
+ * @returns {number} Score, 0 if the value must not be used for the field
+ */
+function matchScore(field, profileValue) {
+  const similarity = labelSimilarity(field.label, profileValue.label);
+
+  const sameType = field.type === profileValue.type;
+
+  if (sameType && similarity >= LABEL_SIMILARITY_THRESHOLD) {
+    return 2 + similarity;
+  }
+
+  // Generic text fields, and values of unknown type (imported by name only),
+  // go by a close label match; validation rejects values of the wrong kind
+  if ((field.type === 'text' || !profileValue.type) && similarity >= LABEL_SIMILARITY_THRESHOLD) {
+    return 1 + similarity;
+  }
+
+  // Weakest match: same type, labels differ ("Phone" vs "Mobile")
+  if (sameType && TYPE_ONLY_MATCH_TYPES.includes(field.type)) {
+    return 0.5 + similarity / 2;
+  }
+
+  return 0;
+}
+
+/**
+ * Find the values that fill a form's fields
+ * Each value fills at most one field, best matches first; values that fail the
+ * field's validation (e.g. not one of a choice field's options) are not used
+ * @param {Array} values - Values as { label, type, value }
+ * @param {Array} fields - Form fields
+ * @param {object} filledFields - Values already in the session (left untouched)
+ * @param {object} locale - Form locale the values are validated for (see formLocale)
+ * @returns {object} { matches: { fieldId: value }, rejected: [{ fieldId, fieldLabel, value, message }],
+ *   unusedValues } - rejected lists fields left empty whose best matching value failed
+ *   validation; unusedValues are the values that filled no field
+ */
+export function matchValuesToFields(values, fields, filledFields = {}, locale) {
+  const candidates = [];
+
+  fields
+    .filter(field => !filledFields[field.id])
+    .forEach(field => {
+      values.forEach((profileValue, valueIndex) => {
+        const score = matchScore(field, profileValue);
+        if (score > 0) {
+          candidates.push({ field, profileValue, valueIndex, score });
+        }
+      });
+    });
+
+  candidates.sort((a, b) => b.score - a.score);
+
+  const matches = {};
+  const failures = {};
+  const usedValues = new Set();
+
+  candidates.forEach(({ field, profileValue, valueIndex }) => {
+    if (matches[field.id] || usedValues.has(valueIndex)) return;
+
+    const validation = validateFieldValue(field.type, String(profileValue.value), field, locale);
+    if (!validation.valid) {
+      failures[field.id] = failures[field.id] || {
+        fieldId: field.id,
+        fieldLabel: field.label,
+        value: profileValue.value,
+        message: validation.message
+      };
+      return;
+    }
+
+    matches[field.id] = validation.value;
+    usedValues.add(valueIndex);
+  });
+
+  const rejected = Object.values(failures).filter(failure => !matches[failure.fieldId]);
+  const unusedValues = values.filter((value, index) => !usedValues.has(index));
+  return { matches, rejected, unusedValues };
+}
+
+/**
+ * Find the profile values that fill a form's fields
+ * @param {object} profile - Saved profile
+ * @param {Array} fields - Form fields
+ * @param {object} filledFields - Values already in the session (left untouched)
+ * @param {object} locale - Form locale (see formLocale)
+ * @returns {object} { fieldId: value } pairs to prefill
+ */
+export function matchProfileToFields(profile, fields, filledFields = {}, locale) {
+  return matchValuesToFields(profile.values, fields, filledFields, locale).matches;
+}
+
+/**
+ * Build profile values from a session's filled fields
+ * @param {object} session - Session data
+ * @returns {Array} Profile values as { label, type, value }
+ */
+export function profileValuesFromSession(session) {
+  return session.formSchema.fields
+    .filter(field => session.filledFields[field.id])
+    .map(field => ({
+      label: field.label,
+      type: field.type,
+      value: session.filledFields[field.id]
+    }));
+}
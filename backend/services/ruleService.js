@@ -0,0 +1,366 @@
+/**
+ * Rule Service
+ * Declarative cross-field rules kept in the form schema: conditions that show a
+ * field (field.visibleIf, e.g. employer name only if employed) or make it required
+ * (field.requiredIf, e.g. spouse name only if married) and rules between answers
+ * (formSchema.rules, e.g. the end date comes after the start date, the age matches
+ * the date of birth)
+ * Hidden fields are not applicable: they are never asked, required or exported,
+ * and rules are only checked once every field they compare is shown and has a value
+ */
+
+import { formLocale, readDate } from './validationService.js';
+
+// Comparisons a 'compare' rule can make, with how a violation is described
+const COMPARE_OPERATORS = {
+  before: { test: (order) => order < 0, phrase: 'must be before' },
+  after: { test: (order) => order > 0, phrase: 'must be after' },
+  onOrBefore: { test: (order) => order <= 0, phrase: 'must not be after' },
+  onOrAfter: { test: (order) => order >= 0, phrase: 'must not be before' },
+  lessThan: { test: (order) => order < 0, phrase: 'must be less than' },
+  greaterThan: { test: (order) => order > 0, phrase: 'must be greater than' },
+  equals: { test: (order) => order === 0, phrase: 'must match' },
+  notEquals: { test: (order) => order !== 0, phrase: 'must differ from' }
+};
+
+// Kinds of rules in formSchema.rules
+export const RULE_TYPES = ['compare', 'age'];
+
+/**
+ * Compare two answers for equality the way users write them (case and spacing ignored)
+ * @param {any} value
+ * @returns {string}
+ */
+function comparable(value) {
+  return String(value ?? '').trim().toLowerCase();
+}
+
+/**
+ * Check a condition on another field's answer
+ * @param {object} condition - { field, equals?, notEquals?, in?, filled? }; with only
+ *   `field` given, the condition holds once that field has a value
+ * @param {object} filledFields - { fieldId: value }
+ * @returns {boolean} True if the condition holds
+ */
+export function evaluateCondition(condition, filledFields) {
+  const value = filledFields[condition.field];
+  const filled = !!value;
+
+  if (condition.equals !== undefined) {
+    return filled && comparable(value) === comparable(condition.equals);
+  }
+  if (condition.notEquals !== undefined) {
+    return !filled || comparable(value) !== comparable(condition.notEquals);
+  }
+  if (condition.in !== undefined) {
+    return filled && condition.in.some(option => comparable(option) === comparable(value));
+  }
+  if (condition.filled !== undefined) {
+    return filled === !!condition.filled;
+  }
+  return filled;
+}
+
+/**
+ * Whether a field needs an answer given the other answers
+ * Visibility is not considered here; callers go through requiredFieldIds
+ * @param {object} field - Schema field (required, optional requiredIf condition)
+ * @param {object} filledFields - { fieldId: value } of the applicable answers
+ * @returns {boolean}
+ */
+function isFieldRequired(field, filledFields) {
+  return !!field.required || (!!field.requiredIf && evaluateCondition(field.requiredIf, filledFields));
+}
+
+/**
+ * Fields hidden by their visibleIf condition
+ * A field whose condition looks at a hidden field is hidden too, so the answers of
+ * a branch the user left stop counting (conditions looking at each other hide both)
+ * @param {Array} fields - Schema fields
+ * @param {object} filledFields - { fieldId: value }
+ * @returns {Set<string>} Ids of hidden fields
+ */
+export function hiddenFieldIds(fields, filledFields) {
+  const fieldsById = new Map(fields.map(field => [field.id, field]));
+  const visibility = new Map();
+
+  const isVisible = (field, seen) => {
+    if (visibility.has(field.id)) return visibility.get(field.id);
+    if (!field.visibleIf) return true;
+
+    const source = fieldsById.get(field.visibleIf.field);
+    const visible = !!source && !seen.has(source.id)
+      && isVisible(source, new Set([...seen, field.id]))
+      && evaluateCondition(field.visibleIf, filledFields);
+    visibility.set(field.id, visible);
+    return visible;
+  };
+
+  return new Set(fields.filter(field => !isVisible(field, new Set([field.id]))).map(field => field.id));
+}
+
+/**
+ * The answers that apply: values of hidden fields are kept in the session (the
+ * user may come back to that branch) but left out of exports and checks
+ * @param {object} formSchema - Form schema
+ * @param {object} filledFields - { fieldId: value }
+ * @returns {object} { fieldId: value } of shown fields
+ */
+export function applicableValues(formSchema, filledFields) {
+  const hidden = hiddenFieldIds(formSchema.fields, filledFields);
+  return Object.fromEntries(Object.entries(filledFields).filter(([fieldId]) => !hidden.has(fieldId)));
+}
+
+/**
+ * Fields that need an answer given the answers so far
+ * Hidden fields are never required, and requiredIf conditions only look at the answers
+ * that apply, so a value left behind in a hidden branch cannot make a field required
+ * @param {object} formSchema - Form schema
+ * @param {object} filledFields - { fieldId: value }
+ * @returns {Set<string>} Ids of required fields
+ */
+export function requiredFieldIds(formSchema, filledFields) {
+  const hidden = hiddenFieldIds(formSchema.fields, filledFields);
+  const values = applicableValues(formSchema, filledFields);
+  return new Set(
+    formSchema.fields
+      .filter(field => !hidden.has(field.id) && isFieldRequired(field, values))
+      .map(field => field.id)
+  );
+}
+
+/**
+ * Read an answer as something that can be ordered: a day number for dates, else a number
+ * @param {string} value - Stored answer
+ * @param {object} field - Schema field
+ * @param {object} locale - { language, region } (see formLocale)
+ * @returns {number|null} null if the answer has no order
+ */
+function orderedValue(value, field, locale) {
+  if (field.type === 'date') {
+    const date = readDate(value, field, locale);
+    return date ? Date.UTC(date.year, date.month - 1, date.day) / 86400000 : null;
+  }
+  const number = Number(String(value).replace(/[\s,]/g, ''));
+  return String(value).trim() !== '' && Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Completed years between two dates
+ * @param {object} from - { year, month, day }
+ * @param {object} to - { year, month, day }
+ * @returns {number}
+ */
+function yearsBetween(from, to) {
+  const hadBirthday = to.month > from.month || (to.month === from.month && to.day >= from.day);
+  return to.year - from.year - (hadBirthday ? 0 : 1);
+}
+
+/**
+ * Check a 'compare' rule
+ * Dates and numbers are ordered; other answers can only be equal or differ
+ * @param {object} rule - { field, operator, otherField }
+ * @param {object} fieldsById - Map of schema fields
+ * @param {object} filledFields - { fieldId: value }
+ * @param {object} locale
+ * @returns {string|null} Default violation message, or null if the rule holds
+ */
+function checkCompare(rule, fieldsById, filledFields, locale) {
+  const field = fieldsById.get(rule.field);
+  const otherField = fieldsById.get(rule.otherField);
+  const value = filledFields[rule.field];
+  const otherValue = filledFields[rule.otherField];
+  const operator = COMPARE_OPERATORS[rule.operator];
+
+  const left = orderedValue(value, field, locale);
+  const right = orderedValue(otherValue, otherField, locale);
+  let order;
+  if (left !== null && right !== null) {
+    order = Math.sign(left - right);
+  } else if (rule.operator === 'equals' || rule.operator === 'notEquals') {
+    order = comparable(value) === comparable(otherValue) ? 0 : 1;
+  } else {
+    // An ordering rule cannot judge answers that are not dates or numbers
+    return null;
+  }
+
+  return operator.test(order)
+    ? null
+    : `${field.label} (${value}) ${operator.phrase} ${otherField.label} (${otherValue})`;
+}
+
+/**
+ * Check an 'age' rule: the age answered matches the date of birth, as of
+ * another date field (e.g. the signing date) or today
+ * @param {object} rule - { field, dateField, asOfField? }
+ * @param {object} fieldsById - Map of schema fields
+ * @param {object} filledFields - { fieldId: value }
+ * @param {object} locale
+ * @returns {string|null} Default violation message, or null if the rule holds
+ */
+function checkAge(rule, fieldsById, filledFields, locale) {
+  const field = fieldsById.get(rule.field);
+  const dateField = fieldsById.get(rule.dateField);
+  const birthDate = readDate(filledFields[rule.dateField], dateField, locale);
+
+  let asOf;
+  let asOfText = 'today';
+  if (rule.asOfField) {
+    const asOfField = fieldsById.get(rule.asOfField);
+    asOf = readDate(filledFields[rule.asOfField], asOfField, locale);
+    asOfText = `on ${asOfField.label} (${filledFields[rule.asOfField]})`;
+  } else {
+    const today = new Date();
+    asOf = { year: today.getFullYear(), month: today.getMonth() + 1, day: today.getDate() };
+  }
+
+  const age = parseInt(String(filledFields[rule.field]).match(/\d+/)?.[0], 10);
+  if (!birthDate || !asOf || Number.isNaN(age)) return null;
+
+  const expected = yearsBetween(birthDate, asOf);
+  return age === expected
+    ? null
+    : `${field.label} (${age}) does not match ${dateField.label} (${filledFields[rule.dateField]}), which gives an age of ${expected} ${asOfText}`;
+}
+
+/**
+ * Fields a rule reads
+ * @param {object} rule
+ * @returns {Array<string>} Field ids
+ */
+function ruleFieldIds(rule) {
+  return rule.type === 'age'
+    ? [rule.field, rule.dateField, rule.asOfField].filter(Boolean)
+    : [rule.field, rule.otherField];
+}
+
+/**
+ * Check a form's cross-field rules against its answers
+ * @param {object} formSchema - Form schema (fields and rules)
+ * @param {object} filledFields - { fieldId: value }
+ * @param {object} locale - { language, region } (see formLocale)
+ * @returns {Array<object>} Violations as { ruleId, fieldIds, message }
+ */
+export function evaluateRules(formSchema, filledFields, locale = formLocale(formSchema)) {
+  const fieldsById = new Map(formSchema.fields.map(field => [field.id, field]));
+  const values = applicableValues(formSchema, filledFields);
+  const violations = [];
+
+  (formSchema.rules || []).forEach(rule => {
+    const fieldIds = ruleFieldIds(rule);
+    if (!fieldIds.every(id => fieldsById.has(id) && values[id])) return;
+
+    const message = rule.type === 'age'
+      ? checkAge(rule, fieldsById, values, locale)
+      : checkCompare(rule, fieldsById, values, locale);
+    if (message) {
+      violations.push({ ruleId: rule.id, fieldIds, message: rule.message || message });
+    }
+  });
+
+  return violations;
+}
+
+/**
+ * Check a visibleIf or requiredIf condition from a schema edit
+ * @param {any} condition
+ * @param {string} fieldId - Field the condition belongs to
+ * @param {Set<string>} fieldIds - Ids of the form's fields
+ * @returns {string|null} Problem with the condition, or null if it is usable
+ */
+export function checkCondition(condition, fieldId, fieldIds) {
+  if (!condition || typeof condition !== 'object' || typeof condition.field !== 'string') {
+    return 'a condition needs the id of the field it looks at';
+  }
+  if (condition.field === fieldId) {
+    return 'a condition cannot look at its own field';
+  }
+  if (!fieldIds.has(condition.field)) {
+    return `there is no field "${condition.field}"`;
+  }
+  if (condition.in !== undefined && !Array.isArray(condition.in)) {
+    return '"in" must be a list of values';
+  }
+  return null;
+}
+
+/**
+ * Check the cross-field rules of a schema edit
+ * Rules without an id are numbered after the existing ones
+ * @param {any} rules - Requested rules
+ * @param {Array} fields - The form's fields after the edit
+ * @returns {object} { rules } or { error } describing the first problem
+ */
+export function parseRules(rules, fields) {
+  if (!Array.isArray(rules)) {
+    return { error: 'Rules must be a list' };
+  }
+
+  const fieldIds = new Set(fields.map(field => field.id));
+  const fieldTypes = new Map(fields.map(field => [field.id, field.type]));
+  let nextNumber = Math.max(
+    0,
+    ...rules.map(rule => parseInt(String(rule?.id || '').replace('rule_', ''), 10) || 0)
+  ) + 1;
+
+  const parsed = [];
+  const ruleIds = new Set();
+  for (const [index, rule] of rules.entries()) {
+    const name = `Rule ${index + 1}`;
+    if (!rule || !RULE_TYPES.includes(rule.type)) {
+      return { error: `${name} needs a type (${RULE_TYPES.join(' or ')})` };
+    }
+
+    // Violations are reported by rule id, so ids must be unique
+    const id = typeof rule.id === 'string' && rule.id ? rule.id : `rule_${nextNumber++}`;
+    if (ruleIds.has(id)) {
+      return { error: `${name} has the same id as another rule ("${id}")` };
+    }
+    ruleIds.add(id);
+
+    // Fields only age rules look at would be kept but never checked
+    const strayField = ['dateField', 'asOfField'].find(key => rule.type !== 'age' && rule[key] !== undefined);
+    if (strayField) {
+      return { error: `${name} is a ${rule.type} rule and cannot have a ${strayField}` };
+    }
+
+    const referenced = ruleFieldIds(rule);
+    if (referenced.length < 2 || referenced.some(id => !id)) {
+      return { error: `${name} needs the ids of the fields it compares` };
+    }
+    const unknown = referenced.find(id => !fieldIds.has(id));
+    if (unknown !== undefined) {
+      return { error: `${name} refers to a field that does not exist ("${unknown}")` };
+    }
+
+    if (rule.type === 'compare' && !COMPARE_OPERATORS[rule.operator]) {
+      return { error: `${name} needs an operator (${Object.keys(COMPARE_OPERATORS).join(', ')})` };
+    }
+    if (rule.type === 'age' && [rule.dateField, rule.asOfField].some(id => id && fieldTypes.get(id) !== 'date')) {
+      return { error: `${name} needs date fields for the date of birth and the reference date` };
+    }
+
+    parsed.push({
+      id,
+      type: rule.type,
+      field: rule.field,
+      ...(rule.type === 'compare' && { operator: rule.operator, otherField: rule.otherField }),
+      ...(rule.type === 'age' && { dateField: rule.dateField }),
+      ...(rule.type === 'age' && rule.asOfField && { asOfField: rule.asOfField }),
+      ...(typeof rule.message === 'string' && rule.message.trim() && { message: rule.message.trim() })
+    });
+  }
+
+  return { rules: parsed };
+}
+
+/**
+ * Keep the rules whose fields all still exist (e.g. after fields were removed)
+ * @param {Array} rules - Current rules
+ * @param {Array} fields - The form's fields
+ * @returns {Array} Remaining rules
+ */
+export function rulesForFields(rules = [], fields) {
+  const fieldIds = new Set(fields.map(field => field.id));
+  return rules.filter(rule => ruleFieldIds(rule).every(id => fieldIds.has(id)));
+}
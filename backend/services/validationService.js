@@ -0,0 +1,477 @@
+/**
+ * Validation Service
+ * Locale-aware checks and normalization of answers: dates are parsed from many
+ * notations and rewritten in the form's format, phone numbers become E.164,
+ * postal codes follow the form's region and national IDs are checked with
+ * their checksums or structure rules (Aadhaar, PAN, SSN)
+ * Failures carry a message explaining what is wrong, for the user to read
+ */
+
+import dotenv from 'dotenv';
+import { DEFAULT_LANGUAGE } from './languageService.js';
+
+dotenv.config();
+
+/**
+ * Conventions per region
+ * dateOrder is how all-numeric dates are read; phone numbers have nationalLength
+ * digits after the dial code or the trunk prefix dialled inside the country
+ */
+const REGIONS = {
+  US: {
+    name: 'the United States', dateOrder: 'MDY', dateFormat: 'MM/DD/YYYY',
+    dialCode: '1', nationalLength: 10, trunkPrefix: '1',
+    postal: { name: 'ZIP code', pattern: /^(\d{5})(?:-?(\d{4}))?$/, format: (m) => (m[2] ? `${m[1]}-${m[2]}` : m[1]), rule: '5 digits, optionally followed by 4 more (12345 or 12345-6789)' }
+  },
+  IN: {
+    name: 'India', dateOrder: 'DMY', dateFormat: 'DD/MM/YYYY',
+    dialCode: '91', nationalLength: 10, trunkPrefix: '0',
+    postal: { name: 'PIN code', pattern: /^([1-9]\d{5})$/, format: (m) => m[1], rule: '6 digits and does not start with 0' }
+  },
+  ES: {
+    name: 'Spain', dateOrder: 'DMY', dateFormat: 'DD/MM/YYYY',
+    dialCode: '34', nationalLength: 9, trunkPrefix: null,
+    postal: { name: 'código postal', pattern: /^((?:0[1-9]|[1-4]\d|5[0-2])\d{3})$/, format: (m) => m[1], rule: '5 digits starting with a province number from 01 to 52' }
+  },
+  FR: {
+    name: 'France', dateOrder: 'DMY', dateFormat: 'DD/MM/YYYY',
+    dialCode: '33', nationalLength: 9, trunkPrefix: '0',
+    postal: { name: 'code postal', pattern: /^(\d{5})$/, format: (m) => m[1], rule: '5 digits' }
+  },
+  GB: {
+    name: 'the United Kingdom', dateOrder: 'DMY', dateFormat: 'DD/MM/YYYY',
+    dialCode: '44', nationalLength: 10, trunkPrefix: '0',
+    postal: { name: 'postcode', pattern: /^([A-Z]{1,2}\d[A-Z\d]?)(\d[A-Z]{2})$/, format: (m) => `${m[1]} ${m[2]}`, rule: 'like SW1A 1AA' }
+  },
+  MX: {
+    name: 'Mexico', dateOrder: 'DMY', dateFormat: 'DD/MM/YYYY',
+    dialCode: '52', nationalLength: 10, trunkPrefix: null,
+    postal: { name: 'código postal', pattern: /^(\d{5})$/, format: (m) => m[1], rule: '5 digits' }
+  }
+};
+
+// Region assumed for a form's language unless DEFAULT_REGION is set
+const LANGUAGE_REGIONS = { en: 'US', hi: 'IN', es: 'ES', fr: 'FR' };
+
+const DEFAULT_REGION = (() => {
+  const region = (process.env.DEFAULT_REGION || '').toUpperCase();
+  if (region && !REGIONS[region]) {
+    console.warn(`Unknown DEFAULT_REGION "${process.env.DEFAULT_REGION}", using the form language's region`);
+  }
+  return REGIONS[region] ? region : null;
+})();
+
+// Month names (and common abbreviations) in every supported language
+const MONTH_NAMES = {
+  january: 1, jan: 1, february: 2, feb: 2, march: 3, mar: 3, april: 4, apr: 4, may: 5, june: 6, jun: 6,
+  july: 7, jul: 7, august: 8, aug: 8, september: 9, sept: 9, sep: 9, october: 10, oct: 10,
+  november: 11, nov: 11, december: 12, dec: 12,
+  enero: 1, ene: 1, febrero: 2, marzo: 3, abril: 4, abr: 4, mayo: 5, junio: 6, julio: 7, agosto: 8, ago: 8,
+  septiembre: 9, setiembre: 9, octubre: 10, noviembre: 11, diciembre: 12, dic: 12,
+  janvier: 1, janv: 1, 'février': 2, 'févr': 2, 'fév': 2, fevrier: 2, mars: 3, avril: 4, avr: 4, mai: 5, juin: 6,
+  juillet: 7, juil: 7, 'août': 8, aout: 8, septembre: 9, octobre: 10, novembre: 11, 'décembre': 12, 'déc': 12, decembre: 12,
+  'जनवरी': 1, 'फ़रवरी': 2, 'फरवरी': 2, 'मार्च': 3, 'अप्रैल': 4, 'मई': 5, 'जून': 6, 'जुलाई': 7, 'अगस्त': 8,
+  'सितंबर': 9, 'सितम्बर': 9, 'अक्टूबर': 10, 'अक्तूबर': 10, 'नवंबर': 11, 'नवम्बर': 11, 'दिसंबर': 12, 'दिसम्बर': 12
+};
+
+// Words that may sit between the parts of a written date ("3 de marzo de 1990", "the 3rd of March")
+const DATE_FILLER_WORDS = new Set(['de', 'del', 'of', 'the', 'le']);
+
+// Verhoeff checksum tables (used by Aadhaar numbers)
+const VERHOEFF_MULTIPLY = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 2, 3, 4, 0, 6, 7, 8, 9, 5], [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7], [4, 0, 1, 2, 3, 9, 5, 6, 7, 8], [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2], [7, 6, 5, 9, 8, 2, 1, 0, 4, 3], [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+const VERHOEFF_PERMUTE = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 5, 7, 6, 2, 8, 3, 0, 9, 4], [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7], [9, 4, 5, 3, 1, 2, 6, 8, 7, 0], [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5], [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+// Fourth letter of a PAN: the kind of holder (P = person, C = company ...)
+const PAN_HOLDER_TYPES = 'ABCFGHJLPT';
+
+/**
+ * Locale used to validate a form's answers
+ * @param {object} formSchema - Form schema (its language picks the region)
+ * @returns {object} { language, region }
+ */
+export function formLocale(formSchema = {}) {
+  const language = formSchema.language || DEFAULT_LANGUAGE;
+  return { language, region: DEFAULT_REGION || LANGUAGE_REGIONS[language] || 'US' };
+}
+
+/**
+ * Replace Devanagari digits (०-९) with ASCII digits
+ * @param {string} text
+ * @returns {string}
+ */
+function toAsciiDigits(text) {
+  return text.replace(/[\u0966-\u096f]/g, (digit) => String(digit.charCodeAt(0) - 0x0966));
+}
+
+/**
+ * Expected date format written next to a label, e.g. "Date of Birth (DD/MM/YYYY)"
+ * French (JJ/MM/AAAA) and Spanish (DD/MM/AAAA) placeholders are understood too
+ * @param {string} text
+ * @returns {string|null} Format using DD, MM and YYYY, or null if none is given
+ */
+export function detectDateFormat(text) {
+  const match = text.match(/(?<![A-Za-z])(DD|JJ|MM|YYYY|AAAA)([\/\-.])(DD|JJ|MM)\2(DD|JJ|YYYY|AAAA)(?![A-Za-z])/i);
+  if (!match) return null;
+
+  const tokens = [match[1], match[3], match[4]].map(token => {
+    const upper = token.toUpperCase();
+    if (upper === 'JJ') return 'DD';
+    if (upper === 'AAAA') return 'YYYY';
+    return upper;
+  });
+  if (new Set(tokens).size !== 3) return null;
+  return tokens.join(match[2]);
+}
+
+/**
+ * Whether a day exists (no February 30th)
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @returns {boolean}
+ */
+function isCalendarDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Four-digit year for a two-digit one: the most recent year ending in those
+ * digits, unless that is more than 10 years ahead
+ * @param {string} text - Year as written
+ * @returns {number}
+ */
+function fullYear(text) {
+  const year = parseInt(text, 10);
+  if (text.length > 2) return year;
+  const thisYear = new Date().getFullYear();
+  const candidate = Math.floor(thisYear / 100) * 100 + year;
+  return candidate > thisYear + 10 ? candidate - 100 : candidate;
+}
+
+/**
+ * English name of a month
+ * @param {number} month - 1-12
+ * @returns {string}
+ */
+function monthName(month) {
+  return new Date(Date.UTC(2000, month - 1, 1)).toLocaleString('en', { month: 'long', timeZone: 'UTC' });
+}
+
+/**
+ * Check the parts of a parsed date
+ * @param {number} year
+ * @param {number} month
+ * @param {number} day
+ * @param {string} readAs - How the input was read, for the explanation
+ * @returns {object} { date: { year, month, day } } or { error }
+ */
+function checkDateParts(year, month, day, readAs) {
+  if (month < 1 || month > 12) {
+    return { error: `${month} is not a valid month (the date was read as ${readAs})` };
+  }
+  if (year < 1800 || year > 2200) {
+    return { error: `${year} is not a plausible year` };
+  }
+  if (!isCalendarDate(year, month, day)) {
+    return { error: `${monthName(month)} ${year} has no day ${day} (the date was read as ${readAs})` };
+  }
+  return { date: { year, month, day } };
+}
+
+/**
+ * Unambiguous description of a date ("25 December 1990")
+ * @param {object} date - { year, month, day }
+ * @returns {string}
+ */
+function describeDate({ year, month, day }) {
+  return `${day} ${monthName(month)} ${year}`;
+}
+
+/**
+ * Read a date written in numbers or with a month name
+ * All-numeric dates are read in the order of the field's format (e.g. DD/MM/YYYY),
+ * else in the order usual in the region
+ * @param {string} value - e.g. "03/12/1990", "1990-03-12", "March 3 1990", "3 de marzo de 1990"
+ * @param {string|undefined} format - Field's date format
+ * @param {object} region - Entry of REGIONS
+ * @returns {object} { date: { year, month, day } } or { error }
+ */
+function parseDate(value, format, region) {
+  const text = toAsciiDigits(value).trim().toLowerCase();
+
+  // Year first (ISO 8601 and similar) is never ambiguous
+  const iso = text.match(/^(\d{4})[\/\-.](\d{1,2})[\/\-.](\d{1,2})$/);
+  if (iso) {
+    return checkDateParts(+iso[1], +iso[2], +iso[3], 'YYYY-MM-DD');
+  }
+
+  const numeric = text.match(/^(\d{1,2})[\/\-.\s](\d{1,2})[\/\-.\s](\d{2}|\d{4})$/);
+  if (numeric) {
+    const [first, second] = [+numeric[1], +numeric[2]];
+    const year = fullYear(numeric[3]);
+    const formatOrder = format && format.indexOf('MM') < format.indexOf('DD') ? 'MDY' : 'DMY';
+    const order = format && format.indexOf('YYYY') > 0 ? formatOrder : region.dateOrder;
+    const source = format && format.indexOf('YYYY') > 0 ? `as the form asks (${format})` : `as usual in ${region.name}`;
+    const parsed = order === 'MDY'
+      ? checkDateParts(year, first, second, `month/day/year, ${source}`)
+      : checkDateParts(year, second, first, `day/month/year, ${source}`);
+
+    // Point out the reading that works when the user used the other order
+    const swapped = order === 'MDY' ? checkDateParts(year, second, first, '') : checkDateParts(year, first, second, '');
+    if (parsed.error && swapped.date) {
+      const example = formatDate(swapped.date, format || region.dateFormat);
+      return { error: `${parsed.error}. If you meant ${describeDate(swapped.date)}, write ${example}` };
+    }
+    return parsed;
+  }
+
+  // Written month: the other numbers are the day and the year
+  const words = text
+    .replace(/(\d+)\s*(st|nd|rd|th|er|re|e|º|°)(?![\p{L}])/gu, '$1')
+    .split(/[\s,.\/-]+/u)
+    .filter(word => word && !DATE_FILLER_WORDS.has(word));
+  const monthWords = words.filter(word => MONTH_NAMES[word]);
+  const numbers = words.filter(word => /^\d+$/.test(word));
+
+  if (monthWords.length === 1 && numbers.length === 2 && words.length === 3) {
+    // The year is the four-digit number, else the one that cannot be a day
+    let yearIndex = numbers.findIndex(number => number.length === 4);
+    if (yearIndex < 0) yearIndex = +numbers[0] > 31 ? 0 : 1;
+    const year = fullYear(numbers[yearIndex]);
+    const day = +numbers[1 - yearIndex];
+    return checkDateParts(year, MONTH_NAMES[monthWords[0]], day, 'a written date');
+  }
+
+  return {
+    error: `"${value}" is not a date I can read. Use ${format || region.dateFormat}, YYYY-MM-DD or a written date like "3 March 1990"`
+  };
+}
+
+/**
+ * Write a date in a format using DD, MM and YYYY
+ * @param {object} date - { year, month, day }
+ * @param {string} format - e.g. 'DD/MM/YYYY'
+ * @returns {string}
+ */
+function formatDate({ year, month, day }, format) {
+  return format
+    .replace('YYYY', String(year).padStart(4, '0'))
+    .replace('MM', String(month).padStart(2, '0'))
+    .replace('DD', String(day).padStart(2, '0'));
+}
+
+/**
+ * Whether a date format can be used for a field: DD, MM and YYYY once each,
+ * separated by '/', '-' or '.'
+ * @param {string} format
+ * @returns {boolean}
+ */
+export function isDateFormat(format) {
+  return detectDateFormat(format) === format;
+}
+
+/**
+ * Format a date field's answers are stored in
+ * @param {object} field - Schema field
+ * @param {object} locale - { language, region } (see formLocale)
+ * @returns {string} e.g. 'DD/MM/YYYY'
+ */
+export function dateFormatFor(field = {}, locale = formLocale()) {
+  return field.format || (REGIONS[locale.region] || REGIONS.US).dateFormat;
+}
+
+/**
+ * Read a stored date answer back into its parts (e.g. to compare two dates)
+ * @param {string} value - Answer as stored for the field
+ * @param {object} field - Schema field
+ * @param {object} locale - { language, region } (see formLocale)
+ * @returns {object|null} { year, month, day }, or null if the value is not a date
+ */
+export function readDate(value, field = {}, locale = formLocale()) {
+  const { date } = parseDate(String(value), field.format, REGIONS[locale.region] || REGIONS.US);
+  return date || null;
+}
+
+/**
+ * Validate a date and rewrite it in the field's format (or the region's)
+ * @param {string} value
+ * @param {object} field - Schema field (format, e.g. 'DD/MM/YYYY', is optional)
+ * @param {object} region - Entry of REGIONS
+ * @returns {object} { valid, value, message }
+ */
+function normalizeDate(value, field, region) {
+  const { date, error } = parseDate(value, field.format, region);
+  if (error) return { valid: false, message: error };
+  return { valid: true, value: formatDate(date, field.format || region.dateFormat), message: 'Valid' };
+}
+
+/**
+ * Validate a phone number and rewrite it in E.164 (+<country code><number>)
+ * Numbers without a country code are read as numbers of the form's region
+ * @param {string} value
+ * @param {object} region - Entry of REGIONS
+ * @returns {object} { valid, value, message }
+ */
+function normalizePhone(value, region) {
+  const text = toAsciiDigits(value).trim();
+  if (/[^\d\s\-+().\/]/.test(text.replace(/^tel:/i, ''))) {
+    return { valid: false, message: 'A phone number may only contain digits, spaces, dashes, brackets and a leading +' };
+  }
+
+  let digits = text.replace(/\D/g, '');
+  const international = text.startsWith('+') || digits.startsWith('00');
+  if (international) {
+    digits = digits.replace(/^00/, '');
+    if (digits.length < 8 || digits.length > 15 || digits.startsWith('0')) {
+      return { valid: false, message: `+${digits} is not a valid international number: it needs a country code and 8 to 15 digits in total` };
+    }
+    const national = digits.slice(region.dialCode.length);
+    if (digits.startsWith(region.dialCode) && national.length !== region.nationalLength) {
+      return {
+        valid: false,
+        message: `Phone numbers in ${region.name} (+${region.dialCode}) have ${region.nationalLength} digits after the country code; this one has ${national.length}`
+      };
+    }
+    return { valid: true, value: `+${digits}`, message: 'Valid' };
+  }
+
+  if (digits.length === region.dialCode.length + region.nationalLength && digits.startsWith(region.dialCode)) {
+    digits = digits.slice(region.dialCode.length);
+  } else if (region.trunkPrefix && digits.length === region.trunkPrefix.length + region.nationalLength && digits.startsWith(region.trunkPrefix)) {
+    digits = digits.slice(region.trunkPrefix.length);
+  }
+
+  if (digits.length !== region.nationalLength) {
+    return {
+      valid: false,
+      message: `Phone numbers in ${region.name} have ${region.nationalLength} digits (${digits.length} given). ` +
+        'For a number from another country, start with + and its country code'
+    };
+  }
+  return { valid: true, value: `+${region.dialCode}${digits}`, message: 'Valid' };
+}
+
+/**
+ * Validate a postal code by the rules of the form's region
+ * @param {string} value
+ * @param {object} region - Entry of REGIONS
+ * @returns {object} { valid, value, message }
+ */
+function normalizePostalCode(value, region) {
+  const { postal } = region;
+  const compact = toAsciiDigits(value).toUpperCase().replace(/[\s]/g, '');
+  const match = compact.match(postal.pattern);
+  if (!match) {
+    return { valid: false, message: `"${value}" is not a valid ${postal.name}: in ${region.name} it is ${postal.rule}` };
+  }
+  return { valid: true, value: postal.format(match), message: 'Valid' };
+}
+
+/**
+ * Verhoeff checksum check
+ * @param {string} digits
+ * @returns {boolean} True if the last digit is the correct check digit
+ */
+function verhoeffValid(digits) {
+  let check = 0;
+  [...digits].reverse().forEach((digit, index) => {
+    check = VERHOEFF_MULTIPLY[check][VERHOEFF_PERMUTE[index % 8][+digit]];
+  });
+  return check === 0;
+}
+
+/**
+ * Validate an Aadhaar number (12 digits, Verhoeff check digit) and group it as XXXX XXXX XXXX
+ * @param {string} value
+ * @returns {object} { valid, value, message }
+ */
+function normalizeAadhaar(value) {
+  const text = toAsciiDigits(value).trim();
+  const digits = text.replace(/[\s-]/g, '');
+  if (!/^\d{12}$/.test(digits)) {
+    return { valid: false, message: `An Aadhaar number has 12 digits (${digits.replace(/\D/g, '').length} given)` };
+  }
+  if (/^[01]/.test(digits)) {
+    return { valid: false, message: 'An Aadhaar number never starts with 0 or 1' };
+  }
+  if (!verhoeffValid(digits)) {
+    return { valid: false, message: 'This Aadhaar number fails its checksum - one of the digits is probably mistyped' };
+  }
+  return { valid: true, value: digits.replace(/(\d{4})(?=\d)/g, '$1 '), message: 'Valid' };
+}
+
+/**
+ * Validate a PAN (five letters, four digits, a letter; the fourth letter is the holder type)
+ * @param {string} value
+ * @returns {object} { valid, value, message }
+ */
+function normalizePAN(value) {
+  const pan = value.replace(/\s/g, '').toUpperCase();
+  if (!/^[A-Z]{5}\d{4}[A-Z]$/.test(pan)) {
+    return { valid: false, message: 'A PAN has 10 characters: 5 letters, 4 digits and a letter (e.g. ABCPE1234F)' };
+  }
+  if (!PAN_HOLDER_TYPES.includes(pan[3])) {
+    return { valid: false, message: `The 4th character of a PAN is the holder type (${PAN_HOLDER_TYPES.split('').join(', ')}), not ${pan[3]}` };
+  }
+  return { valid: true, value: pan, message: 'Valid' };
+}
+
+/**
+ * Validate a US Social Security number and write it as XXX-XX-XXXX
+ * SSNs have no check digit, but some number ranges are never issued
+ * @param {string} value
+ * @returns {object} { valid, value, message }
+ */
+function normalizeSSN(value) {
+  const digits = toAsciiDigits(value).replace(/[\s-]/g, '');
+  if (!/^\d{9}$/.test(digits)) {
+    return { valid: false, message: 'Please provide a valid SSN (XXX-XX-XXXX)' };
+  }
+  const [area, group, serial] = [digits.slice(0, 3), digits.slice(3, 5), digits.slice(5)];
+  if (area === '000' || area === '666' || area >= '900') {
+    return { valid: false, message: `No SSN starts with ${area}` };
+  }
+  if (group === '00' || serial === '0000') {
+    return { valid: false, message: 'No SSN has 00 in the middle or 0000 at the end' };
+  }
+  return { valid: true, value: `${area}-${group}-${serial}`, message: 'Valid' };
+}
+
+/**
+ * Validate and normalize a value of one of the types this service knows
+ * @param {string} type - Field type
+ * @param {string} value - Non-empty answer
+ * @param {object} field - Schema field
+ * @param {object} locale - { language, region } (see formLocale)
+ * @returns {object|null} { valid, value, message }, or null if the type has no rules here
+ */
+export function normalizeValue(type, value, field = {}, locale = formLocale()) {
+  const region = REGIONS[locale.region] || REGIONS.US;
+
+  switch (type) {
+    case 'date':
+      return normalizeDate(value, field, region);
+    case 'phone':
+      return normalizePhone(value, region);
+    case 'postal':
+      return normalizePostalCode(value, region);
+    case 'aadhaar':
+      return normalizeAadhaar(value);
+    case 'pan':
+      return normalizePAN(value);
+    case 'ssn':
+      return normalizeSSN(value);
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * Data Export Service Tests
+ * JSON, CSV, XFDF and FDF exports of a session's answers
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildDataExport, hasAcroFormFields } from '../services/dataExportService.js';
+
+/**
+ * Session for a form with the given fields and answers
+ * @param {Array} fields - Schema fields
+ * @param {object} filledFields - Answers
+ * @param {Array<string>} skippedFields
+ * @returns {object} Session data
+ */
+function createSession(fields, filledFields, skippedFields = []) {
+  return {
+    sessionId: 'session-1',
+    formSchema: { fields },
+    filledFields,
+    skippedFields,
+    isComplete: true
+  };
+}
+
+const exportAs = (session, format) => buildDataExport(session, format).content;
+
+describe('JSON export', () => {
+  it('lists every field with its value and status', () => {
+    const session = createSession(
+      [
+        { id: 'field_1', label: 'Full Name', type: 'name', required: true },
+        { id: 'field_2', label: 'Nickname', type: 'text', required: false },
+        { id: 'field_3', label: 'Country', type: 'choice', required: false, options: ['India', 'Kenya'] }
+      ],
+      { field_1: 'Jane Doe' },
+      ['field_2']
+    );
+
+    const exported = JSON.parse(exportAs(session, 'json'));
+
+    assert.deepEqual(exported.values, { field_1: 'Jane Doe' });
+    assert.deepEqual(exported.fields.map(field => field.status), ['filled', 'skipped', 'empty']);
+    assert.deepEqual(exported.fields[2].options, ['India', 'Kenya']);
+  });
+});
+
+describe('CSV export', () => {
+  it('quotes cells with delimiters, quotes and line breaks', () => {
+    const session = createSession(
+      [
+        { id: 'field_1', label: 'Address', type: 'address' },
+        { id: 'field_2', label: 'Nickname, if any', type: 'text' }
+      ],
+      { field_1: '12 Baker Street\nLondon', field_2: 'The "Doc"' }
+    );
+
+    assert.equal(
+      exportAs(session, 'csv'),
+      'Field ID,Label,Value\r\n' +
+      'field_1,Address,"12 Baker Street\nLondon"\r\n' +
+      'field_2,"Nickname, if any","The ""Doc"""\r\n'
+    );
+  });
+
+  it('keeps spreadsheets from running values as formulas', () => {
+    const session = createSession(
+      [
+        { id: 'field_1', label: 'Notes', type: 'text' },
+        { id: 'field_2', label: 'Phone', type: 'phone' },
+        { id: 'field_3', label: 'Handle', type: 'text' }
+      ],
+      { field_1: '=HYPERLINK("http://example.com")', field_2: '+44 20 7946 0958', field_3: '@jane' }
+    );
+
+    const rows = exportAs(session, 'csv').trim().split('\r\n');
+
+    assert.equal(rows[1], 'field_1,Notes,"\'=HYPERLINK(""http://example.com"")"');
+    assert.equal(rows[2], 'field_2,Phone,\'+44 20 7946 0958');
+    assert.equal(rows[3], 'field_3,Handle,\'@jane');
+  });
+});
+
+describe('XFDF and FDF export', () => {
+  const acroFormSession = () => createSession(
+    [
+      { id: 'field_1', label: 'Name', type: 'name', pdfFieldName: 'applicant.name', pdfFieldType: 'PDFTextField' },
+      { id: 'field_2', label: 'City', type: 'text', pdfFieldName: 'applicant.city', pdfFieldType: 'PDFTextField' },
+      { id: 'field_3', label: 'Agree', type: 'checkbox', pdfFieldName: 'agree', pdfFieldType: 'PDFCheckBox', pdfOnValue: 'On' },
+      { id: 'field_4', label: 'Scanned', type: 'text' }
+    ],
+    { field_1: 'Jane & <Co>', field_2: 'Zürich', field_3: 'yes', field_4: 'not on the AcroForm' }
+  );
+
+  it('nests dotted field names and escapes XML', () => {
+    const xfdf = exportAs(acroFormSession(), 'xfdf');
+
+    assert.ok(xfdf.includes([
+      '    <field name="applicant">',
+      '      <field name="name">',
+      '        <value>Jane &amp; &lt;Co&gt;</value>',
+      '      </field>',
+      '      <field name="city">',
+      '        <value>Zürich</value>',
+      '      </field>',
+      '    </field>'
+    ].join('\n')));
+    assert.ok(!xfdf.includes('not on the AcroForm'));
+  });
+
+  it('checks checkboxes with their on-state and encodes non-ASCII text', () => {
+    const fdf = exportAs(acroFormSession(), 'fdf');
+
+    assert.ok(fdf.includes('<< /T (agree) /V /On >>'));
+    assert.ok(fdf.includes('<< /T (applicant.city) /V <FEFF005A00FC0072006900630068> >>'));
+  });
+
+  it('needs fields with AcroForm names', () => {
+    assert.equal(hasAcroFormFields(acroFormSession()), true);
+    assert.equal(hasAcroFormFields(createSession([{ id: 'field_1', label: 'Name', type: 'name' }], {})), false);
+  });
+});
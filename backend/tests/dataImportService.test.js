@@ -0,0 +1,104 @@
+/**
+ * Data Import Service Tests
+ * Reading JSON/XFDF values and mapping them onto a form's fields
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  detectImportFormat,
+  matchImportedValues,
+  parseImportedValues
+} from '../services/dataImportService.js';
+import { buildDataExport } from '../services/dataExportService.js';
+
+const FIELDS = [
+  { id: 'field_1', label: 'Full Name', type: 'name', pdfFieldName: 'applicant.name' },
+  { id: 'field_2', label: 'Email', type: 'email', pdfFieldName: 'contact_mail' },
+  { id: 'field_3', label: 'Country', type: 'choice', options: ['India', 'Kenya'] }
+];
+
+describe('detectImportFormat', () => {
+  it('goes by the file extension, then by the content', () => {
+    assert.equal(detectImportFormat('values.JSON', '<xfdf>'), 'json');
+    assert.equal(detectImportFormat('values.xml', '{}'), 'xfdf');
+    assert.equal(detectImportFormat('values', '  [{"label": "Name"}]'), 'json');
+    assert.equal(detectImportFormat('values', '<?xml version="1.0"?><xfdf/>'), 'xfdf');
+    assert.equal(detectImportFormat('values.txt', 'Name: Jane'), null);
+  });
+});
+
+describe('parseImportedValues', () => {
+  it('reads a flat JSON map of field names', () => {
+    assert.deepEqual(parseImportedValues('{"contact_mail": "jane@example.com", "empty": " ", "nested": {}}', 'json'), [
+      { pdfFieldName: 'contact_mail', label: 'contact mail', type: null, value: 'jane@example.com' }
+    ]);
+  });
+
+  it('reads nested XFDF fields as dotted names and decodes entities', () => {
+    const xfdf = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<xfdf xmlns="http://ns.adobe.com/xfdf/">',
+      '  <fields>',
+      '    <field name="applicant">',
+      '      <field name="name"><value>Jane &amp; Co &#x2764;</value></field>',
+      '      <field name="blank"/>',
+      '    </field>',
+      '    <field name="contact_mail"><value>jane@example.com</value></field>',
+      '  </fields>',
+      '</xfdf>'
+    ].join('\n');
+
+    assert.deepEqual(parseImportedValues(xfdf, 'xfdf').map(value => [value.pdfFieldName, value.value]), [
+      ['applicant.name', 'Jane & Co ❤'],
+      ['contact_mail', 'jane@example.com']
+    ]);
+  });
+
+  it('rejects XML that is not XFDF', () => {
+    assert.throws(() => parseImportedValues('<html></html>', 'xfdf'), /Not an XFDF document/);
+  });
+});
+
+describe('matchImportedValues', () => {
+  it('matches by AcroForm name first, then by label', () => {
+    const imported = [
+      { pdfFieldName: 'applicant.name', label: 'Name', type: null, value: 'Jane Doe' },
+      { pdfFieldName: null, label: 'Country', type: 'choice', value: 'kenya' },
+      { pdfFieldName: 'shoe_size', label: 'shoe size', type: null, value: '42' }
+    ];
+
+    const { matches, rejected, unmatched } = matchImportedValues(imported, FIELDS);
+
+    assert.deepEqual(matches, { field_1: 'Jane Doe', field_3: 'Kenya' });
+    assert.deepEqual(rejected, []);
+    assert.deepEqual(unmatched, ['shoe_size']);
+  });
+
+  it('reports values their field rejects and leaves filled fields alone', () => {
+    const imported = [
+      { pdfFieldName: 'contact_mail', label: 'contact mail', type: null, value: 'not an email' },
+      { pdfFieldName: 'applicant.name', label: 'name', type: null, value: 'John Doe' }
+    ];
+
+    const { matches, rejected } = matchImportedValues(imported, FIELDS, { field_1: 'Jane Doe' });
+
+    assert.deepEqual(matches, {});
+    assert.deepEqual(rejected.map(failure => failure.fieldId), ['field_2']);
+  });
+
+  it('takes back this app\'s own JSON export', () => {
+    const session = {
+      sessionId: 'session-1',
+      formSchema: { fields: FIELDS },
+      filledFields: { field_1: 'Jane Doe', field_2: 'jane@example.com', field_3: 'India' },
+      skippedFields: [],
+      isComplete: true
+    };
+    const { content } = buildDataExport(session, 'json');
+
+    const { matches } = matchImportedValues(parseImportedValues(content, 'json'), FIELDS);
+
+    assert.deepEqual(matches, session.filledFields);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * File Lifecycle Tests
+ * Session files are kept until their session is deleted
+ */
+
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lifecycle-'));
+process.env.SESSION_STORE = 'memory';
+process.env.UPLOAD_DIR = path.join(dir, 'uploads');
+process.env.OUTPUT_DIR = path.join(dir, 'outputs');
+
+const { default: fileLifecycle, UPLOAD_DIR, OUTPUT_DIR } = await import('../utils/fileLifecycle.js');
+const { default: sessionStore } = await import('../utils/sessionStore.js');
+
+before(() => {
+  fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Create a session that owns an uploaded file
+ * @param {string} sessionId
+ * @returns {string} Path of the upload
+ */
+function createSessionWithUpload(sessionId) {
+  const uploadPath = path.join(UPLOAD_DIR, `${sessionId}.pdf`);
+  fs.writeFileSync(uploadPath, 'upload');
+  sessionStore.createSession(sessionId, { fields: [] });
+  sessionStore.setOriginalFilePath(sessionId, uploadPath);
+  return uploadPath;
+}
+
+describe('fileLifecycle', () => {
+  it('records generated files as the session\'s outputs', async () => {
+    createSessionWithUpload('outputs');
+
+    const outputPath = await fileLifecycle.prepareOutput('outputs', 'filled.pdf');
+    await fileLifecycle.prepareOutput('outputs', 'filled.pdf');
+
+    assert.equal(outputPath, path.join(OUTPUT_DIR, 'filled.pdf'));
+    assert.ok(fs.existsSync(OUTPUT_DIR));
+    assert.deepEqual(sessionStore.getSession('outputs').outputFiles, [outputPath]);
+  });
+
+  it('deletes a session together with its upload and exports', async () => {
+    const uploadPath = createSessionWithUpload('delete');
+    const outputPath = await fileLifecycle.prepareOutput('delete', 'delete.pdf');
+    fs.writeFileSync(outputPath, 'export');
+    // An export that was never written is skipped
+    await fileLifecycle.prepareOutput('delete', 'never-written.pdf');
+
+    await fileLifecycle.deleteSession('delete');
+
+    assert.equal(sessionStore.getSession('delete'), null);
+    assert.equal(fs.existsSync(uploadPath), false);
+    assert.equal(fs.existsSync(outputPath), false);
+  });
+});
+
+describe('retention', () => {
+  // Keep the removal reports out of the output; Node 20's test runner fails to parse them
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('expires old sessions with their files', async () => {
+    const uploadPath = createSessionWithUpload('expired');
+    const session = sessionStore.getSession('expired');
+    sessionStore.adapter.set('expired', { ...session, createdAt: new Date(Date.now() - fileLifecycle.retention.session - 1000) });
+    createSessionWithUpload('recent');
+
+    const report = await fileLifecycle.expireSessions();
+
+    assert.equal(report.expiredSessions, 1);
+    assert.deepEqual(report.deletedFiles, [uploadPath]);
+    assert.equal(sessionStore.getSession('expired'), null);
+    assert.ok(sessionStore.getSession('recent'));
+  });
+
+  it('sweeps files no session owns and keeps the rest', async () => {
+    const ownedPath = createSessionWithUpload('owner');
+    const orphanPath = path.join(UPLOAD_DIR, 'crashed-upload.pdf');
+    fs.writeFileSync(orphanPath, 'orphan');
+    fs.writeFileSync(path.join(UPLOAD_DIR, '.gitkeep'), '');
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    const oldExportPath = path.join(OUTPUT_DIR, 'filled_old-session.pdf');
+    fs.writeFileSync(oldExportPath, 'export');
+
+    const report = await fileLifecycle.sweepOrphanedFiles();
+
+    assert.deepEqual(report.deletedFiles.sort(), [oldExportPath, orphanPath].sort());
+    assert.ok(fs.existsSync(ownedPath));
+    assert.ok(fs.existsSync(path.join(UPLOAD_DIR, '.gitkeep')));
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Font Registry Tests
+ * Font choice for non-WinAnsi text, with stub fonts instead of font files
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fontRegistry from '../utils/fontRegistry.js';
+import { findUnsupportedValues } from '../services/pdfService.js';
+
+/**
+ * Loaded-font entry whose glyphs cover the given ranges
+ * @param {string} filePath
+ * @param {Array<Array<number>>} ranges - [start, end] code point ranges
+ * @returns {object} { filePath, bytes, font }
+ */
+function stubFont(filePath, ranges) {
+  return {
+    filePath,
+    bytes: null,
+    font: {
+      familyName: filePath,
+      hasGlyphForCodePoint: (codePoint) => ranges.some(([start, end]) => codePoint >= start && codePoint <= end)
+    }
+  };
+}
+
+const LATIN = [0x20, 0x24f];
+const DEVANAGARI = [0x900, 0x97f];
+const CYRILLIC = [0x400, 0x4ff];
+
+before(() => {
+  const fonts = [
+    stubFont('devanagari.ttf', [LATIN, DEVANAGARI]),
+    stubFont('cyrillic.ttf', [LATIN, CYRILLIC])
+  ];
+  fontRegistry.config = { scriptFonts: { devanagari: 'devanagari.ttf' }, fallbackFonts: ['cyrillic.ttf'] };
+  fontRegistry.fonts = new Map(fonts.map(entry => [entry.filePath, entry]));
+});
+
+describe('fontRegistry', () => {
+  it('draws a character with its script font, else with a fallback font', () => {
+    assert.equal(fontRegistry.fontFor('क'.codePointAt(0)).filePath, 'devanagari.ttf');
+    assert.equal(fontRegistry.fontFor('Ж'.codePointAt(0)).filePath, 'cyrillic.ttf');
+    assert.equal(fontRegistry.fontFor('中'.codePointAt(0)), null);
+  });
+
+  it('finds characters no font can draw', async () => {
+    assert.deepEqual(await fontRegistry.findUnsupportedCharacters('Jane 中文 中 ✓'), ['中', '文', '✓']);
+    assert.deepEqual(await fontRegistry.findUnsupportedCharacters('Jürgen\nकमल Жанна'), []);
+  });
+
+  it('finds one font for a whole text when there is one', () => {
+    assert.equal(fontRegistry.fontForText('कमल Sharma').filePath, 'devanagari.ttf');
+    assert.equal(fontRegistry.fontForText('कमल Жанна'), null);
+  });
+
+  it('reports the non-WinAnsi characters of text no single font covers', async () => {
+    assert.deepEqual(await fontRegistry.findCharactersWithoutSingleFont('कमल Жанна'), ['क', 'म', 'ल', 'Ж', 'а', 'н']);
+    assert.deepEqual(await fontRegistry.findCharactersWithoutSingleFont('Жанна'), []);
+  });
+});
+
+describe('findUnsupportedValues', () => {
+  const formSchema = {
+    fields: [
+      { id: 'field_1', label: 'Name', type: 'name' },
+      { id: 'field_2', label: 'City', type: 'text' },
+      { id: 'field_3', label: 'Country', type: 'choice', options: ['भारत Россия'] }
+    ]
+  };
+  const filledFields = { field_1: 'कमल Жанна', field_2: '北京', field_3: 'भारत Россия' };
+
+  it('reports values with characters no font can draw', async () => {
+    assert.deepEqual(await findUnsupportedValues(formSchema, filledFields), [
+      { fieldId: 'field_2', fieldLabel: 'City', characters: ['北', '京'] }
+    ]);
+  });
+
+  it('also needs one font per value for interactive form text fields', async () => {
+    const unsupported = await findUnsupportedValues(formSchema, filledFields, { acroForm: true });
+
+    assert.deepEqual(unsupported.map(value => value.fieldId), ['field_1', 'field_2']);
+  });
+});
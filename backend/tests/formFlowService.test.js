@@ -0,0 +1,109 @@
+/**
+ * Form Flow Service Tests
+ * Chat commands and the order fields are asked in
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  findNextPendingFieldIndex,
+  isFormComplete,
+  isSkipCommand,
+  parseGoToCommand,
+  resolveCurrentFieldIndex
+} from '../services/formFlowService.js';
+
+const FIELDS = [
+  { id: 'field_1', label: 'Full Name', type: 'name', required: true },
+  { id: 'field_2', label: 'Email Address', type: 'email', required: false },
+  { id: 'field_3', label: 'Home Address', type: 'address', required: false }
+];
+
+describe('isSkipCommand', () => {
+  it('recognizes skip commands', () => {
+    assert.equal(isSkipCommand(' Skip this field. ', false), true);
+    assert.equal(isSkipCommand('skip', true), true);
+  });
+
+  it('only treats "n/a" and "pass" as a skip for optional fields', () => {
+    assert.equal(isSkipCommand('N/A', true), true);
+    assert.equal(isSkipCommand('N/A', false), false);
+    assert.equal(isSkipCommand('pass', false), false);
+  });
+
+  it('does not treat answers that mention skipping as a skip', () => {
+    assert.equal(isSkipCommand('Skipper Lane 4', true), false);
+  });
+});
+
+describe('parseGoToCommand', () => {
+  it('finds a field by number or label', () => {
+    assert.equal(parseGoToCommand('go to field 2', FIELDS).field, FIELDS[1]);
+    assert.equal(parseGoToCommand('Jump to field home address!', FIELDS).field, FIELDS[2]);
+  });
+
+  it('prefers an exact label over a partial one', () => {
+    const fields = [{ id: 'a', label: 'Address line 2' }, { id: 'b', label: 'Address' }];
+    assert.equal(parseGoToCommand('back to field address', fields).field, fields[1]);
+  });
+
+  it('reports a command that names no field', () => {
+    assert.deepEqual(parseGoToCommand('go to field shoe size', FIELDS), { field: null, target: 'shoe size' });
+    assert.deepEqual(parseGoToCommand('go to field 7', FIELDS), { field: null, target: '7' });
+  });
+
+  it('leaves answers that are not commands alone', () => {
+    assert.equal(parseGoToCommand('Go to the bank', FIELDS), null);
+    assert.equal(parseGoToCommand('Change of address', FIELDS), null);
+  });
+});
+
+describe('findNextPendingFieldIndex', () => {
+  const session = (filledFields, skippedFields = []) => ({
+    formSchema: { fields: FIELDS },
+    filledFields,
+    skippedFields
+  });
+
+  it('passes over filled and skipped fields', () => {
+    assert.equal(findNextPendingFieldIndex(session({ field_1: 'Jane' }, ['field_2']), 0), 2);
+  });
+
+  it('wraps around to earlier fields', () => {
+    assert.equal(findNextPendingFieldIndex(session({ field_3: 'Pune' }), 2), 0);
+  });
+
+  it('returns the field count when nothing is pending', () => {
+    assert.equal(findNextPendingFieldIndex(session({ field_1: 'Jane', field_3: 'Pune' }, ['field_2']), 1), 3);
+  });
+});
+
+describe('fields hidden by earlier answers', () => {
+  const fields = [
+    { id: 'field_1', label: 'Married', type: 'choice', required: true, options: ['Yes', 'No'] },
+    { id: 'field_2', label: 'Spouse Name', type: 'name', required: true, visibleIf: { field: 'field_1', equals: 'Yes' } },
+    { id: 'field_3', label: 'City', type: 'text', required: true }
+  ];
+  const session = (filledFields, currentFieldIndex = 0) => ({
+    formSchema: { fields },
+    filledFields,
+    skippedFields: [],
+    currentFieldIndex
+  });
+
+  it('are passed over', () => {
+    assert.equal(findNextPendingFieldIndex(session({ field_1: 'No' }), 1), 2);
+    assert.equal(findNextPendingFieldIndex(session({ field_1: 'Yes' }), 1), 1);
+  });
+
+  it('stop being the current field', () => {
+    assert.equal(resolveCurrentFieldIndex(session({ field_1: 'No' }, 1)), 2);
+    assert.equal(resolveCurrentFieldIndex(session({ field_1: 'Yes' }, 1)), 1);
+  });
+
+  it('are not needed to complete the form, and their answers do not count', () => {
+    assert.equal(isFormComplete(session({ field_1: 'No', field_3: 'Pune' })), true);
+    assert.equal(isFormComplete(session({ field_1: 'Yes', field_3: 'Pune' })), false);
+    assert.equal(isFormComplete(session({ field_2: 'John Doe', field_3: 'Pune' })), false);
+  });
+});
@@ -0,0 +1,403 @@
+/**
+ * Form Route Tests
+ * Conversation flow through the form routes, with the template AI provider
+ * and in-memory stores
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { PDFDocument } from 'pdf-lib';
+import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+process.env.AI_PROVIDER = 'template';
+process.env.SESSION_STORE = 'memory';
+process.env.PROFILE_STORE = 'memory';
+process.env.TEMPLATE_STORE = 'memory';
+// Exports are written to a temporary directory
+const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outputs-'));
+process.env.OUTPUT_DIR = outputDir;
+
+const { default: formRoutes } = await import('../routes/formRoutes.js');
+const { default: sessionStore } = await import('../utils/sessionStore.js');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', formRoutes);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(outputDir, { recursive: true, force: true });
+});
+
+/**
+ * Send a JSON request to the API
+ * @param {string} method
+ * @param {string} route - Path below /api
+ * @param {object} body
+ * @returns {Promise<object>} { status, data }
+ */
+async function request(method, route, body) {
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, data: await response.json() };
+}
+
+let sessionCount = 0;
+
+/**
+ * Create a session for a form with the given fields
+ * @param {Array} fields - Schema fields
+ * @param {object} formSchema - Other schema properties (e.g. pages)
+ * @returns {string} Session ID
+ */
+function createSession(fields, formSchema = {}) {
+  const sessionId = `test-session-${++sessionCount}`;
+  sessionStore.createSession(sessionId, { ...formSchema, fields, totalFields: fields.length });
+  return sessionId;
+}
+
+const chat = (sessionId, message) => request('POST', '/chat', { sessionId, message });
+const editField = (sessionId, fieldId, value) => request('PUT', `/session/${sessionId}/fields/${fieldId}`, { value });
+
+const PERSON_FIELDS = [
+  { id: 'field_1', label: 'Full Name', type: 'name', required: true },
+  { id: 'field_2', label: 'City', type: 'text', required: true }
+];
+
+describe('editing answered fields', () => {
+  it('moves on when the edit answers the current question', async () => {
+    const sessionId = createSession(PERSON_FIELDS);
+
+    const { data } = await editField(sessionId, 'field_1', 'Jane Doe');
+
+    assert.equal(data.value, 'Jane Doe');
+    assert.equal(data.nextQuestion.fieldId, 'field_2');
+    assert.equal(sessionStore.getSession(sessionId).currentFieldIndex, 1);
+  });
+
+  it('keeps the current question when another field is edited', async () => {
+    const sessionId = createSession(PERSON_FIELDS);
+
+    const { data } = await editField(sessionId, 'field_2', 'Pune');
+
+    assert.equal(data.nextQuestion, null);
+    assert.equal(sessionStore.getSession(sessionId).currentFieldIndex, 0);
+  });
+
+  it('reopens a finished form at the cleared field', async () => {
+    const sessionId = createSession(PERSON_FIELDS);
+    await chat(sessionId, 'Jane Doe');
+    const { data: finished } = await chat(sessionId, 'Pune');
+    assert.equal(finished.isComplete, true);
+
+    const { data } = await editField(sessionId, 'field_1', '');
+
+    assert.equal(data.isComplete, false);
+    assert.equal(data.nextQuestion.fieldId, 'field_1');
+    assert.deepEqual(data.filledFields, { field_2: 'Pune' });
+  });
+
+  it('rejects an invalid value without storing it', async () => {
+    const sessionId = createSession([{ id: 'field_1', label: 'Email', type: 'email', required: true }]);
+
+    const { status } = await editField(sessionId, 'field_1', 'not an email');
+
+    assert.equal(status, 400);
+    assert.deepEqual(sessionStore.getSession(sessionId).filledFields, {});
+  });
+});
+
+describe('skip and go-to commands', () => {
+  const fields = [
+    { id: 'field_1', label: 'Full Name', type: 'name', required: true },
+    { id: 'field_2', label: 'Nickname', type: 'text', required: false },
+    { id: 'field_3', label: 'City', type: 'text', required: true }
+  ];
+
+  it('skips an optional field and asks the next one', async () => {
+    const sessionId = createSession(fields);
+    sessionStore.setCurrentFieldIndex(sessionId, 1);
+
+    const { data } = await chat(sessionId, 'skip');
+
+    assert.deepEqual(data.skippedFields, ['field_2']);
+    assert.equal(data.fieldId, 'field_3');
+  });
+
+  it('refuses to skip a required field', async () => {
+    const sessionId = createSession(fields);
+
+    const { data } = await chat(sessionId, 'skip');
+
+    assert.match(data.question, /Full Name is required/);
+    assert.deepEqual(sessionStore.getSession(sessionId).skippedFields, []);
+  });
+
+  it('jumps to a field named in a go-to command', async () => {
+    const sessionId = createSession(fields);
+
+    const { data } = await chat(sessionId, 'go to field city');
+
+    assert.equal(data.fieldId, 'field_3');
+    assert.deepEqual(sessionStore.getSession(sessionId).filledFields, {});
+  });
+
+  it('lists the fields instead of storing a go-to command that names no field', async () => {
+    const sessionId = createSession(fields);
+
+    const { data } = await chat(sessionId, 'go to field shoe size');
+
+    assert.match(data.question, /No field matches "shoe size"\. The fields are: 1\. Full Name, 2\. Nickname, 3\. City/);
+    assert.deepEqual(sessionStore.getSession(sessionId).filledFields, {});
+    assert.equal(sessionStore.getSession(sessionId).currentFieldIndex, 0);
+  });
+});
+
+describe('answers with several values', () => {
+  const fields = [
+    { id: 'field_1', label: 'Full Name', type: 'name', required: true },
+    { id: 'field_2', label: 'Email', type: 'email', required: true },
+    { id: 'field_3', label: 'Street Address', type: 'address', required: true }
+  ];
+
+  it('fills every field the answer covers and asks the next one', async () => {
+    const sessionId = createSession(fields);
+
+    const { data } = await chat(sessionId, 'Jane Doe, jane@example.com');
+
+    assert.deepEqual(data.filledFields, { field_1: 'Jane Doe', field_2: 'jane@example.com' });
+    assert.equal(data.fieldId, 'field_3');
+  });
+
+  it('keeps commas in a free-text answer', async () => {
+    const sessionId = createSession(fields);
+    sessionStore.setCurrentFieldIndex(sessionId, 2);
+
+    const { data } = await chat(sessionId, '12 Baker Street, London');
+
+    assert.deepEqual(data.filledFields, { field_3: '12 Baker Street, London' });
+  });
+});
+
+describe('correcting the form fields', () => {
+  const updateSchema = (sessionId, fields) => request('PUT', `/session/${sessionId}/schema`, { fields });
+
+  it('keeps values of kept fields and drops the ones their new type rejects', async () => {
+    const sessionId = createSession(PERSON_FIELDS);
+    await chat(sessionId, 'Jane Doe');
+    await chat(sessionId, 'Pune');
+
+    const { status, data } = await updateSchema(sessionId, [
+      { id: 'field_2', label: 'Email', type: 'email', required: true },
+      { id: 'field_1', label: 'Name', type: 'name', required: true },
+      { label: 'Nickname', type: 'text', required: false }
+    ]);
+
+    assert.equal(status, 200);
+    assert.deepEqual(data.formSchema.fields.map(field => [field.id, field.label]), [
+      ['field_2', 'Email'],
+      ['field_1', 'Name'],
+      ['field_3', 'Nickname']
+    ]);
+    assert.deepEqual(data.filledFields, { field_1: 'Jane Doe' });
+    assert.deepEqual(data.droppedFields, ['field_2']);
+    assert.equal(data.nextQuestion.fieldId, 'field_2');
+  });
+
+  it('rejects a choice field without options', async () => {
+    const sessionId = createSession(PERSON_FIELDS);
+
+    const { status, data } = await updateSchema(sessionId, [{ label: 'Country', type: 'choice', options: [' '] }]);
+
+    assert.equal(status, 400);
+    assert.match(data.message, /needs at least one option/);
+    assert.equal(sessionStore.getSession(sessionId).formSchema.fields.length, 2);
+  });
+});
+
+describe('placing fields on a page', () => {
+  const placeField = (sessionId, fieldId, position) =>
+    request('PUT', `/session/${sessionId}/fields/${fieldId}/position`, position);
+  const scannedForm = { pages: [{ width: 600, height: 800 }, { width: 600, height: 800 }] };
+
+  it('stores the box on its page, kept inside the page', async () => {
+    const sessionId = createSession(PERSON_FIELDS, scannedForm);
+
+    const { data } = await placeField(sessionId, 'field_2', { page: 1, x: 500, y: 100, width: 200, height: 20 });
+
+    const { coordinates } = data.field;
+    assert.equal(data.field.page, 1);
+    assert.deepEqual([coordinates.x, coordinates.y, coordinates.width, coordinates.height], [500, 100, 100, 20]);
+    assert.equal(coordinates.placedByUser, true);
+  });
+
+  it('rejects a page the form does not have', async () => {
+    const sessionId = createSession(PERSON_FIELDS, scannedForm);
+
+    const { status } = await placeField(sessionId, 'field_1', { page: 2, x: 0, y: 0, width: 10, height: 10 });
+
+    assert.equal(status, 400);
+  });
+
+  it('rejects interactive PDF fields, which are filled by name', async () => {
+    const sessionId = createSession(PERSON_FIELDS, { ...scannedForm, isPDFForm: true });
+
+    const { status } = await placeField(sessionId, 'field_1', { page: 0, x: 0, y: 0, width: 10, height: 10 });
+
+    assert.equal(status, 400);
+  });
+});
+
+describe('previewing the filled form', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'preview-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('renders an incomplete form without changing the session', async () => {
+    const pdfDoc = await PDFDocument.create();
+    const page = pdfDoc.addPage([612, 792]);
+    pdfDoc.getForm().createTextField('full_name').addToPage(page, { x: 50, y: 700 });
+    const filePath = path.join(dir, 'form.pdf');
+    fs.writeFileSync(filePath, await pdfDoc.save());
+
+    const sessionId = createSession([
+      { id: 'field_1', label: 'Full Name', type: 'name', required: true, pdfFieldName: 'full_name' },
+      { id: 'field_2', label: 'Shoe Size', type: 'text', required: true, pdfFieldName: 'shoe_size' }
+    ], { isPDFForm: true });
+    sessionStore.setOriginalFilePath(sessionId, filePath);
+    sessionStore.updateField(sessionId, 'field_1', 'Jane Doe');
+    sessionStore.updateField(sessionId, 'field_2', '42');
+    const before = JSON.stringify(sessionStore.getSession(sessionId));
+
+    const response = await fetch(`${baseUrl}/session/${sessionId}/preview`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/pdf');
+    assert.deepEqual(
+      JSON.parse(decodeURIComponent(response.headers.get('x-unplaced-fields'))),
+      [{ id: 'field_2', label: 'Shoe Size' }]
+    );
+    assert.equal((await PDFDocument.load(await response.arrayBuffer())).getPageCount(), 1);
+    assert.equal(JSON.stringify(sessionStore.getSession(sessionId)), before);
+  });
+});
+
+describe('exporting', () => {
+  it('keeps the export downloadable until the session is deleted', async () => {
+    const sessionId = createSession(PERSON_FIELDS);
+    await chat(sessionId, 'Jane Doe');
+    await chat(sessionId, 'Pune');
+
+    const first = await fetch(`${baseUrl}/export`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sessionId })
+    });
+    const again = await fetch(`${baseUrl}/session/${sessionId}/export`);
+
+    assert.equal(first.status, 200);
+    assert.equal(again.status, 200);
+    assert.deepEqual(Buffer.from(await again.arrayBuffer()), Buffer.from(await first.arrayBuffer()));
+
+    const [exportPath] = sessionStore.getSession(sessionId).outputFiles;
+    await fetch(`${baseUrl}/session/${sessionId}`, { method: 'DELETE' });
+
+    assert.equal(sessionStore.getSession(sessionId), null);
+    assert.equal(fs.existsSync(exportPath), false);
+  });
+
+  it('refuses to export an incomplete form', async () => {
+    const sessionId = createSession(PERSON_FIELDS);
+
+    const { status } = await request('POST', '/export', { sessionId });
+
+    assert.equal(status, 400);
+  });
+});
+
+describe('summary report', () => {
+  /**
+   * Export a session's summary report and read its first page
+   * @param {string} sessionId
+   * @returns {Promise<string>} Text of the first page
+   */
+  const summaryText = async (sessionId) => {
+    const response = await fetch(`${baseUrl}/export`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sessionId, format: 'summary' })
+    });
+    assert.equal(response.status, 200);
+    const pdf = await pdfjsLib.getDocument({ data: new Uint8Array(await response.arrayBuffer()) }).promise;
+    const content = await (await pdf.getPage(1)).getTextContent();
+    await pdf.destroy();
+    return content.items.map(item => item.str).join(' ');
+  };
+
+  it('only shows a fill date once the form is complete', async () => {
+    const sessionId = createSession(PERSON_FIELDS);
+    sessionStore.setOriginalFilePath(sessionId, '/uploads/abc.pdf', 'permit.pdf');
+    await chat(sessionId, 'Jane Doe');
+
+    const incomplete = await summaryText(sessionId);
+    await chat(sessionId, 'Pune');
+    const complete = await summaryText(sessionId);
+
+    assert.ok(incomplete.includes('Form: permit.pdf'));
+    assert.ok(!incomplete.includes('Filled:'));
+    assert.ok(complete.includes('Filled:'));
+  });
+});
+
+describe('cross-field rules', () => {
+  const DATE_FIELDS = [
+    { id: 'field_1', label: 'Start Date', type: 'date', required: true },
+    { id: 'field_2', label: 'End Date', type: 'date', required: true }
+  ];
+  const END_AFTER_START = { type: 'compare', field: 'field_2', operator: 'after', otherField: 'field_1' };
+
+  it('rejects schema edits with invalid rules', async () => {
+    const sessionId = createSession(DATE_FIELDS);
+
+    const { status, data } = await request('PUT', `/session/${sessionId}/schema`, {
+      fields: DATE_FIELDS,
+      rules: [{ ...END_AFTER_START, dateField: 'field_1' }]
+    });
+
+    assert.equal(status, 400);
+    assert.match(data.message, /cannot have a dateField/);
+    assert.equal(sessionStore.getSession(sessionId).formSchema.rules, undefined);
+  });
+
+  it('stores an answer that breaks a rule and reports the violation', async () => {
+    const sessionId = createSession(DATE_FIELDS, { rules: [{ id: 'rule_1', ...END_AFTER_START }] });
+    await chat(sessionId, '01/05/2024');
+
+    const { status, data } = await editField(sessionId, 'field_2', '01/01/2024');
+
+    assert.equal(status, 200);
+    assert.equal(data.value, '01/01/2024');
+    assert.deepEqual(data.ruleViolations.map(violation => violation.ruleId), ['rule_1']);
+  });
+});
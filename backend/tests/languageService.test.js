@@ -0,0 +1,60 @@
+/**
+ * Language Service Tests
+ * Language detection, OCR language packs and per-language field keywords
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  detectLanguage,
+  getDetectionPatterns,
+  languageName,
+  tesseractLanguages
+} from '../services/languageService.js';
+
+describe('detectLanguage', () => {
+  it('recognizes each supported language', () => {
+    assert.equal(detectLanguage('आवेदक का नाम: ____ पता: ____ मोबाइल नंबर: ____'), 'hi');
+    assert.equal(detectLanguage('Nombre completo: ____ Dirección: ____ Teléfono: ____ Firma del solicitante'), 'es');
+    assert.equal(detectLanguage('Nom: ____ Prénom: ____ Adresse: ____ Date de naissance: ____ Signature'), 'fr');
+    assert.equal(detectLanguage('Full Name: ____ Address: ____ Phone: ____ Signature of the applicant'), 'en');
+  });
+
+  it('falls back to English when nothing stands out', () => {
+    assert.equal(detectLanguage(''), 'en');
+    assert.equal(detectLanguage('12/04/2024 ____ 0000'), 'en');
+  });
+});
+
+describe('tesseractLanguages', () => {
+  it('adds English to the form\'s language pack', () => {
+    assert.equal(tesseractLanguages('hi'), 'hin+eng');
+    assert.equal(tesseractLanguages('en'), 'eng');
+  });
+
+  it('loads every pack when the language is detected', () => {
+    assert.equal(tesseractLanguages(null), 'eng+hin+spa+fra');
+  });
+});
+
+describe('getDetectionPatterns', () => {
+  it('matches the language\'s keywords as whole words, and English ones too', () => {
+    const { fieldPatterns, optionalPattern } = getDetectionPatterns('fr');
+
+    assert.ok(fieldPatterns.phone.test('Téléphone portable'));
+    assert.ok(fieldPatterns.email.test('Email'));
+    assert.ok(!fieldPatterns.name.test('Nombre'), 'a keyword inside a longer word does not count');
+    assert.ok(optionalPattern.test('Deuxième prénom (facultatif)'));
+  });
+
+  it('uses English for unsupported languages', () => {
+    assert.equal(getDetectionPatterns('de'), getDetectionPatterns('en'));
+  });
+});
+
+describe('languageName', () => {
+  it('adds the native name when it differs', () => {
+    assert.equal(languageName('es'), 'Spanish (Español)');
+    assert.equal(languageName('en'), 'English');
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * LLM Provider Tests
+ * Provider selection, the template provider and stream parsing of the
+ * OpenAI-compatible provider (with fetch stubbed)
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProvider } from '../services/llmProviders/index.js';
+import { TemplateProvider } from '../services/llmProviders/templateProvider.js';
+import { OpenAICompatibleProvider } from '../services/llmProviders/openaiCompatibleProvider.js';
+
+describe('createProvider', () => {
+  const savedProvider = process.env.AI_PROVIDER;
+
+  afterEach(() => {
+    if (savedProvider === undefined) delete process.env.AI_PROVIDER;
+    else process.env.AI_PROVIDER = savedProvider;
+  });
+
+  it('creates the provider named by AI_PROVIDER', () => {
+    process.env.AI_PROVIDER = 'Template';
+    assert.ok(createProvider() instanceof TemplateProvider);
+
+    process.env.AI_PROVIDER = 'openai';
+    assert.equal(createProvider().name, 'openai');
+  });
+
+  it('falls back to NVIDIA for an unknown provider', () => {
+    process.env.AI_PROVIDER = 'unknown';
+    assert.equal(createProvider().name, 'nvidia');
+  });
+});
+
+describe('TemplateProvider', () => {
+  const provider = new TemplateProvider();
+  const ask = async (currentField) => JSON.parse(await provider.complete([], { currentField }));
+
+  it('asks for the current field with a type-specific question', async () => {
+    const response = await ask({ id: 'field_2', label: 'Email', type: 'email', required: true });
+
+    assert.equal(response.question, 'What is your Email? (e.g. name@example.com)');
+    assert.equal(response.fieldId, 'field_2');
+    assert.equal(response.isComplete, false);
+  });
+
+  it('lists the options of a choice field and marks optional fields', async () => {
+    const response = await ask({ id: 'field_1', label: 'Country', type: 'choice', options: ['India', 'Kenya'] });
+    assert.equal(response.question, 'Please choose your Country: India, Kenya. (optional)');
+  });
+
+  it('reports completion when no field is left', async () => {
+    const response = await ask(undefined);
+    assert.equal(response.isComplete, true);
+  });
+});
+
+describe('OpenAICompatibleProvider', () => {
+  const savedFetch = globalThis.fetch;
+
+  afterEach(() => {
+    globalThis.fetch = savedFetch;
+  });
+
+  it('only needs an API key when the endpoint requires one', () => {
+    const apiUrl = 'http://localhost:8080/v1/chat/completions';
+
+    assert.equal(new OpenAICompatibleProvider({ name: 'openai', apiUrl }).isConfigured(), true);
+    assert.equal(new OpenAICompatibleProvider({ name: 'openai' }).isConfigured(), false);
+    assert.equal(
+      new OpenAICompatibleProvider({ name: 'nvidia', apiUrl, apiKey: 'your_nvidia_api_key_here', requiresApiKey: true }).isConfigured(),
+      false
+    );
+  });
+
+  it('streams the content deltas of Server-Sent Events', async () => {
+    const events = [
+      'data: {"choices":[{"delta":{"content":"Hel"}}]}\n\ndata: {"choi',
+      'ces":[{"delta":{"content":"lo"}}]}\n\n',
+      'data: not json\n\ndata: [DONE]\n\n'
+    ];
+    globalThis.fetch = async () => new Response(new ReadableStream({
+      start(controller) {
+        events.forEach(event => controller.enqueue(new TextEncoder().encode(event)));
+        controller.close();
+      }
+    }));
+
+    const provider = new OpenAICompatibleProvider({ name: 'openai', apiUrl: 'http://localhost/v1' });
+    const chunks = [];
+    const content = await provider.stream([], chunk => chunks.push(chunk));
+
+    assert.deepEqual(chunks, ['Hel', 'lo']);
+    assert.equal(content, 'Hello');
+  });
+});
+
+describe('TemplateProvider value extraction', () => {
+  const provider = new TemplateProvider();
+  const fields = [
+    { id: 'field_1', label: 'Full Name', type: 'name' },
+    { id: 'field_2', label: 'Email', type: 'email' },
+    { id: 'field_3', label: 'Date of Birth', type: 'date' }
+  ];
+  const extract = async (userMessage) => JSON.parse(
+    await provider.complete([], { task: 'extract', userMessage, fields, currentField: fields[0] })
+  ).values;
+
+  it('recognizes typed values and gives the rest to the current field', async () => {
+    assert.deepEqual(await extract('Jane Doe, jane@example.com, born 04/05/1990'), {
+      field_1: 'Jane Doe',
+      field_2: 'jane@example.com',
+      field_3: '04/05/1990'
+    });
+  });
+
+  it('leaves values inside longer text to the current field', async () => {
+    assert.deepEqual(await extract('Moved here on 03/04/2020, then again'), {
+      field_1: 'Moved here on 03/04/2020, then again'
+    });
+  });
+});
+
+describe('TemplateProvider in other languages', () => {
+  const provider = new TemplateProvider();
+  const ask = async (currentField, language) =>
+    JSON.parse(await provider.complete([], { currentField, language })).question;
+
+  it('asks in the conversation language', async () => {
+    const field = { id: 'field_1', label: 'nombre completo', type: 'name', required: true };
+    assert.equal(await ask(field, 'es'), '¿Cuál es su nombre completo?');
+  });
+
+  it('uses the language\'s default question for types it has no template for', async () => {
+    const field = { id: 'field_1', label: 'numéro de sécurité sociale', type: 'ssn', required: false };
+    assert.equal(await ask(field, 'fr'), 'Veuillez indiquer votre numéro de sécurité sociale. (facultatif)');
+  });
+
+  it('falls back to English for unsupported languages', async () => {
+    const field = { id: 'field_1', label: 'Name', type: 'name', required: true };
+    assert.equal(await ask(field, 'de'), 'What is your Name?');
+  });
+});
+
+describe('TemplateProvider date questions', () => {
+  const provider = new TemplateProvider();
+
+  it('names the date format the form expects', async () => {
+    const field = { id: 'field_1', label: 'fecha de nacimiento', type: 'date', required: true };
+    const response = await provider.complete([], { currentField: field, language: 'es', dateFormat: 'DD/MM/YYYY' });
+
+    assert.equal(JSON.parse(response).question, '¿Cuál es la fecha de nacimiento? Use el formato DD/MM/YYYY.');
+  });
+});
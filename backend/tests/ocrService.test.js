@@ -0,0 +1,142 @@
+/**
+ * OCR Service Tests
+ * Field detection on PDFs built in memory with pdf-lib
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PDFDocument, StandardFonts } from 'pdf-lib';
+import { processForm, validateFieldValue } from '../services/ocrService.js';
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ocr-'));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Save a PDF with one block of text lines per page
+ * @param {string} name - File name inside the temp directory
+ * @param {Array<Array<string>>} pages - Lines of each page, top to bottom
+ * @returns {Promise<string>} File path
+ */
+async function writeTextPDF(name, pages) {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  pages.forEach(lines => {
+    const page = pdfDoc.addPage([612, 792]);
+    lines.forEach((line, index) => {
+      page.drawText(line, { x: 50, y: 740 - index * 40, size: 12, font });
+    });
+  });
+
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, await pdfDoc.save());
+  return filePath;
+}
+
+describe('processForm on multi-page PDFs', () => {
+  it('detects fields on every page and records their page', async () => {
+    const filePath = await writeTextPDF('two-pages.pdf', [
+      ['Application for a residence permit, please complete all sections.', 'Full Name: ______________'],
+      ['Declaration: I confirm the information given is correct.', 'Email: ______________']
+    ]);
+
+    const schema = await processForm(filePath, 'application/pdf');
+    const emailField = schema.fields.find(field => field.type === 'email');
+
+    assert.equal(schema.fields.find(field => field.type === 'name').page, 0);
+    assert.equal(emailField.page, 1);
+    assert.ok(emailField.coordinates.inputY < 792 / 2, 'coordinates are relative to their own page');
+    assert.equal(new Set(schema.fields.map(field => field.id)).size, schema.fields.length);
+  });
+});
+
+describe('processForm on interactive PDFs', () => {
+  it('keeps the AcroForm name and page of each field', async () => {
+    const pdfDoc = await PDFDocument.create();
+    const form = pdfDoc.getForm();
+    const pages = [pdfDoc.addPage([612, 792]), pdfDoc.addPage([612, 792])];
+    form.createTextField('applicant.fullName').addToPage(pages[0], { x: 50, y: 700 });
+    form.createTextField('contact_email').addToPage(pages[1], { x: 50, y: 700 });
+    const filePath = path.join(dir, 'interactive.pdf');
+    fs.writeFileSync(filePath, await pdfDoc.save());
+
+    const schema = await processForm(filePath, 'application/pdf');
+
+    assert.equal(schema.isPDFForm, true);
+    assert.deepEqual(
+      schema.fields.map(field => [field.pdfFieldName, field.type, field.page]),
+      [['applicant.fullName', 'name', 0], ['contact_email', 'email', 1]]
+    );
+  });
+});
+
+describe('choice fields', () => {
+  it('turns radio groups and dropdowns into choice fields with their options', async () => {
+    const pdfDoc = await PDFDocument.create();
+    const form = pdfDoc.getForm();
+    const page = pdfDoc.addPage([612, 792]);
+    const radioGroup = form.createRadioGroup('marital_status');
+    radioGroup.addOptionToPage('Single', page, { x: 50, y: 700 });
+    radioGroup.addOptionToPage('Married', page, { x: 100, y: 700 });
+    const dropdown = form.createDropdown('country');
+    dropdown.addOptions(['India', 'Kenya']);
+    dropdown.addToPage(page, { x: 50, y: 600 });
+    const filePath = path.join(dir, 'choices.pdf');
+    fs.writeFileSync(filePath, await pdfDoc.save());
+
+    const schema = await processForm(filePath, 'application/pdf');
+
+    assert.deepEqual(
+      schema.fields.map(field => [field.pdfFieldName, field.type, field.options]),
+      [['marital_status', 'choice', ['Single', 'Married']], ['country', 'choice', ['India', 'Kenya']]]
+    );
+  });
+
+  it('accepts an option by its text or its number and stores the option', () => {
+    const field = { options: ['Single', 'Married'] };
+
+    assert.equal(validateFieldValue('choice', ' married ', field).value, 'Married');
+    assert.equal(validateFieldValue('choice', '1', field).value, 'Single');
+    assert.equal(validateFieldValue('choice', '3', field).valid, false);
+    assert.equal(validateFieldValue('choice', 'Divorced', field).valid, false);
+  });
+});
+
+describe('processForm with saved templates', () => {
+  it('uses the template saved for an interactive form with the same field names', async () => {
+    const pdfDoc = await PDFDocument.create();
+    const page = pdfDoc.addPage([612, 792]);
+    pdfDoc.getForm().createTextField('applicant_full_legal_name').addToPage(page, { x: 50, y: 700 });
+    const filePath = path.join(dir, 'templated.pdf');
+    fs.writeFileSync(filePath, await pdfDoc.save());
+
+    const template = {
+      templateId: 'tpl-1',
+      name: 'Residence permit',
+      formSchema: {
+        fields: [{ id: 'field_1', label: 'Name (as in passport)', type: 'name', pdfFieldName: 'applicant_full_legal_name' }]
+      }
+    };
+    const lookups = [];
+    const findTemplate = (fingerprint) => {
+      lookups.push(fingerprint);
+      return fingerprint.textHash ? template : null;
+    };
+
+    const schema = await processForm(filePath, 'application/pdf', { findTemplate });
+
+    assert.equal(schema.templateId, 'tpl-1');
+    assert.equal(schema.fields[0].label, 'Name (as in passport)');
+    assert.ok(lookups[0].fileHash, 'the file hash is tried first');
+    assert.notEqual(schema.fields, template.formSchema.fields, 'the template is copied, not shared');
+  });
+});
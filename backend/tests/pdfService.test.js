@@ -0,0 +1,184 @@
+/**
+ * PDF Service Tests
+ * Filled PDFs are read back with pdf.js to check what was written
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PDFDocument } from 'pdf-lib';
+import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { buildSummaryPDF, generateFilledPDF } from '../services/pdfService.js';
+
+let dir;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-'));
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Text of every page of a PDF
+ * @param {string} filePath
+ * @returns {Promise<Array<string>>} One string per page
+ */
+async function readPageTexts(filePath) {
+  const pdf = await pdfjsLib.getDocument({ data: new Uint8Array(fs.readFileSync(filePath)) }).promise;
+  const texts = [];
+  for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+    const content = await (await pdf.getPage(pageNumber)).getTextContent();
+    texts.push(content.items.map(item => item.str).join(' '));
+  }
+  await pdf.destroy();
+  return texts;
+}
+
+describe('generateFilledPDF on interactive PDFs', () => {
+  it('fills fields by their AcroForm name and reports the ones it cannot place', async () => {
+    const pdfDoc = await PDFDocument.create();
+    const form = pdfDoc.getForm();
+    const page = pdfDoc.addPage([612, 792]);
+    form.createTextField('txt_01').addToPage(page, { x: 50, y: 700, width: 300 });
+    form.createTextField('txt_02').addToPage(page, { x: 50, y: 650, width: 300 });
+    const originalPath = path.join(dir, 'interactive.pdf');
+    fs.writeFileSync(originalPath, await pdfDoc.save());
+
+    const formSchema = {
+      fields: [
+        { id: 'field_1', label: 'Surname', type: 'text', pdfFieldName: 'txt_02' },
+        { id: 'field_2', label: 'Given name', type: 'text', pdfFieldName: 'txt_01' },
+        { id: 'field_3', label: 'Nickname', type: 'text', pdfFieldName: 'txt_03' }
+      ]
+    };
+    const outputPath = path.join(dir, 'interactive-filled.pdf');
+
+    const { unplacedFields } = await generateFilledPDF(
+      originalPath,
+      formSchema,
+      { field_1: 'Doe', field_2: 'Jane', field_3: 'JD' },
+      outputPath
+    );
+
+    const [text] = await readPageTexts(outputPath);
+    assert.ok(text.includes('Jane') && text.includes('Doe'));
+    assert.ok(text.indexOf('Jane') < text.indexOf('Doe'), 'values land in their own fields');
+    assert.deepEqual(unplacedFields.map(field => field.id), ['field_3']);
+  });
+});
+
+describe('generateFilledPDF with choice fields', () => {
+  it('selects the answered radio option and dropdown entry', async () => {
+    const pdfDoc = await PDFDocument.create();
+    const form = pdfDoc.getForm();
+    const page = pdfDoc.addPage([612, 792]);
+    const radioGroup = form.createRadioGroup('marital_status');
+    radioGroup.addOptionToPage('Single', page, { x: 50, y: 700 });
+    radioGroup.addOptionToPage('Married', page, { x: 100, y: 700 });
+    const dropdown = form.createDropdown('country');
+    dropdown.addOptions(['India', 'Kenya']);
+    dropdown.addToPage(page, { x: 50, y: 600, width: 200 });
+    const originalPath = path.join(dir, 'choices.pdf');
+    fs.writeFileSync(originalPath, await pdfDoc.save());
+
+    const formSchema = {
+      fields: [
+        { id: 'field_1', label: 'Marital status', type: 'choice', pdfFieldName: 'marital_status' },
+        { id: 'field_2', label: 'Country', type: 'choice', pdfFieldName: 'country' }
+      ]
+    };
+    const outputPath = path.join(dir, 'choices-filled.pdf');
+
+    const { unplacedFields } = await generateFilledPDF(
+      originalPath,
+      formSchema,
+      { field_1: 'Married', field_2: 'Kenya' },
+      outputPath
+    );
+
+    const [text] = await readPageTexts(outputPath);
+    assert.ok(text.includes('Kenya'));
+    assert.deepEqual(unplacedFields, []);
+
+    const unknownOption = await generateFilledPDF(originalPath, formSchema, { field_1: 'Widowed' }, outputPath);
+    assert.deepEqual(unknownOption.unplacedFields.map(field => field.id), ['field_1']);
+  });
+});
+
+describe('buildSummaryPDF', () => {
+  /**
+   * Text of every page of a summary report
+   * @param {Uint8Array} pdfBytes
+   * @returns {Promise<Array<string>>}
+   */
+  const summaryTexts = async (pdfBytes) => {
+    const filePath = path.join(dir, 'summary.pdf');
+    fs.writeFileSync(filePath, pdfBytes);
+    return readPageTexts(filePath);
+  };
+
+  it('continues long reports on numbered pages and wraps long values', async () => {
+    const fields = Array.from({ length: 40 }, (_, index) => ({
+      id: `field_${index + 1}`,
+      label: `Question ${index + 1}`,
+      type: 'text',
+      required: true
+    }));
+    const filledFields = Object.fromEntries(fields.map(field => [field.id, `Answer to ${field.label}`]));
+    filledFields.field_1 = 'word '.repeat(60) + 'x'.repeat(150);
+
+    const texts = await summaryTexts(await buildSummaryPDF({ fields }, filledFields));
+
+    assert.ok(texts.length > 1);
+    texts.forEach((text, index) => {
+      assert.ok(text.includes('Filled Form Summary'), `page ${index + 1} has the header`);
+      assert.ok(text.includes(`Page ${index + 1} of ${texts.length}`), `page ${index + 1} has the footer`);
+    });
+    assert.ok(texts.join(' ').includes('40. Question 40'));
+    assert.ok(texts[0].includes('Answers (40 of 40)'));
+    assert.ok(texts[0].includes('x'.repeat(50)) && !texts[0].includes('x'.repeat(150)), 'long words are split');
+  });
+
+  it('lists unanswered fields and leaves out details that are not given', async () => {
+    const fields = [
+      { id: 'field_1', label: 'Full Name', type: 'name', required: true },
+      { id: 'field_2', label: 'Nickname', type: 'text', required: false },
+      { id: 'field_3', label: 'City', type: 'text', required: true },
+      { id: 'field_4', label: 'Pet', type: 'text', required: false }
+    ];
+
+    const [text] = await summaryTexts(await buildSummaryPDF(
+      { fields },
+      { field_1: 'Jane Doe' },
+      { skippedFields: ['field_2'] }
+    ));
+
+    assert.ok(text.includes('Answers (1 of 4)'));
+    assert.ok(text.includes('Unanswered Fields (3)'));
+    assert.ok(text.includes('- Nickname (skipped)'));
+    assert.ok(text.includes('- City (required)'));
+    assert.ok(text.includes('- Pet (optional)'));
+    assert.ok(!text.includes('Form:'));
+    assert.ok(!text.includes('Filled:'));
+  });
+
+  it('lists fields hidden by other answers as not applicable and leaves them out of the count', async () => {
+    const fields = [
+      { id: 'field_1', label: 'Married', type: 'choice', required: true, options: ['Yes', 'No'] },
+      { id: 'field_2', label: 'Spouse Name', type: 'name', required: true, visibleIf: { field: 'field_1', equals: 'Yes' } },
+      { id: 'field_3', label: 'City', type: 'text', required: true }
+    ];
+
+    const [text] = await summaryTexts(await buildSummaryPDF({ fields }, { field_1: 'No' }));
+
+    assert.ok(text.includes('Answers (1 of 2)'));
+    assert.ok(text.includes('Unanswered Fields (1)'));
+    assert.ok(text.includes('Not Applicable (1)'));
+    assert.ok(text.includes('- Spouse Name'));
+    assert.ok(!text.includes('- Spouse Name ('));
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Profile Service Tests
+ * Matching saved profile values to the fields of a new form
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  labelSimilarity,
+  matchProfileToFields,
+  profileValuesFromSession
+} from '../services/profileService.js';
+
+const profile = {
+  values: [
+    { label: 'Full Name', type: 'name', value: 'Jane Doe' },
+    { label: 'Email Address', type: 'email', value: 'jane@example.com' },
+    { label: 'Mobile', type: 'phone', value: '+1 555 123 4567' },
+    { label: 'Mother\'s Name', type: 'name', value: 'Mary Doe' }
+  ]
+};
+
+describe('labelSimilarity', () => {
+  it('ignores words that say nothing about the field', () => {
+    assert.equal(labelSimilarity('Your Full Name', 'Name'), 1);
+  });
+
+  it('scores labels without shared words as 0', () => {
+    assert.equal(labelSimilarity('City', 'Email'), 0);
+  });
+});
+
+describe('matchProfileToFields', () => {
+  it('fills fields whose type and label match a profile value', () => {
+    const fields = [
+      { id: 'field_1', label: 'Applicant Name', type: 'name' },
+      { id: 'field_2', label: 'E-mail', type: 'email' },
+      { id: 'field_3', label: 'Phone Number', type: 'phone' },
+      { id: 'field_4', label: 'City', type: 'text' }
+    ];
+
+    const matches = matchProfileToFields(profile, fields);
+
+    assert.deepEqual(Object.keys(matches).sort(), ['field_1', 'field_2', 'field_3']);
+    assert.equal(matches.field_1, 'Jane Doe');
+    assert.equal(matches.field_2, 'jane@example.com');
+  });
+
+  it('leaves fields that already have a value alone', () => {
+    const fields = [{ id: 'field_1', label: 'Email', type: 'email' }];
+    assert.deepEqual(matchProfileToFields(profile, fields, { field_1: 'other@example.com' }), {});
+  });
+
+  it('uses each profile value for one field at most', () => {
+    const fields = [
+      { id: 'field_1', label: 'Name', type: 'name' },
+      { id: 'field_2', label: 'Full Name', type: 'name' }
+    ];
+
+    assert.deepEqual(Object.values(matchProfileToFields(profile, fields)), ['Jane Doe']);
+  });
+});
+
+describe('profileValuesFromSession', () => {
+  it('keeps the label and type of every filled field', () => {
+    const session = {
+      formSchema: {
+        fields: [
+          { id: 'field_1', label: 'Full Name', type: 'name' },
+          { id: 'field_2', label: 'City', type: 'text' }
+        ]
+      },
+      filledFields: { field_1: 'Jane Doe' }
+    };
+
+    assert.deepEqual(profileValuesFromSession(session), [{ label: 'Full Name', type: 'name', value: 'Jane Doe' }]);
+  });
+});
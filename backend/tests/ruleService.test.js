@@ -0,0 +1,187 @@
+/**
+ * Rule Service Tests
+ * Conditions on other answers and cross-field rules of the form schema
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  applicableValues,
+  checkCondition,
+  evaluateCondition,
+  evaluateRules,
+  hiddenFieldIds,
+  parseRules,
+  requiredFieldIds,
+  rulesForFields
+} from '../services/ruleService.js';
+
+const FIELDS = [
+  { id: 'field_1', label: 'Start Date', type: 'date', required: true },
+  { id: 'field_2', label: 'End Date', type: 'date', required: true },
+  { id: 'field_3', label: 'Date of Birth', type: 'date', required: true },
+  { id: 'field_4', label: 'Age', type: 'number', required: true },
+  { id: 'field_5', label: 'Signed On', type: 'date', required: true }
+];
+
+describe('evaluateCondition', () => {
+  const answers = { marital_status: ' Married ', city: 'Pune' };
+
+  it('compares answers ignoring case and spacing', () => {
+    assert.equal(evaluateCondition({ field: 'marital_status', equals: 'married' }, answers), true);
+    assert.equal(evaluateCondition({ field: 'marital_status', notEquals: 'MARRIED' }, answers), false);
+    assert.equal(evaluateCondition({ field: 'city', in: ['Mumbai', 'pune'] }, answers), true);
+  });
+
+  it('checks whether a field has a value', () => {
+    assert.equal(evaluateCondition({ field: 'city' }, answers), true);
+    assert.equal(evaluateCondition({ field: 'employer', filled: false }, answers), true);
+    assert.equal(evaluateCondition({ field: 'employer', equals: 'none' }, answers), false);
+    assert.equal(evaluateCondition({ field: 'employer', notEquals: 'none' }, answers), true);
+  });
+});
+
+describe('requiredFieldIds', () => {
+  it('requires a requiredIf field only while its condition holds', () => {
+    const formSchema = {
+      fields: [
+        { id: 'field_1', label: 'Marital Status', type: 'text', required: true },
+        { id: 'field_2', label: 'Spouse Name', type: 'name', required: false, requiredIf: { field: 'field_1', equals: 'Married' } }
+      ]
+    };
+
+    assert.deepEqual([...requiredFieldIds(formSchema, { field_1: 'Single' })], ['field_1']);
+    assert.deepEqual([...requiredFieldIds(formSchema, { field_1: 'married' })], ['field_1', 'field_2']);
+  });
+});
+
+describe('evaluateRules', () => {
+  it('orders dates and reports the answers that break a rule', () => {
+    const formSchema = {
+      fields: FIELDS,
+      rules: [{ id: 'rule_1', type: 'compare', field: 'field_2', operator: 'after', otherField: 'field_1' }]
+    };
+
+    assert.deepEqual(evaluateRules(formSchema, { field_1: '01/05/2024', field_2: '01/10/2024' }), []);
+    assert.deepEqual(evaluateRules(formSchema, { field_1: '01/05/2024', field_2: '01/01/2024' }), [{
+      ruleId: 'rule_1',
+      fieldIds: ['field_2', 'field_1'],
+      message: 'End Date (01/01/2024) must be after Start Date (01/05/2024)'
+    }]);
+  });
+
+  it('waits until every field of a rule has a value', () => {
+    const formSchema = {
+      fields: FIELDS,
+      rules: [{ id: 'rule_1', type: 'compare', field: 'field_2', operator: 'after', otherField: 'field_1' }]
+    };
+
+    assert.deepEqual(evaluateRules(formSchema, { field_2: '01/01/2024' }), []);
+  });
+
+  it('checks an age against the date of birth as of another date', () => {
+    const formSchema = {
+      fields: FIELDS,
+      rules: [{ id: 'rule_1', type: 'age', field: 'field_4', dateField: 'field_3', asOfField: 'field_5', message: 'Check your age' }]
+    };
+    const answers = { field_3: '06/15/1990', field_5: '06/14/2020' };
+
+    assert.deepEqual(evaluateRules(formSchema, { ...answers, field_4: '29' }), []);
+    assert.deepEqual(
+      evaluateRules(formSchema, { ...answers, field_4: '30 years' }).map(violation => violation.message),
+      ['Check your age']
+    );
+  });
+});
+
+describe('checkCondition', () => {
+  const fieldIds = new Set(['field_1', 'field_2']);
+
+  it('accepts conditions on other existing fields', () => {
+    assert.equal(checkCondition({ field: 'field_1', in: ['a', 'b'] }, 'field_2', fieldIds), null);
+  });
+
+  it('rejects conditions on the field itself, unknown fields or with a malformed list', () => {
+    assert.match(checkCondition({ field: 'field_2' }, 'field_2', fieldIds), /its own field/);
+    assert.match(checkCondition({ field: 'field_9' }, 'field_2', fieldIds), /no field "field_9"/);
+    assert.match(checkCondition({ field: 'field_1', in: 'a' }, 'field_2', fieldIds), /must be a list/);
+    assert.match(checkCondition('field_1', 'field_2', fieldIds), /needs the id/);
+  });
+});
+
+describe('parseRules', () => {
+  it('numbers rules without an id after the existing ones', () => {
+    const { rules } = parseRules([
+      { id: 'rule_4', type: 'compare', field: 'field_2', operator: 'after', otherField: 'field_1' },
+      { type: 'age', field: 'field_4', dateField: 'field_3', message: '  ' }
+    ], FIELDS);
+
+    assert.deepEqual(rules.map(rule => rule.id), ['rule_4', 'rule_5']);
+    assert.deepEqual(rules[1], { id: 'rule_5', type: 'age', field: 'field_4', dateField: 'field_3' });
+  });
+
+  it('rejects duplicate rule ids', () => {
+    const rule = { id: 'rule_1', type: 'compare', field: 'field_2', operator: 'after', otherField: 'field_1' };
+
+    assert.match(parseRules([rule, rule], FIELDS).error, /Rule 2 has the same id as another rule/);
+  });
+
+  it('rejects age fields on other rules', () => {
+    const rule = { type: 'compare', field: 'field_2', operator: 'after', otherField: 'field_1', asOfField: 'field_5' };
+
+    assert.match(parseRules([rule], FIELDS).error, /compare rule and cannot have a asOfField/);
+  });
+
+  it('rejects fields that do not exist', () => {
+    const rules = [{ type: 'age', field: 'field_4', dateField: 'field_3', asOfField: 'field_9' }];
+
+    assert.match(parseRules(rules, FIELDS).error, /does not exist \("field_9"\)/);
+  });
+
+  it('rejects unknown operators and non-date fields in age rules', () => {
+    assert.match(parseRules([{ type: 'compare', field: 'field_2', operator: 'later', otherField: 'field_1' }], FIELDS).error, /needs an operator/);
+    assert.match(parseRules([{ type: 'age', field: 'field_3', dateField: 'field_4' }], FIELDS).error, /needs date fields/);
+    assert.match(parseRules({}, FIELDS).error, /must be a list/);
+  });
+});
+
+describe('rulesForFields', () => {
+  it('drops rules on removed fields', () => {
+    const rules = [
+      { id: 'rule_1', type: 'compare', field: 'field_2', operator: 'after', otherField: 'field_1' },
+      { id: 'rule_2', type: 'age', field: 'field_4', dateField: 'field_3' }
+    ];
+
+    assert.deepEqual(rulesForFields(rules, FIELDS.slice(0, 2)).map(rule => rule.id), ['rule_1']);
+  });
+});
+
+describe('conditional visibility', () => {
+  const formSchema = {
+    fields: [
+      { id: 'field_1', label: 'Employment Status', type: 'choice', required: true, options: ['Employed', 'Unemployed'] },
+      { id: 'field_2', label: 'Employer', type: 'text', required: true, visibleIf: { field: 'field_1', equals: 'Employed' } },
+      { id: 'field_3', label: 'Employer City', type: 'text', required: false, visibleIf: { field: 'field_2' } },
+      { id: 'field_4', label: 'Reference', type: 'name', required: false, requiredIf: { field: 'field_3', filled: true } },
+      { id: 'field_5', label: 'Loop A', type: 'text', required: false, visibleIf: { field: 'field_6' } },
+      { id: 'field_6', label: 'Loop B', type: 'text', required: false, visibleIf: { field: 'field_5' } }
+    ],
+    rules: [{ id: 'rule_1', type: 'compare', field: 'field_3', operator: 'equals', otherField: 'field_4' }]
+  };
+  const leftBranch = { field_1: 'Unemployed', field_2: 'Acme', field_3: 'Pune', field_4: 'Mumbai' };
+
+  it('hides fields whose condition fails, and fields depending on them', () => {
+    assert.deepEqual([...hiddenFieldIds(formSchema.fields, { field_1: 'Employed' })], ['field_3', 'field_5', 'field_6']);
+    assert.deepEqual([...hiddenFieldIds(formSchema.fields, leftBranch)], ['field_2', 'field_3', 'field_5', 'field_6']);
+  });
+
+  it('keeps the answers of a branch the user left out of the applicable values', () => {
+    assert.deepEqual(applicableValues(formSchema, leftBranch), { field_1: 'Unemployed', field_4: 'Mumbai' });
+  });
+
+  it('does not let hidden answers make fields required or break rules', () => {
+    assert.deepEqual([...requiredFieldIds(formSchema, leftBranch)], ['field_1']);
+    assert.deepEqual(evaluateRules(formSchema, leftBranch), []);
+    assert.deepEqual([...requiredFieldIds(formSchema, { ...leftBranch, field_1: 'Employed' })], ['field_1', 'field_2', 'field_4']);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Session Adapter Tests
+ * The memory and file adapters behind SessionStore
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MemorySessionAdapter } from '../utils/sessionAdapters/memoryAdapter.js';
+import { FileSessionAdapter } from '../utils/sessionAdapters/fileAdapter.js';
+
+describe('MemorySessionAdapter', () => {
+  it('stores, lists and deletes sessions', () => {
+    const adapter = new MemorySessionAdapter();
+    adapter.set('a', { sessionId: 'a' });
+    adapter.set('b', { sessionId: 'b' });
+
+    assert.deepEqual(adapter.get('a'), { sessionId: 'a' });
+    assert.deepEqual([...adapter.entries()].map(([id]) => id), ['a', 'b']);
+
+    adapter.delete('a');
+    assert.equal(adapter.get('a'), undefined);
+  });
+});
+
+describe('FileSessionAdapter', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('keeps sessions across instances and revives their dates', () => {
+    const filePath = path.join(dir, 'nested', 'sessions.json');
+    const createdAt = new Date('2024-03-05T10:00:00Z');
+
+    new FileSessionAdapter(filePath).set('a', {
+      sessionId: 'a',
+      createdAt,
+      conversationHistory: [{ role: 'user', content: 'hi', timestamp: createdAt }]
+    });
+
+    const reloaded = new FileSessionAdapter(filePath).get('a');
+    assert.ok(reloaded.createdAt instanceof Date);
+    assert.equal(reloaded.createdAt.getTime(), createdAt.getTime());
+    assert.ok(reloaded.conversationHistory[0].timestamp instanceof Date);
+    assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+  });
+
+  it('removes deleted sessions from disk', () => {
+    const filePath = path.join(dir, 'deleted.json');
+    const adapter = new FileSessionAdapter(filePath);
+    adapter.set('a', { sessionId: 'a' });
+    adapter.delete('a');
+
+    assert.equal(new FileSessionAdapter(filePath).get('a'), undefined);
+  });
+
+  it('starts empty when the file does not exist yet', () => {
+    const adapter = new FileSessionAdapter(path.join(dir, 'missing.json'));
+    assert.deepEqual([...adapter.entries()], []);
+  });
+});
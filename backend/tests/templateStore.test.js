@@ -0,0 +1,49 @@
+/**
+ * Template Store Tests
+ * Document fingerprints and finding the template saved for a form
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { hashText } from '../utils/fingerprint.js';
+
+process.env.TEMPLATE_STORE = 'memory';
+
+const { default: templateStore } = await import('../utils/templateStore.js');
+
+describe('hashText', () => {
+  it('ignores case, punctuation and spacing', () => {
+    assert.equal(
+      hashText('Application Form: Full Name, Date of Birth'),
+      hashText('application form   full name\ndate of birth')
+    );
+  });
+
+  it('does not fingerprint documents with too little text', () => {
+    assert.equal(hashText('Name:'), null);
+    assert.equal(hashText(''), null);
+  });
+});
+
+describe('templateStore.findByFingerprint', () => {
+  const formSchema = { fields: [{ id: 'field_1', label: 'Full Name', type: 'name' }] };
+  templateStore.saveTemplate('passport', 'Passport', formSchema, { fileHash: 'file-a', textHash: 'text-a' });
+  templateStore.saveTemplate('visa', 'Visa', formSchema, { fileHash: 'file-b', textHash: null });
+
+  it('finds a template by either hash', () => {
+    assert.equal(templateStore.findByFingerprint({ fileHash: 'file-a' }).templateId, 'passport');
+    assert.equal(templateStore.findByFingerprint({ fileHash: 'other', textHash: 'text-a' }).templateId, 'passport');
+  });
+
+  it('never matches on a missing hash', () => {
+    assert.equal(templateStore.findByFingerprint({ fileHash: 'other', textHash: null }), null);
+  });
+
+  it('keeps the creation date when a template is saved again', () => {
+    const { createdAt } = templateStore.getTemplate('visa');
+    const updated = templateStore.saveTemplate('visa', 'Visa (2024)', formSchema, { fileHash: 'file-b' });
+
+    assert.equal(updated.createdAt, createdAt);
+    assert.equal(updated.name, 'Visa (2024)');
+  });
+});
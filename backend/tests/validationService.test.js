@@ -0,0 +1,85 @@
+/**
+ * Validation Service Tests
+ * Reading and normalizing dates, phone numbers and identifiers by region
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectDateFormat, formLocale, normalizeValue } from '../services/validationService.js';
+
+const US = formLocale({});
+const INDIA = formLocale({ language: 'hi' });
+const SPAIN = formLocale({ language: 'es' });
+const UK = { language: 'en', region: 'GB' };
+
+describe('formLocale', () => {
+  it('takes the region from the form language', () => {
+    assert.equal(US.region, 'US');
+    assert.equal(INDIA.region, 'IN');
+    assert.equal(SPAIN.region, 'ES');
+  });
+});
+
+describe('dates', () => {
+  it('reads numeric dates in the region\'s day/month order', () => {
+    assert.equal(normalizeValue('date', '03/04/1990', {}, US).value, '03/04/1990');
+    assert.equal(normalizeValue('date', 'March 4th, 1990', {}, US).value, '03/04/1990');
+    assert.equal(normalizeValue('date', '3 de marzo de 1990', {}, SPAIN).value, '03/03/1990');
+  });
+
+  it('rewrites dates in the format the field asks for', () => {
+    assert.equal(normalizeValue('date', '1990-03-04', { format: 'DD.MM.YYYY' }, US).value, '04.03.1990');
+  });
+
+  it('rejects days the month does not have and says how the date was read', () => {
+    const result = normalizeValue('date', '30/02/2020', {}, INDIA);
+
+    assert.equal(result.valid, false);
+    assert.match(result.message, /February 2020 has no day 30/);
+    assert.match(result.message, /day\/month\/year/);
+  });
+
+  it('finds the date format a label asks for', () => {
+    assert.equal(detectDateFormat('Date de naissance (JJ/MM/AAAA)'), 'DD/MM/YYYY');
+    assert.equal(detectDateFormat('Date'), null);
+  });
+});
+
+describe('phone numbers', () => {
+  it('stores numbers in E.164 form', () => {
+    assert.equal(normalizeValue('phone', '(555) 123-4567', {}, US).value, '+15551234567');
+    assert.equal(normalizeValue('phone', '098765 43210', {}, INDIA).value, '+919876543210');
+    assert.equal(normalizeValue('phone', '+44 20 7946 0958', {}, US).value, '+442079460958');
+  });
+
+  it('says how many digits a local number needs', () => {
+    const result = normalizeValue('phone', '12345', {}, US);
+
+    assert.equal(result.valid, false);
+    assert.match(result.message, /10 digits \(5 given\)/);
+  });
+});
+
+describe('postal codes', () => {
+  it('checks and formats codes by region', () => {
+    assert.equal(normalizeValue('postal', 'sw1a1aa', {}, UK).value, 'SW1A 1AA');
+    assert.equal(normalizeValue('postal', '012345', {}, INDIA).valid, false);
+  });
+});
+
+describe('identity numbers', () => {
+  it('checks the Aadhaar checksum', () => {
+    assert.equal(normalizeValue('aadhaar', '234123412346', {}, INDIA).value, '2341 2341 2346');
+    assert.equal(normalizeValue('aadhaar', '234123412345', {}, INDIA).valid, false);
+  });
+
+  it('checks the PAN holder type', () => {
+    assert.equal(normalizeValue('pan', 'abcpe1234f', {}, INDIA).value, 'ABCPE1234F');
+    assert.match(normalizeValue('pan', 'ABCDE1234F', {}, INDIA).message, /holder type/);
+  });
+
+  it('formats SSNs and rejects numbers never issued', () => {
+    assert.equal(normalizeValue('ssn', '123456789', {}, US).value, '123-45-6789');
+    assert.equal(normalizeValue('ssn', '666-12-3456', {}, US).valid, false);
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * File Lifecycle Manager
+ * Tracks the files that belong to a session (the uploaded form and generated exports)
+ * and deletes them together with the session - explicitly or when it expires
+ * Retention: sessions expire after SESSION_RETENTION_MINUTES, and at startup files in
+ * the upload and output directories that no session owns are swept once they are
+ * older than ORPHAN_RETENTION_MINUTES. Every run logs a report of what was removed.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import dotenv from 'dotenv';
+import sessionStore from './sessionStore.js';
+
+dotenv.config();
+
+// Directories are relative to the backend's working directory
+export const UPLOAD_DIR = path.resolve(process.cwd(), process.env.UPLOAD_DIR || '../uploads');
+export const OUTPUT_DIR = path.resolve(process.cwd(), process.env.OUTPUT_DIR || '../outputs');
+
+/**
+ * Read a retention period in minutes from the environment
+ * @param {string} name - Environment variable
+ * @param {number} defaultMinutes
+ * @returns {number} Period in milliseconds
+ */
+function retentionFromEnv(name, defaultMinutes) {
+  const minutes = parseFloat(process.env[name]);
+  if (process.env[name] !== undefined && (!Number.isFinite(minutes) || minutes < 0)) {
+    console.warn(`Invalid ${name} "${process.env[name]}", using ${defaultMinutes} minutes`);
+  }
+  return (Number.isFinite(minutes) && minutes >= 0 ? minutes : defaultMinutes) * 60 * 1000;
+}
+
+export const RETENTION = {
+  // How long a session, its upload and its exports are kept
+  session: retentionFromEnv('SESSION_RETENTION_MINUTES', 60),
+  // Minimum age of an untracked file before the startup sweep deletes it
+  orphan: retentionFromEnv('ORPHAN_RETENTION_MINUTES', 0),
+  // How often expired sessions are looked for
+  checkInterval: retentionFromEnv('RETENTION_CHECK_INTERVAL_MINUTES', 30)
+};
+
+// Files that belong to the repository, not to a session
+const KEEP_FILES = ['.gitkeep'];
+
+class FileLifecycleManager {
+  /**
+   * @param {object} store - Session store whose sessions own the files
+   * @param {object} retention - Retention periods in milliseconds (see RETENTION)
+   */
+  constructor(store, retention) {
+    this.store = store;
+    this.retention = retention;
+    this.timer = null;
+  }
+
+  /**
+   * Reserve a path for a generated file and record it as the session's artifact
+   * @param {string} sessionId
+   * @param {string} fileName - File name inside the output directory
+   * @returns {Promise<string>} Absolute output path
+   */
+  async prepareOutput(sessionId, fileName) {
+    await fs.mkdir(OUTPUT_DIR, { recursive: true });
+    const outputPath = path.join(OUTPUT_DIR, fileName);
+    this.store.addOutputFile(sessionId, outputPath);
+    return outputPath;
+  }
+
+  /**
+   * All files owned by a session
+   * @param {object} session - Session data
+   * @returns {Array<string>} File paths
+   */
+  sessionFiles(session) {
+    return [session.originalFilePath, ...(session.outputFiles || [])].filter(Boolean);
+  }
+
+  /**
+   * Delete files, ignoring ones that are already gone
+   * @param {Array<string>} filePaths
+   * @returns {Promise<Array<string>>} Paths that were deleted
+   */
+  async removeFiles(filePaths) {
+    const deleted = [];
+    for (const filePath of filePaths) {
+      try {
+        await fs.unlink(filePath);
+        deleted.push(filePath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error('Failed to delete file:', error);
+        }
+      }
+    }
+    return deleted;
+  }
+
+  /**
+   * Delete a session and all of its files
+   * @param {string} sessionId
+   */
+  async deleteSession(sessionId) {
+    const session = this.store.getSession(sessionId);
+    this.store.deleteSession(sessionId);
+    if (session) {
+      await this.removeFiles(this.sessionFiles(session));
+    }
+  }
+
+  /**
+   * Delete expired sessions together with their files
+   * @returns {Promise<object>} Report: { expiredSessions, deletedFiles }
+   */
+  async expireSessions() {
+    const expired = this.store.cleanupOldSessions(this.retention.session);
+    const deletedFiles = [];
+    for (const session of expired) {
+      deletedFiles.push(...await this.removeFiles(this.sessionFiles(session)));
+    }
+
+    const report = { expiredSessions: expired.length, deletedFiles };
+    this.logReport('Session expiry', report);
+    return report;
+  }
+
+  /**
+   * Delete files in the upload and output directories that no session owns
+   * Catches uploads whose processing crashed and files left by earlier runs
+   * @returns {Promise<object>} Report: { deletedFiles }
+   */
+  async sweepOrphanedFiles() {
+    const trackedFiles = new Set(
+      this.store.listSessions().flatMap(session => this.sessionFiles(session).map(file => path.resolve(file)))
+    );
+    const cutoff = Date.now() - this.retention.orphan;
+    const orphans = [];
+
+    for (const dir of [UPLOAD_DIR, OUTPUT_DIR]) {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error(`Failed to read ${dir}:`, error);
+        }
+        continue;
+      }
+
+      for (const entry of entries) {
+        if (!entry.isFile() || KEEP_FILES.includes(entry.name)) continue;
+
+        const filePath = path.join(dir, entry.name);
+        if (trackedFiles.has(filePath)) continue;
+
+        // The file may be removed between readdir and stat (e.g. by a session ending)
+        let mtimeMs;
+        try {
+          ({ mtimeMs } = await fs.stat(filePath));
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            console.error(`Failed to read ${filePath}:`, error);
+          }
+          continue;
+        }
+
+        if (mtimeMs <= cutoff) {
+          orphans.push(filePath);
+        }
+      }
+    }
+
+    const report = { deletedFiles: await this.removeFiles(orphans) };
+    this.logReport('Orphaned file sweep', report);
+    return report;
+  }
+
+  /**
+   * Log what a retention run removed
+   * @param {string} title - Name of the run
+   * @param {object} report - { expiredSessions?, deletedFiles }
+   */
+  logReport(title, { expiredSessions, deletedFiles }) {
+    if (!expiredSessions && deletedFiles.length === 0) return;
+
+    const sessionsPart = expiredSessions !== undefined ? `${expiredSessions} sessions, ` : '';
+    console.log(`🧹 ${title}: removed ${sessionsPart}${deletedFiles.length} files`);
+    deletedFiles.forEach(filePath => console.log(`   - ${filePath}`));
+  }
+
+  /**
+   * Sweep orphaned files, then check for expired sessions periodically
+   */
+  async start() {
+    if (this.timer) return;
+
+    console.log(
+      `Retention: sessions ${this.retention.session / 60000} min, ` +
+      `orphaned files ${this.retention.orphan / 60000} min`
+    );
+
+    this.timer = setInterval(() => {
+      this.expireSessions().catch(error => console.error('Session Expiry Error:', error));
+    }, Math.max(this.retention.checkInterval, 60 * 1000));
+
+    try {
+      await this.expireSessions();
+      await this.sweepOrphanedFiles();
+    } catch (error) {
+      console.error('Retention Sweep Error:', error);
+    }
+  }
+}
+
+// Singleton instance
+const fileLifecycle = new FileLifecycleManager(sessionStore, RETENTION);
+
+export default fileLifecycle;
@@ -0,0 +1,40 @@
+/**
+ * Document Fingerprints
+ * Hashes that recognize the same form across uploads
+ * The file hash matches byte-identical uploads; the text hash matches documents
+ * whose extracted text is the same after normalization (e.g. re-saved PDFs)
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+
+// Normalized text shorter than this says too little about a document to match on
+const MIN_FINGERPRINT_TEXT_LENGTH = 20;
+
+/**
+ * SHA-256 of a file's bytes
+ * @param {string} filePath
+ * @returns {Promise<string>} Hex digest
+ */
+export async function hashFile(filePath) {
+  const data = await fs.readFile(filePath);
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * SHA-256 of a document's text, ignoring case, punctuation and spacing
+ * @param {string} text - Extracted text (or interactive field names)
+ * @returns {string|null} Hex digest, or null if there is too little text
+ */
+export function hashText(text) {
+  const normalized = (text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+  if (normalized.length < MIN_FINGERPRINT_TEXT_LENGTH) {
+    return null;
+  }
+
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
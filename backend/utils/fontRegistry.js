@@ -0,0 +1,223 @@
+/**
+ * Font Registry
+ * TrueType/OpenType fonts used for text the standard PDF fonts cannot encode
+ * (Helvetica only covers WinAnsi: Hindi, Chinese, Cyrillic, ✓ ... need other fonts)
+ * Each character is drawn with the font configured for its script (PDF_FONT_<SCRIPT>),
+ * else with the first fallback font (PDF_FONTS) that has a glyph for it
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import dotenv from 'dotenv';
+import fontkit from '@pdf-lib/fontkit';
+import { StandardFontEmbedder, StandardFonts } from 'pdf-lib';
+
+dotenv.config();
+
+// Unicode ranges of the scripts a dedicated font can be configured for
+const SCRIPTS = {
+  latin: [[0x0000, 0x024f], [0x1e00, 0x1eff]],
+  greek: [[0x0370, 0x03ff], [0x1f00, 0x1fff]],
+  cyrillic: [[0x0400, 0x052f]],
+  hebrew: [[0x0590, 0x05ff]],
+  arabic: [[0x0600, 0x06ff], [0x0750, 0x077f], [0xfb50, 0xfdff], [0xfe70, 0xfeff]],
+  devanagari: [[0x0900, 0x097f], [0xa8e0, 0xa8ff]],
+  bengali: [[0x0980, 0x09ff]],
+  gurmukhi: [[0x0a00, 0x0a7f]],
+  gujarati: [[0x0a80, 0x0aff]],
+  tamil: [[0x0b80, 0x0bff]],
+  telugu: [[0x0c00, 0x0c7f]],
+  kannada: [[0x0c80, 0x0cff]],
+  malayalam: [[0x0d00, 0x0d7f]],
+  thai: [[0x0e00, 0x0e7f]],
+  hangul: [[0x1100, 0x11ff], [0x3130, 0x318f], [0xac00, 0xd7af]],
+  cjk: [[0x2e80, 0x2fdf], [0x3000, 0x30ff], [0x3400, 0x4dbf], [0x4e00, 0x9fff], [0xf900, 0xfaff], [0xff00, 0xffef]],
+  symbols: [[0x2000, 0x2bff]]
+};
+
+// Fallback fonts used when PDF_FONTS is not set, if present on this machine
+const DEFAULT_FALLBACK_FONTS = [
+  '/usr/share/fonts/truetype/noto/NotoSans-Regular.ttf',
+  '/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf',
+  '/usr/share/fonts/truetype/noto/NotoSansDevanagari-Regular.ttf',
+  '/usr/share/fonts/truetype/droid/DroidSansFallbackFull.ttf',
+  '/Library/Fonts/Arial Unicode.ttf',
+  'C:\\Windows\\Fonts\\arialuni.ttf',
+  'C:\\Windows\\Fonts\\Nirmala.ttf'
+];
+
+// Characters Helvetica (WinAnsi) can draw need no extra font
+const standardEncoding = StandardFontEmbedder.for(StandardFonts.Helvetica).encoding;
+
+/**
+ * Script a character belongs to
+ * @param {number} codePoint
+ * @returns {string|null} Key of SCRIPTS, or null if none matches
+ */
+function scriptOf(codePoint) {
+  const entry = Object.entries(SCRIPTS).find(([, ranges]) =>
+    ranges.some(([start, end]) => codePoint >= start && codePoint <= end)
+  );
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Read the font configuration from the environment
+ * @returns {object} { scriptFonts: { script: filePath }, fallbackFonts: [filePath] }
+ */
+function configFromEnv() {
+  const scriptFonts = {};
+  Object.keys(SCRIPTS).forEach(script => {
+    const filePath = process.env[`PDF_FONT_${script.toUpperCase()}`];
+    if (filePath) scriptFonts[script] = path.resolve(process.cwd(), filePath);
+  });
+
+  const fallbackFonts = process.env.PDF_FONTS
+    ? process.env.PDF_FONTS.split(',').map(filePath => filePath.trim()).filter(Boolean)
+        .map(filePath => path.resolve(process.cwd(), filePath))
+    : DEFAULT_FALLBACK_FONTS;
+
+  return { scriptFonts, fallbackFonts };
+}
+
+class FontRegistry {
+  /**
+   * @param {object} config - { scriptFonts, fallbackFonts } (see configFromEnv)
+   */
+  constructor(config) {
+    this.config = config;
+    // Loaded fonts by file path: { filePath, bytes, font } (font is the fontkit font)
+    this.fonts = null;
+    this.loading = null;
+  }
+
+  /**
+   * Read and parse the configured font files once
+   * Missing fallback fonts are skipped quietly; unreadable configured fonts are reported
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (this.fonts) return;
+    if (!this.loading) {
+      this.loading = this.loadFonts();
+    }
+    await this.loading;
+  }
+
+  /**
+   * Load every configured font file
+   * @returns {Promise<void>}
+   */
+  async loadFonts() {
+    const { scriptFonts, fallbackFonts } = this.config;
+    const explicit = new Set([
+      ...Object.values(scriptFonts),
+      ...(process.env.PDF_FONTS ? fallbackFonts : [])
+    ]);
+    const fonts = new Map();
+
+    for (const filePath of new Set([...Object.values(scriptFonts), ...fallbackFonts])) {
+      try {
+        const bytes = await fs.readFile(filePath);
+        const font = fontkit.create(bytes);
+        if (!font.hasGlyphForCodePoint) {
+          throw new Error('font collections (.ttc) are not supported');
+        }
+        fonts.set(filePath, { filePath, bytes, font });
+      } catch (error) {
+        if (explicit.has(filePath) || error.code !== 'ENOENT') {
+          console.warn(`Could not load font ${filePath}: ${error.message}`);
+        }
+      }
+    }
+
+    if (fonts.size > 0) {
+      console.log(`Loaded ${fonts.size} fonts for non-Latin text: ${[...fonts.values()].map(f => f.font.familyName).join(', ')}`);
+    } else {
+      console.warn('No fonts for non-Latin text found; only WinAnsi characters can be exported (set PDF_FONTS)');
+    }
+    this.fonts = fonts;
+  }
+
+  /**
+   * Whether the standard PDF fonts can draw a character
+   * @param {number} codePoint
+   * @returns {boolean}
+   */
+  isStandard(codePoint) {
+    return standardEncoding.canEncodeUnicodeCodePoint(codePoint);
+  }
+
+  /**
+   * Font to draw a character with; call load() first
+   * @param {number} codePoint
+   * @returns {object|null} Loaded font ({ filePath, bytes, font }), null if no font has the glyph
+   */
+  fontFor(codePoint) {
+    const script = scriptOf(codePoint);
+    const scriptFont = script && this.fonts.get(this.config.scriptFonts[script]);
+    if (scriptFont && scriptFont.font.hasGlyphForCodePoint(codePoint)) {
+      return scriptFont;
+    }
+
+    return this.config.fallbackFonts
+      .map(filePath => this.fonts.get(filePath))
+      .find(entry => entry && entry.font.hasGlyphForCodePoint(codePoint)) || null;
+  }
+
+  /**
+   * Single font that can draw a whole text (AcroForm fields take one font); call load() first
+   * The font for the text's first non-WinAnsi character is preferred
+   * @param {string} text
+   * @returns {object|null} Loaded font, null if no font covers every character
+   */
+  fontForText(text) {
+    const codePoints = [...String(text)].map(char => char.codePointAt(0)).filter(codePoint => codePoint >= 0x20);
+    const covers = (entry) => entry && codePoints.every(codePoint => entry.font.hasGlyphForCodePoint(codePoint));
+
+    const firstSpecial = codePoints.find(codePoint => !this.isStandard(codePoint));
+    const preferred = firstSpecial !== undefined ? this.fontFor(firstSpecial) : null;
+    if (covers(preferred)) return preferred;
+
+    return [...this.fonts.values()].find(covers) || null;
+  }
+
+  /**
+   * Characters of a text that no available font can draw
+   * @param {string} text
+   * @returns {Promise<Array<string>>} Distinct characters, in order of appearance
+   */
+  async findUnsupportedCharacters(text) {
+    await this.load();
+    const unsupported = new Set();
+    for (const char of String(text)) {
+      const codePoint = char.codePointAt(0);
+      // Line breaks and other control characters are never drawn
+      if (codePoint < 0x20 || this.isStandard(codePoint)) continue;
+      if (!this.fontFor(codePoint)) unsupported.add(char);
+    }
+    return [...unsupported];
+  }
+
+  /**
+   * Characters of a text that keep it from being drawn in a single font, as AcroForm
+   * text fields need (see fontForText)
+   * @param {string} text
+   * @returns {Promise<Array<string>>} Characters no font can draw or, when each can be drawn
+   *   but no one font covers them all, every non-WinAnsi character of the text
+   */
+  async findCharactersWithoutSingleFont(text) {
+    const unsupported = await this.findUnsupportedCharacters(text);
+    if (unsupported.length > 0 || this.fontForText(text)) return unsupported;
+
+    return [...new Set([...String(text)].filter(char => {
+      const codePoint = char.codePointAt(0);
+      return codePoint >= 0x20 && !this.isStandard(codePoint);
+    }))];
+  }
+}
+
+// Singleton instance
+const fontRegistry = new FontRegistry(configFromEnv());
+
+export default fontRegistry;
@@ -0,0 +1,68 @@
+/**
+ * PDF Renderer
+ * Rasterizes PDF pages to PNG images using pdf.js and @napi-rs/canvas
+ * Used to OCR scanned PDFs that carry no extractable text and to preview pages
+ */
+
+import { createRequire } from 'module';
+import path from 'path';
+import fs from 'fs/promises';
+import * as pdfjsLib from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+const require = createRequire(import.meta.url);
+
+// pdf.js needs its bundled standard fonts when a page references the base 14 fonts
+const STANDARD_FONT_DATA_URL = path.join(
+  path.dirname(require.resolve('pdfjs-dist/package.json')),
+  'standard_fonts'
+) + path.sep;
+
+// 2x the PDF user space (144 DPI) keeps small print legible for Tesseract
+const DEFAULT_SCALE = 2;
+
+/**
+ * Render the pages of a PDF to PNG images
+ * @param {string} pdfPath - Path to PDF file
+ * @param {object} options
+ * @param {number} options.scale - Render scale relative to PDF points
+ * @param {Array<number>} options.pageIndexes - 0-based pages to render (default: all)
+ * @returns {Promise<Array>} Pages as { pageIndex, image, width, height }, sizes in pixels
+ */
+export async function renderPDFPages(pdfPath, { scale = DEFAULT_SCALE, pageIndexes = null } = {}) {
+  const data = new Uint8Array(await fs.readFile(pdfPath));
+  const pdfDoc = await pdfjsLib.getDocument({
+    data,
+    standardFontDataUrl: STANDARD_FONT_DATA_URL,
+    verbosity: 0
+  }).promise;
+
+  try {
+    const pages = [];
+
+    for (let pageNumber = 1; pageNumber <= pdfDoc.numPages; pageNumber++) {
+      if (pageIndexes && !pageIndexes.includes(pageNumber - 1)) continue;
+
+      const page = await pdfDoc.getPage(pageNumber);
+      const viewport = page.getViewport({ scale });
+      const { canvas, context } = pdfDoc.canvasFactory.create(
+        Math.ceil(viewport.width),
+        Math.ceil(viewport.height)
+      );
+
+      await page.render({ canvasContext: context, viewport }).promise;
+
+      pages.push({
+        pageIndex: pageNumber - 1,
+        image: canvas.toBuffer('image/png'),
+        width: canvas.width,
+        height: canvas.height
+      });
+
+      page.cleanup();
+    }
+
+    return pages;
+  } finally {
+    await pdfDoc.destroy();
+  }
+}
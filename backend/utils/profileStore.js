@@ -0,0 +1,114 @@
+/**
+ * Profile Store
+ * Manages reusable user profiles (name, address, phone, IDs...) used to prefill forms
+ * Reuses the session storage adapters: PROFILE_STORE selects 'file' (default,
+ * so profiles survive restarts) or 'memory'
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { MemorySessionAdapter } from './sessionAdapters/memoryAdapter.js';
+import { FileSessionAdapter } from './sessionAdapters/fileAdapter.js';
+
+dotenv.config();
+
+// Relative store paths are resolved against the backend directory, wherever the server is started from
+const BACKEND_DIR = fileURLToPath(new URL('..', import.meta.url));
+
+/**
+ * Create the storage adapter configured in the environment
+ * @returns {object} Adapter implementing get, set, delete and entries
+ */
+function createAdapter() {
+  const storeType = (process.env.PROFILE_STORE || 'file').toLowerCase();
+  const filePath = path.resolve(BACKEND_DIR, process.env.PROFILE_STORE_PATH || path.join('data', 'profiles.json'));
+
+  switch (storeType) {
+    case 'file':
+      console.log(`Using file profile store: ${filePath}`);
+      return new FileSessionAdapter(filePath);
+    case 'memory':
+      return new MemorySessionAdapter();
+    default:
+      console.warn(`Unknown PROFILE_STORE "${storeType}", falling back to file`);
+      return new FileSessionAdapter(filePath);
+  }
+}
+
+class ProfileStore {
+  /**
+   * @param {object} adapter - Storage adapter (see utils/sessionAdapters)
+   */
+  constructor(adapter) {
+    this.adapter = adapter;
+  }
+
+  /**
+   * Create a new profile
+   * @param {string} profileId - Unique profile identifier
+   * @param {string} name - Display name, e.g. "Personal" or "Work"
+   * @param {Array} values - Profile values as { label, type, value }
+   * @returns {object} Created profile
+   */
+  createProfile(profileId, name, values) {
+    const profile = {
+      profileId,
+      name,
+      values,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+    this.adapter.set(profileId, profile);
+    return profile;
+  }
+
+  /**
+   * Get profile data
+   * @param {string} profileId
+   * @returns {object|null} Profile or null if not found
+   */
+  getProfile(profileId) {
+    return this.adapter.get(profileId) || null;
+  }
+
+  /**
+   * List all profiles
+   * @returns {Array} Profiles, oldest first
+   */
+  listProfiles() {
+    return [...this.adapter.entries()]
+      .map(([, profile]) => profile)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Replace a profile's name and/or values
+   * @param {string} profileId
+   * @param {object} changes - { name, values }, both optional
+   * @returns {object|null} Updated profile or null if not found
+   */
+  updateProfile(profileId, { name, values }) {
+    const profile = this.adapter.get(profileId);
+    if (profile) {
+      if (name !== undefined) profile.name = name;
+      if (values !== undefined) profile.values = values;
+      profile.updatedAt = new Date();
+      this.adapter.set(profileId, profile);
+    }
+    return profile || null;
+  }
+
+  /**
+   * Delete profile
+   * @param {string} profileId
+   */
+  deleteProfile(profileId) {
+    this.adapter.delete(profileId);
+  }
+}
+
+// Singleton instance
+const profileStore = new ProfileStore(createAdapter());
+
+export default profileStore;
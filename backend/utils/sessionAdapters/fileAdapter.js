@@ -0,0 +1,81 @@
+/**
+ * File Session Adapter
+ * Persists sessions as JSON on disk so they survive restarts and `node --watch` reloads
+ * Sessions are cached in memory and the whole file is rewritten on every change
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { MemorySessionAdapter } from './memoryAdapter.js';
+
+// Session properties stored as Date objects that must be revived after JSON.parse
+const DATE_KEYS = ['createdAt', 'updatedAt', 'completedAt', 'timestamp'];
+
+/**
+ * Revive ISO date strings back into Date objects
+ * @param {string} key
+ * @param {any} value
+ * @returns {any} Revived value
+ */
+function reviveDates(key, value) {
+  if (DATE_KEYS.includes(key) && typeof value === 'string') {
+    return new Date(value);
+  }
+  return value;
+}
+
+export class FileSessionAdapter extends MemorySessionAdapter {
+  /**
+   * @param {string} filePath - Path of the JSON file holding all sessions
+   */
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.load();
+  }
+
+  /**
+   * Load sessions from disk into the in-memory cache
+   */
+  load() {
+    try {
+      const raw = fs.readFileSync(this.filePath, 'utf8');
+      const stored = JSON.parse(raw, reviveDates);
+      Object.entries(stored).forEach(([sessionId, session]) => {
+        this.sessions.set(sessionId, session);
+      });
+      console.log(`Loaded ${this.sessions.size} sessions from ${this.filePath}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to load session file:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Write all sessions to disk
+   * Writes to a temp file first so a crash never leaves a half-written store
+   */
+  save() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(this.sessions)));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      console.error('Failed to save session file:', error.message);
+    }
+  }
+
+  set(sessionId, session) {
+    super.set(sessionId, session);
+    this.save();
+  }
+
+  delete(sessionId) {
+    super.delete(sessionId);
+    this.save();
+  }
+}
+
+export default FileSessionAdapter;
@@ -0,0 +1,47 @@
+/**
+ * Memory Session Adapter
+ * Keeps sessions in a Map for the lifetime of the process
+ * Everything is lost on restart - use the file adapter to persist sessions
+ */
+
+export class MemorySessionAdapter {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  /**
+   * Get a stored session
+   * @param {string} sessionId
+   * @returns {object|undefined} Session data
+   */
+  get(sessionId) {
+    return this.sessions.get(sessionId);
+  }
+
+  /**
+   * Store (or overwrite) a session
+   * @param {string} sessionId
+   * @param {object} session - Session data
+   */
+  set(sessionId, session) {
+    this.sessions.set(sessionId, session);
+  }
+
+  /**
+   * Remove a session
+   * @param {string} sessionId
+   */
+  delete(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  /**
+   * Iterate over all stored sessions
+   * @returns {Iterator} [sessionId, session] pairs
+   */
+  entries() {
+    return this.sessions.entries();
+  }
+}
+
+export default MemorySessionAdapter;
@@ -1,12 +1,48 @@
 /**
- * In-Memory Session Store
+ * Session Store
  * Manages form sessions, conversation history, and filled data
- * For production, consider using Redis or a database
+ * Storage is delegated to a pluggable adapter selected by SESSION_STORE
+ * ('memory' by default, 'file' to persist sessions as JSON on disk)
  */
 
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { MemorySessionAdapter } from './sessionAdapters/memoryAdapter.js';
+import { FileSessionAdapter } from './sessionAdapters/fileAdapter.js';
+
+dotenv.config();
+
+// Relative store paths are resolved against the backend directory, wherever the server is started from
+const BACKEND_DIR = fileURLToPath(new URL('..', import.meta.url));
+
+/**
+ * Create the storage adapter configured in the environment
+ * @returns {object} Adapter implementing get, set, delete and entries
+ */
+function createAdapter() {
+  const storeType = (process.env.SESSION_STORE || 'memory').toLowerCase();
+
+  switch (storeType) {
+    case 'file': {
+      const filePath = path.resolve(BACKEND_DIR, process.env.SESSION_STORE_PATH || path.join('data', 'sessions.json'));
+      console.log(`Using file session store: ${filePath}`);
+      return new FileSessionAdapter(filePath);
+    }
+    case 'memory':
+      return new MemorySessionAdapter();
+    default:
+      console.warn(`Unknown SESSION_STORE "${storeType}", falling back to memory`);
+      return new MemorySessionAdapter();
+  }
+}
+
 class SessionStore {
-  constructor() {
-    this.sessions = new Map();
+  /**
+   * @param {object} adapter - Storage adapter (see utils/sessionAdapters)
+   */
+  constructor(adapter) {
+    this.adapter = adapter;
   }
 
   /**
@@ -15,15 +51,21 @@ class SessionStore {
    * @param {object} formSchema - Extracted form schema
    */
   createSession(sessionId, formSchema) {
-    this.sessions.set(sessionId, {
+    this.adapter.set(sessionId, {
       sessionId,
       formSchema,
       filledFields: {},
+      skippedFields: [],
+      prefilledFields: [],
       conversationHistory: [],
       currentFieldIndex: 0,
       isComplete: false,
       createdAt: new Date(),
+      completedAt: null,
       originalFilePath: null,
+      originalFileName: null,
+      language: null,
+      outputFiles: [],
     });
   }
 
@@ -33,7 +75,7 @@ class SessionStore {
    * @returns {object|null} Session data or null if not found
    */
   getSession(sessionId) {
-    return this.sessions.get(sessionId) || null;
+    return this.adapter.get(sessionId) || null;
   }
 
   /**
@@ -43,9 +85,101 @@ class SessionStore {
    * @param {any} value
    */
   updateField(sessionId, fieldName, value) {
-    const session = this.sessions.get(sessionId);
+    const session = this.adapter.get(sessionId);
     if (session) {
       session.filledFields[fieldName] = value;
+      // An answered field is no longer skipped, and a prefilled value is now confirmed
+      session.skippedFields = (session.skippedFields || []).filter(id => id !== fieldName);
+      session.prefilledFields = (session.prefilledFields || []).filter(id => id !== fieldName);
+      this.adapter.set(sessionId, session);
+    }
+  }
+
+  /**
+   * Fill fields from a saved profile, pending the user's confirmation
+   * @param {string} sessionId
+   * @param {object} values - { fieldName: value } pairs
+   */
+  prefillFields(sessionId, values) {
+    const session = this.adapter.get(sessionId);
+    if (session) {
+      const prefilledFields = new Set(session.prefilledFields || []);
+      Object.entries(values).forEach(([fieldName, value]) => {
+        session.filledFields[fieldName] = value;
+        prefilledFields.add(fieldName);
+      });
+      session.prefilledFields = [...prefilledFields];
+      session.skippedFields = (session.skippedFields || []).filter(id => !(id in values));
+      this.adapter.set(sessionId, session);
+    }
+  }
+
+  /**
+   * Replace the form schema (e.g. after the user corrected detected fields)
+   * Values and skip marks of fields that no longer exist are dropped
+   * @param {string} sessionId
+   * @param {object} formSchema - New form schema
+   */
+  replaceFormSchema(sessionId, formSchema) {
+    const session = this.adapter.get(sessionId);
+    if (session) {
+      const fieldIds = new Set(formSchema.fields.map(field => field.id));
+      session.formSchema = formSchema;
+      session.filledFields = Object.fromEntries(
+        Object.entries(session.filledFields).filter(([fieldName]) => fieldIds.has(fieldName))
+      );
+      session.skippedFields = (session.skippedFields || []).filter(id => fieldIds.has(id));
+      session.prefilledFields = (session.prefilledFields || []).filter(id => fieldIds.has(id));
+      this.adapter.set(sessionId, session);
+    }
+  }
+
+  /**
+   * Set where a field's value is drawn on a scanned form
+   * @param {string} sessionId
+   * @param {string} fieldName
+   * @param {number} page - 0-based page index
+   * @param {object} coordinates - Position in the page's coordinate space
+   */
+  setFieldPosition(sessionId, fieldName, page, coordinates) {
+    const session = this.adapter.get(sessionId);
+    if (session) {
+      const field = session.formSchema.fields.find(f => f.id === fieldName);
+      if (field) {
+        field.page = page;
+        field.coordinates = coordinates;
+        this.adapter.set(sessionId, session);
+      }
+    }
+  }
+
+  /**
+   * Mark an optional field as skipped
+   * @param {string} sessionId
+   * @param {string} fieldName
+   */
+  skipField(sessionId, fieldName) {
+    const session = this.adapter.get(sessionId);
+    if (session) {
+      const skippedFields = session.skippedFields || [];
+      if (!skippedFields.includes(fieldName)) {
+        session.skippedFields = [...skippedFields, fieldName];
+      }
+      this.adapter.set(sessionId, session);
+    }
+  }
+
+  /**
+   * Remove a filled field value
+   * @param {string} sessionId
+   * @param {string} fieldName
+   */
+  clearField(sessionId, fieldName) {
+    const session = this.adapter.get(sessionId);
+    if (session) {
+      delete session.filledFields[fieldName];
+      session.prefilledFields = (session.prefilledFields || []).filter(id => id !== fieldName);
+      this.adapter.set(sessionId, session);
     }
   }
 
@@ -56,13 +190,14 @@ class SessionStore {
    * @param {string} content - Message content
    */
   addMessage(sessionId, role, content) {
-    const session = this.sessions.get(sessionId);
+    const session = this.adapter.get(sessionId);
     if (session) {
       session.conversationHistory.push({
         role,
         content,
         timestamp: new Date(),
       });
+      this.adapter.set(sessionId, session);
     }
   }
 
@@ -72,20 +207,37 @@ class SessionStore {
    * @param {number} index
    */
   setCurrentFieldIndex(sessionId, index) {
-    const session = this.sessions.get(sessionId);
+    const session = this.adapter.get(sessionId);
     if (session) {
       session.currentFieldIndex = index;
+      this.adapter.set(sessionId, session);
     }
   }
 
   /**
    * Mark session as complete
+   * completedAt keeps the time the form was first completed (the fill date)
    * @param {string} sessionId
    */
   markComplete(sessionId) {
-    const session = this.sessions.get(sessionId);
+    const session = this.adapter.get(sessionId);
     if (session) {
       session.isComplete = true;
+      session.completedAt = session.completedAt || new Date();
+      this.adapter.set(sessionId, session);
+    }
+  }
+
+  /**
+   * Mark session as not complete (e.g. after a field was cleared)
+   * @param {string} sessionId
+   */
+  markIncomplete(sessionId) {
+    const session = this.adapter.get(sessionId);
+    if (session) {
+      session.isComplete = false;
+      session.completedAt = null;
+      this.adapter.set(sessionId, session);
     }
   }
 
@@ -93,41 +245,83 @@ class SessionStore {
    * Set original file path
    * @param {string} sessionId
    * @param {string} filePath
+   * @param {string|null} fileName - Name the file was uploaded with
    */
-  setOriginalFilePath(sessionId, filePath) {
-    const session = this.sessions.get(sessionId);
+  setOriginalFilePath(sessionId, filePath, fileName = null) {
+    const session = this.adapter.get(sessionId);
     if (session) {
       session.originalFilePath = filePath;
+      session.originalFileName = fileName;
+      this.adapter.set(sessionId, session);
+    }
+  }
+
+  /**
+   * Set the language the conversation is held in
+   * @param {string} sessionId
+   * @param {string} language - Language code
+   */
+  setLanguage(sessionId, language) {
+    const session = this.adapter.get(sessionId);
+    if (session) {
+      session.language = language;
+      this.adapter.set(sessionId, session);
+    }
+  }
+
+  /**
+   * Record a generated file (e.g. an exported PDF) owned by the session
+   * @param {string} sessionId
+   * @param {string} filePath
+   */
+  addOutputFile(sessionId, filePath) {
+    const session = this.adapter.get(sessionId);
+    if (session) {
+      const outputFiles = session.outputFiles || [];
+      if (!outputFiles.includes(filePath)) {
+        session.outputFiles = [...outputFiles, filePath];
+      }
+      this.adapter.set(sessionId, session);
     }
   }
 
+  /**
+   * List all sessions
+   * @returns {Array} Session data
+   */
+  listSessions() {
+    return [...this.adapter.entries()].map(([, session]) => session);
+  }
+
   /**
    * Delete session (cleanup)
    * @param {string} sessionId
    */
   deleteSession(sessionId) {
-    this.sessions.delete(sessionId);
+    this.adapter.delete(sessionId);
   }
 
   /**
-   * Clean up old sessions (older than 1 hour)
+   * Clean up old sessions (older than 1 hour by default)
+   * Their files are deleted by the file lifecycle manager
+   * @param {number} maxAgeMs - Sessions created longer ago than this are removed
+   * @returns {Array} Removed sessions
    */
-  cleanupOldSessions() {
-    const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
-    for (const [sessionId, session] of this.sessions.entries()) {
-      if (session.createdAt < oneHourAgo) {
-        this.sessions.delete(sessionId);
+  cleanupOldSessions(maxAgeMs = 60 * 60 * 1000) {
+    const cutoff = new Date(Date.now() - maxAgeMs);
+    const removed = [];
+    for (const [sessionId, session] of [...this.adapter.entries()]) {
+      if (session.createdAt < cutoff) {
+        this.adapter.delete(sessionId);
+        removed.push(session);
       }
     }
+    return removed;
   }
 }
 
 // Singleton instance
-const sessionStore = new SessionStore();
-
-// Cleanup old sessions every 30 minutes
-setInterval(() => {
-  sessionStore.cleanupOldSessions();
-}, 30 * 60 * 1000);
+// Expired sessions are removed by the file lifecycle manager (utils/fileLifecycle.js)
+const sessionStore = new SessionStore(createAdapter());
 
 export default sessionStore;
@@ -0,0 +1,112 @@
+/**
+ * Template Store
+ * Manages saved form templates: corrected form schemas reused for known forms
+ * Reuses the session storage adapters: TEMPLATE_STORE selects 'file' (default,
+ * so templates survive restarts) or 'memory'
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { MemorySessionAdapter } from './sessionAdapters/memoryAdapter.js';
+import { FileSessionAdapter } from './sessionAdapters/fileAdapter.js';
+
+dotenv.config();
+
+// Relative store paths are resolved against the backend directory, wherever the server is started from
+const BACKEND_DIR = fileURLToPath(new URL('..', import.meta.url));
+
+/**
+ * Create the storage adapter configured in the environment
+ * @returns {object} Adapter implementing get, set, delete and entries
+ */
+function createAdapter() {
+  const storeType = (process.env.TEMPLATE_STORE || 'file').toLowerCase();
+  const filePath = path.resolve(BACKEND_DIR, process.env.TEMPLATE_STORE_PATH || path.join('data', 'templates.json'));
+
+  switch (storeType) {
+    case 'file':
+      console.log(`Using file template store: ${filePath}`);
+      return new FileSessionAdapter(filePath);
+    case 'memory':
+      return new MemorySessionAdapter();
+    default:
+      console.warn(`Unknown TEMPLATE_STORE "${storeType}", falling back to file`);
+      return new FileSessionAdapter(filePath);
+  }
+}
+
+class TemplateStore {
+  /**
+   * @param {object} adapter - Storage adapter (see utils/sessionAdapters)
+   */
+  constructor(adapter) {
+    this.adapter = adapter;
+  }
+
+  /**
+   * Save a template
+   * @param {string} templateId - Unique template identifier
+   * @param {string} name - Display name, e.g. "Passport Application"
+   * @param {object} formSchema - Schema to reuse (fields, pages, ...)
+   * @param {object} fingerprint - { fileHash, textHash } of the document it came from
+   * @returns {object} Saved template
+   */
+  saveTemplate(templateId, name, formSchema, fingerprint) {
+    const existing = this.adapter.get(templateId);
+    const template = {
+      templateId,
+      name,
+      formSchema,
+      fingerprint,
+      createdAt: existing ? existing.createdAt : new Date(),
+      updatedAt: new Date(),
+    };
+    this.adapter.set(templateId, template);
+    return template;
+  }
+
+  /**
+   * Get template data
+   * @param {string} templateId
+   * @returns {object|null} Template or null if not found
+   */
+  getTemplate(templateId) {
+    return this.adapter.get(templateId) || null;
+  }
+
+  /**
+   * List all templates
+   * @returns {Array} Templates, oldest first
+   */
+  listTemplates() {
+    return [...this.adapter.entries()]
+      .map(([, template]) => template)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Find the template saved for a document
+   * @param {object} fingerprint - { fileHash, textHash }, either may be missing
+   * @returns {object|null} Matching template or null
+   */
+  findByFingerprint({ fileHash, textHash }) {
+    return this.listTemplates().find(template =>
+      (fileHash && template.fingerprint.fileHash === fileHash) ||
+      (textHash && template.fingerprint.textHash === textHash)
+    ) || null;
+  }
+
+  /**
+   * Delete template
+   * @param {string} templateId
+   */
+  deleteTemplate(templateId) {
+    this.adapter.delete(templateId);
+  }
+}
+
+// Singleton instance
+const templateStore = new TemplateStore(createAdapter());
+
+export default templateStore;
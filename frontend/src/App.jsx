@@ -3,11 +3,28 @@
  * Orchestrates the entire form filling flow
  */
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import FileUpload from './components/FileUpload';
 import ChatInterface from './components/ChatInterface';
 import FormPreview from './components/FormPreview';
-import { uploadForm, sendMessage, exportPDF } from './services/api';
+import SchemaEditor from './components/SchemaEditor';
+import FieldPlacement from './components/FieldPlacement';
+import {
+  uploadForm,
+  streamMessage,
+  updateField,
+  goToField,
+  updateSchema,
+  getPageImageUrl,
+  placeField,
+  getFilledPreview,
+  exportForm,
+  importValues,
+  deleteSession,
+  getProfiles,
+  createProfileFromSession,
+  saveTemplate
+} from './services/api';
 import { FiAlertCircle } from 'react-icons/fi';
 
 function App() {
@@ -15,13 +32,92 @@ function App() {
   const [sessionId, setSessionId] = useState(null);
   const [formSchema, setFormSchema] = useState(null);
   const [filledFields, setFilledFields] = useState({});
+  const [skippedFields, setSkippedFields] = useState([]);
+  const [prefilledFields, setPrefilledFields] = useState([]);
+  // Fields hidden and required given the current answers (required is null until the
+  // backend reports it) and cross-field rules the answers break
+  const [hiddenFields, setHiddenFields] = useState([]);
+  const [requiredFields, setRequiredFields] = useState(null);
+  const [ruleViolations, setRuleViolations] = useState([]);
+  const [profiles, setProfiles] = useState([]);
+  const [selectedProfileId, setSelectedProfileId] = useState('');
+  const [selectedLanguage, setSelectedLanguage] = useState('auto');
   const [messages, setMessages] = useState([]);
   const [isUploading, setIsUploading] = useState(false);
   const [isChatLoading, setIsChatLoading] = useState(false);
   const [isExporting, setIsExporting] = useState(false);
+  // Detected fields are reviewed in the schema editor before the chat starts
+  const [isEditingSchema, setIsEditingSchema] = useState(false);
+  const [isSavingSchema, setIsSavingSchema] = useState(false);
+  const [isPlacingFields, setIsPlacingFields] = useState(false);
+  const [isPreviewOpen, setIsPreviewOpen] = useState(false);
+  const [isPreviewLoading, setIsPreviewLoading] = useState(false);
+  const [previewUrl, setPreviewUrl] = useState(null);
+  // isComplete: all required fields filled (export allowed)
+  // isConversationOver: no field left to ask about
   const [isComplete, setIsComplete] = useState(false);
+  const [isConversationOver, setIsConversationOver] = useState(false);
   const [error, setError] = useState(null);
 
+  // Load saved profiles for prefilling new forms
+  useEffect(() => {
+    getProfiles()
+      .then(response => setProfiles(response.data.profiles))
+      .catch(err => console.error('Load profiles error:', err));
+  }, []);
+
+  // Re-render the filled form preview while it is open and values or fields change
+  useEffect(() => {
+    if (!isPreviewOpen || !sessionId) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setIsPreviewLoading(true);
+      try {
+        const response = await getFilledPreview(sessionId);
+        if (cancelled) return;
+        const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+        setPreviewUrl(prev => {
+          if (prev) window.URL.revokeObjectURL(prev);
+          return url;
+        });
+      } catch (err) {
+        console.error('Preview error:', err);
+      } finally {
+        if (!cancelled) setIsPreviewLoading(false);
+      }
+    }, 500);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [isPreviewOpen, sessionId, filledFields, formSchema]);
+
+  /**
+   * Keep the hidden and required fields and rule violations a response reports
+   * @param {object} data - Response data
+   */
+  const applyRuleState = (data) => {
+    if (data.hiddenFields) setHiddenFields(data.hiddenFields);
+    if (data.requiredFields) setRequiredFields(data.requiredFields);
+    if (data.ruleViolations) setRuleViolations(data.ruleViolations);
+  };
+
+  /**
+   * Chat messages for broken cross-field rules involving some fields
+   * @param {Array} violations - Rule violations from the backend
+   * @param {Array} fieldIds - Fields that just changed
+   * @returns {Array} Chat messages
+   */
+  const violationMessages = (violations = [], fieldIds) => violations
+    .filter(violation => violation.fieldIds.some(id => fieldIds.includes(id)))
+    .map(violation => ({
+      role: 'assistant',
+      content: `⚠️ ${violation.message}. Please correct one of these answers.`,
+      validationError: true
+    }));
+
   /**
    * Handle file upload
    */
@@ -30,14 +126,19 @@ function App() {
     setError(null);
 
     try {
-      const response = await uploadForm(file);
+      const response = await uploadForm(file, selectedProfileId || null, selectedLanguage);
       const data = response.data;
 
-      // Set session data
+      // Set session data (fields may already be prefilled from a profile)
       setSessionId(data.sessionId);
       setFormSchema(data.formSchema);
-      setFilledFields({});
-      setIsComplete(false);
+      setFilledFields(data.filledFields || {});
+      setSkippedFields([]);
+      setPrefilledFields(data.prefilledFields || []);
+      applyRuleState(data);
+      setIsComplete(!!data.isComplete);
+      setIsConversationOver(!!data.isComplete && !data.firstQuestion?.fieldId);
+      setIsEditingSchema(true);
 
       // Add first AI message
       if (data.firstQuestion) {
@@ -45,6 +146,7 @@ function App() {
           {
             role: 'assistant',
             content: data.firstQuestion.question,
+            options: data.firstQuestion.options,
             validationError: false
           }
         ]);
@@ -60,6 +162,69 @@ function App() {
     }
   };
 
+  /**
+   * Save the fields corrected in the schema editor and (re)start the chat
+   */
+  const handleSaveSchema = async (fields) => {
+    setIsSavingSchema(true);
+    setError(null);
+
+    try {
+      const response = await updateSchema(sessionId, fields);
+      const data = response.data;
+
+      setFormSchema(data.formSchema);
+      setFilledFields(data.filledFields);
+      setSkippedFields(data.skippedFields);
+      setPrefilledFields(data.prefilledFields);
+      applyRuleState(data);
+      setIsComplete(data.isComplete);
+      setIsConversationOver(data.isComplete && !data.nextQuestion.fieldId);
+
+      const questionMessage = {
+        role: 'assistant',
+        content: data.nextQuestion.question,
+        options: data.nextQuestion.options,
+        validationError: false
+      };
+      // Before the user has answered anything, the new question replaces the old one
+      setMessages(prev => (
+        prev.some(msg => msg.role === 'user') ? [...prev, questionMessage] : [questionMessage]
+      ));
+
+      setIsEditingSchema(false);
+    } catch (err) {
+      console.error('Update schema error:', err);
+      setError(
+        err.response?.data?.message ||
+        'Failed to save form fields. Please try again.'
+      );
+    } finally {
+      setIsSavingSchema(false);
+    }
+  };
+
+  /**
+   * Save a field box drawn or dragged on the page preview
+   * @returns {Promise<boolean>} True if the position was saved
+   */
+  const handlePlaceField = async (fieldId, page, box) => {
+    setError(null);
+
+    try {
+      const response = await placeField(sessionId, fieldId, page, box);
+      setFormSchema(response.data.formSchema);
+      return true;
+    } catch (err) {
+      console.error('Place field error:', err);
+      setError(
+        err.response?.data?.message ||
+        'Failed to save field position. Please try again.'
+      );
+      return false;
+    }
+  };
+
   /**
    * Handle chat message
    */
@@ -74,30 +239,60 @@ function App() {
     setError(null);
 
     try {
-      const response = await sendMessage(sessionId, message);
-      const data = response.data;
+      // Show the question as it streams in
+      let streamedText = '';
+      const data = await streamMessage(sessionId, message, (text) => {
+        streamedText += text;
+        const content = streamedText;
+        setMessages(prev => {
+          const last = prev[prev.length - 1];
+          if (last?.streaming) {
+            return [...prev.slice(0, -1), { ...last, content }];
+          }
+          return [...prev, { role: 'assistant', content, streaming: true }];
+        });
+      });
 
-      // Add AI response
-      setMessages(prev => [...prev, {
+      // Replace the streamed text with the final AI response
+      const finalMessage = {
         role: 'assistant',
         content: data.question,
+        options: data.options,
         validationError: data.validationError || false
-      }]);
+      };
+      // Values from a multi-value answer that failed validation
+      const rejectedMessages = (data.rejectedFields || []).map(rejected => ({
+        role: 'assistant',
+        content: `I couldn't use "${rejected.value}" for ${rejected.fieldLabel}: ${rejected.message}.`,
+        validationError: true
+      }));
+      setMessages(prev => {
+        const last = prev[prev.length - 1];
+        const history = last?.streaming ? prev.slice(0, -1) : prev;
+        return [...history, ...rejectedMessages, finalMessage];
+      });
 
-      // Update filled fields if valid
-      if (!data.validationError && data.fieldId) {
+      // Update fields the backend stored or skipped for this answer
+      if (data.filledFields) {
         setFilledFields(prev => ({
           ...prev,
-          [data.fieldId]: message
+          ...data.filledFields
         }));
+        // A value answered in chat is no longer an unconfirmed profile value
+        setPrefilledFields(prev => prev.filter(id => !(id in data.filledFields)));
+      }
+      if (data.skippedFields?.length) {
+        setSkippedFields(prev => [...prev, ...data.skippedFields]);
       }
+      applyRuleState(data);
 
       // Check if complete
-      if (data.isComplete) {
-        setIsComplete(true);
-      }
+      setIsComplete(!!data.isComplete);
+      setIsConversationOver(!!data.isComplete && !data.fieldId);
     } catch (err) {
       console.error('Chat error:', err);
+      // Drop a partially streamed question
+      setMessages(prev => prev.filter(msg => !msg.streaming));
       setError(
         err.response?.data?.message || 
         'Failed to send message. Please try again.'
@@ -108,21 +303,201 @@ function App() {
   };
 
   /**
-   * Handle PDF export
+   * Handle inline correction of a field from the preview
+   * @returns {Promise<boolean>} True if the value was saved
+   */
+  const handleEditField = async (fieldId, value) => {
+    setError(null);
+
+    try {
+      const response = await updateField(sessionId, fieldId, value);
+      const data = response.data;
+
+      setFilledFields(data.filledFields);
+      setSkippedFields(data.skippedFields);
+      setPrefilledFields(data.prefilledFields);
+      applyRuleState(data);
+      setIsComplete(data.isComplete);
+
+      // The new value is kept even if it contradicts another answer, which is pointed out in the chat
+      const warnings = violationMessages(data.ruleViolations, [fieldId]);
+      if (warnings.length > 0) {
+        setMessages(prev => [...prev, ...warnings]);
+      }
+
+      // The conversation moved on, e.g. to a cleared value or past the field the edit answered
+      if (data.nextQuestion) {
+        setIsConversationOver(!!data.isComplete && !data.nextQuestion.fieldId);
+        setMessages(prev => [...prev, {
+          role: 'assistant',
+          content: data.nextQuestion.question,
+          options: data.nextQuestion.options,
+          validationError: false
+        }]);
+      }
+      return true;
+    } catch (err) {
+      console.error('Edit field error:', err);
+      setError(
+        err.response?.data?.message ||
+        'Failed to update field. Please try again.'
+      );
+      return false;
+    }
+  };
+
+  /**
+   * Handle a field clicked in the preview by making it the current question
+   */
+  const handleSelectField = async (fieldId) => {
+    if (isChatLoading) return;
+
+    setIsChatLoading(true);
+    setError(null);
+
+    try {
+      const response = await goToField(sessionId, fieldId);
+      const data = response.data;
+
+      setMessages(prev => [...prev, {
+        role: 'assistant',
+        content: data.question,
+        options: data.options,
+        validationError: false
+      }]);
+      setIsConversationOver(false);
+    } catch (err) {
+      console.error('Select field error:', err);
+      setError(
+        err.response?.data?.message ||
+        'Failed to switch fields. Please try again.'
+      );
+    } finally {
+      setIsChatLoading(false);
+    }
+  };
+
+  /**
+   * Save the current answers as a reusable profile
+   */
+  const handleSaveProfile = async () => {
+    const name = window.prompt('Profile name (e.g. Personal, Work):');
+    if (!name || !name.trim()) return;
+
+    setError(null);
+
+    try {
+      const response = await createProfileFromSession(name.trim(), sessionId);
+      const { profile } = response.data;
+
+      setProfiles(prev => [...prev, profile]);
+      setMessages(prev => [...prev, {
+        role: 'assistant',
+        content: `💾 Saved ${profile.values.length} answers as profile "${profile.name}". Pick it when uploading your next form to fill them in automatically.`,
+        validationError: false
+      }]);
+    } catch (err) {
+      console.error('Save profile error:', err);
+      setError(
+        err.response?.data?.message ||
+        'Failed to save profile. Please try again.'
+      );
+    }
+  };
+
+  /**
+   * Prefill the form from a JSON or XFDF file of previously filled values
    */
-  const handleExport = async () => {
+  const handleImportValues = async (file) => {
+    setError(null);
+
+    try {
+      const response = await importValues(sessionId, file);
+      const data = response.data;
+
+      setFilledFields(data.filledFields);
+      setPrefilledFields(data.prefilledFields);
+      applyRuleState(data);
+      setIsComplete(data.isComplete);
+      setIsConversationOver(data.isComplete && !data.nextQuestion.fieldId);
+
+      const missingRequired = data.missingFields.filter(field => field.required);
+      const summary = [
+        `📥 Imported ${data.populatedFields.length} answers from ${file.name}. Please check the highlighted values.`,
+        missingRequired.length > 0 && `Still needed: ${missingRequired.map(field => field.fieldLabel).join(', ')}.`,
+        data.unmatchedValues.length > 0 && `Not used (no matching field): ${data.unmatchedValues.join(', ')}.`
+      ].filter(Boolean).join(' ');
+
+      setMessages(prev => [
+        ...prev,
+        { role: 'assistant', content: summary, validationError: false },
+        ...data.rejectedFields.map(rejected => ({
+          role: 'assistant',
+          content: `I couldn't use "${rejected.value}" for ${rejected.fieldLabel}: ${rejected.message}.`,
+          validationError: true
+        })),
+        ...violationMessages(data.ruleViolations, data.populatedFields.map(field => field.fieldId)),
+        {
+          role: 'assistant',
+          content: data.nextQuestion.question,
+          options: data.nextQuestion.options,
+          validationError: false
+        }
+      ]);
+    } catch (err) {
+      console.error('Import error:', err);
+      setError(
+        err.response?.data?.message ||
+        err.response?.data?.error ||
+        'Failed to import answers. Please try again.'
+      );
+    }
+  };
+
+  /**
+   * Save the form's fields as a template so the same form is recognized next time
+   */
+  const handleSaveTemplate = async () => {
+    const name = window.prompt('Template name (e.g. Passport Application):', formSchema.templateName || '');
+    if (!name || !name.trim()) return;
+
+    setError(null);
+
+    try {
+      const response = await saveTemplate(name.trim(), sessionId);
+      const { template } = response.data;
+
+      setFormSchema(prev => ({ ...prev, templateId: template.templateId, templateName: template.name }));
+      setMessages(prev => [...prev, {
+        role: 'assistant',
+        content: `📋 Saved the fields of this form as template "${template.name}". Uploading the same form again will reuse them.`,
+        validationError: false
+      }]);
+    } catch (err) {
+      console.error('Save template error:', err);
+      setError(
+        err.response?.data?.message ||
+        'Failed to save template. Please try again.'
+      );
+    }
+  };
+
+  /**
+   * Handle export as PDF, summary report or data (JSON, CSV, XFDF, FDF)
+   */
+  const handleExport = async (format = 'pdf') => {
     setIsExporting(true);
     setError(null);
 
     try {
-      const response = await exportPDF(sessionId);
+      const response = await exportForm(sessionId, format);
       
       // Create download link
-      const blob = new Blob([response.data], { type: 'application/pdf' });
+      const blob = new Blob([response.data], { type: response.headers['content-type'] });
       const url = window.URL.createObjectURL(blob);
       const link = document.createElement('a');
       link.href = url;
-      link.download = 'filled_form.pdf';
+      link.download = format === 'summary' ? 'form_summary.pdf' : `filled_form.${format}`;
       document.body.appendChild(link);
       link.click();
       document.body.removeChild(link);
@@ -131,13 +506,33 @@ function App() {
       // Show success message
       setMessages(prev => [...prev, {
         role: 'assistant',
-        content: '✅ PDF downloaded successfully! Thank you for using Intelligent Form Filler.'
+        content: `✅ ${format.toUpperCase()} downloaded successfully! Thank you for using Intelligent Form Filler.`
       }]);
+
+      // Warn about answers the backend could not place on the PDF
+      const unplacedHeader = response.headers['x-unplaced-fields'];
+      if (unplacedHeader) {
+        const unplacedFields = JSON.parse(decodeURIComponent(unplacedHeader));
+        setMessages(prev => [...prev, {
+          role: 'assistant',
+          content: `⚠️ These answers could not be placed on the PDF: ${unplacedFields.map(f => f.label).join(', ')}`,
+          validationError: false
+        }]);
+      }
     } catch (err) {
       console.error('Export error:', err);
+      // Errors arrive as a blob because the response type is blob
+      let errorData = err.response?.data;
+      if (errorData instanceof Blob) {
+        try {
+          errorData = JSON.parse(await errorData.text());
+        } catch {
+          errorData = null;
+        }
+      }
       setError(
-        err.response?.data?.message || 
-        'Failed to export PDF. Please try again.'
+        errorData?.message || errorData?.error ||
+        'Failed to export. Please try again.'
       );
     } finally {
       setIsExporting(false);
@@ -148,11 +543,29 @@ function App() {
    * Reset application
    */
   const handleReset = () => {
+    // Exports stay downloadable until the session is deleted, so free its files now
+    if (sessionId) {
+      deleteSession(sessionId).catch(err => console.error('Delete session error:', err));
+    }
+
     setSessionId(null);
     setFormSchema(null);
     setFilledFields({});
+    setSkippedFields([]);
+    setPrefilledFields([]);
+    setHiddenFields([]);
+    setRequiredFields(null);
+    setRuleViolations([]);
     setMessages([]);
     setIsComplete(false);
+    setIsConversationOver(false);
+    setIsEditingSchema(false);
+    setIsPlacingFields(false);
+    setIsPreviewOpen(false);
+    setPreviewUrl(prev => {
+      if (prev) window.URL.revokeObjectURL(prev);
+      return null;
+    });
     setError(null);
   };
 
@@ -187,6 +600,28 @@ function App() {
           <FileUpload 
             onFileSelect={handleFileSelect} 
             isLoading={isUploading} 
+            profiles={profiles}
+            selectedProfileId={selectedProfileId}
+            onProfileChange={setSelectedProfileId}
+            selectedLanguage={selectedLanguage}
+            onLanguageChange={setSelectedLanguage}
+          />
+        ) : isEditingSchema ? (
+          /* Field Review Screen */
+          <SchemaEditor
+            key={sessionId}
+            formSchema={formSchema}
+            onSave={handleSaveSchema}
+            onCancel={() => setIsEditingSchema(false)}
+            isSaving={isSavingSchema}
+          />
+        ) : isPlacingFields ? (
+          /* Field Placement Screen */
+          <FieldPlacement
+            formSchema={formSchema}
+            pageImageUrl={(pageIndex) => getPageImageUrl(sessionId, pageIndex)}
+            onPlaceField={handlePlaceField}
+            onDone={() => setIsPlacingFields(false)}
           />
         ) : (
           /* Chat & Preview Screen */
@@ -197,15 +632,33 @@ function App() {
                 messages={messages}
                 onSendMessage={handleSendMessage}
                 isLoading={isChatLoading}
-                isComplete={isComplete}
+                isComplete={isConversationOver}
               />
-              {/* Reset Button */}
-              <button
-                onClick={handleReset}
-                className="btn-secondary w-full mt-4"
-              >
-                Start New Form
-              </button>
+              <div className="flex gap-4 mt-4">
+                {/* Edit Fields Button */}
+                <button
+                  onClick={() => setIsEditingSchema(true)}
+                  className="btn-secondary flex-1"
+                >
+                  Edit Form Fields
+                </button>
+                {/* Only scanned forms and images have positions to adjust */}
+                {formSchema?.pages?.length > 0 && !formSchema.isPDFForm && (
+                  <button
+                    onClick={() => setIsPlacingFields(true)}
+                    className="btn-secondary flex-1"
+                  >
+                    Position Fields
+                  </button>
+                )}
+                {/* Reset Button */}
+                <button
+                  onClick={handleReset}
+                  className="btn-secondary flex-1"
+                >
+                  Start New Form
+                </button>
+              </div>
             </div>
 
             {/* Form Preview - 1 column */}
@@ -213,9 +666,23 @@ function App() {
               <FormPreview
                 formSchema={formSchema}
                 filledFields={filledFields}
+                skippedFields={skippedFields}
+                prefilledFields={prefilledFields}
+                hiddenFields={hiddenFields}
+                requiredFields={requiredFields}
+                ruleViolations={ruleViolations}
                 isComplete={isComplete}
                 onExport={handleExport}
                 isExporting={isExporting}
+                onEditField={handleEditField}
+                onSelectField={handleSelectField}
+                onSaveProfile={handleSaveProfile}
+                onImportValues={handleImportValues}
+                onSaveTemplate={handleSaveTemplate}
+                previewUrl={previewUrl}
+                isPreviewOpen={isPreviewOpen}
+                isPreviewLoading={isPreviewLoading}
+                onTogglePreview={() => setIsPreviewOpen(open => !open)}
               />
             </div>
           </div>
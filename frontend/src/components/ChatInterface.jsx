@@ -78,6 +78,20 @@ const ChatInterface = ({ messages, onSendMessage, isLoading, isComplete }) => {
                       {msg.validationError && (
                         <p className="text-red-400 text-sm mt-2">⚠️ Please provide valid input</p>
                       )}
+                      {msg.options && index === messages.length - 1 && !isComplete && (
+                        <div className="flex flex-wrap gap-2 mt-3">
+                          {msg.options.map(option => (
+                            <button
+                              key={option}
+                              onClick={() => onSendMessage(option)}
+                              className="btn-secondary px-4 py-2 text-sm"
+                              disabled={isLoading}
+                            >
+                              {option}
+                            </button>
+                          ))}
+                        </div>
+                      )}
                     </div>
                   </div>
                 )}
@@ -86,7 +100,7 @@ const ChatInterface = ({ messages, onSendMessage, isLoading, isComplete }) => {
                 )}
               </div>
             ))}
-            {isLoading && (
+            {isLoading && !messages[messages.length - 1]?.streaming && (
               <div className="chat-message assistant">
                 <div className="flex items-center gap-3">
                   <BsRobot className="w-5 h-5 text-primary-400" />
@@ -112,7 +126,7 @@ const ChatInterface = ({ messages, onSendMessage, isLoading, isComplete }) => {
             value={inputMessage}
             onChange={(e) => setInputMessage(e.target.value)}
             onKeyPress={handleKeyPress}
-            placeholder={isComplete ? 'Form is complete!' : 'Type your answer...'}
+            placeholder={isComplete ? 'Form is complete!' : 'Type your answer, "skip" or "go to field <name>"...'}
             className="input-field flex-1"
             disabled={isLoading || isComplete || messages.length === 0}
           />
@@ -0,0 +1,228 @@
+/**
+ * FieldPlacement Component
+ * Shows the uploaded pages with each field's target box, so users can drag
+ * boxes or draw new ones to set where values are written on scanned forms
+ */
+
+import React, { useState, useRef } from 'react';
+import { FiChevronLeft, FiChevronRight, FiCheck } from 'react-icons/fi';
+
+// Boxes smaller than this (in page units) are treated as a click, not a drawing
+const MIN_BOX_SIZE = 4;
+
+/**
+ * Box a field's value is written in, in page coordinates
+ * Detected coordinates only give the text start, so a box is derived from it
+ */
+const targetBox = (coordinates, pageSize) => {
+  if (coordinates.placedByUser) {
+    return { x: coordinates.x, y: coordinates.y, width: coordinates.width, height: coordinates.height };
+  }
+  const height = coordinates.height || pageSize.height * 0.02;
+  return {
+    x: coordinates.inputX,
+    y: coordinates.inputY - height,
+    width: Math.min(pageSize.width * 0.3, pageSize.width - coordinates.inputX),
+    height
+  };
+};
+
+const FieldPlacement = ({ formSchema, pageImageUrl, onPlaceField, onDone }) => {
+  const pages = formSchema.pages || [];
+  const fields = formSchema.fields || [];
+
+  const [pageIndex, setPageIndex] = useState(0);
+  const [activeFieldId, setActiveFieldId] = useState(fields[0]?.id || null);
+  // Box being drawn or dragged: { fieldId, box, mode, start, origin }
+  const [interaction, setInteraction] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const imageRef = useRef(null);
+
+  const pageSize = pages[pageIndex];
+  if (!pageSize) {
+    return null;
+  }
+
+  // Convert a mouse position to page coordinates
+  const toPagePoint = (e) => {
+    const rect = imageRef.current.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) / rect.width) * pageSize.width,
+      y: ((e.clientY - rect.top) / rect.height) * pageSize.height
+    };
+  };
+
+  const toPercentStyle = (box) => ({
+    left: `${(box.x / pageSize.width) * 100}%`,
+    top: `${(box.y / pageSize.height) * 100}%`,
+    width: `${(box.width / pageSize.width) * 100}%`,
+    height: `${(box.height / pageSize.height) * 100}%`
+  });
+
+  const startDrawing = (e) => {
+    if (!activeFieldId || isSaving) return;
+    e.preventDefault();
+    const start = toPagePoint(e);
+    setInteraction({ fieldId: activeFieldId, mode: 'draw', start, box: { ...start, width: 0, height: 0 } });
+  };
+
+  const startDragging = (e, field, box) => {
+    if (isSaving) return;
+    e.preventDefault();
+    e.stopPropagation();
+    setActiveFieldId(field.id);
+    setInteraction({ fieldId: field.id, mode: 'drag', start: toPagePoint(e), origin: box, box });
+  };
+
+  const handleMouseMove = (e) => {
+    if (!interaction) return;
+    const point = toPagePoint(e);
+
+    if (interaction.mode === 'draw') {
+      setInteraction(prev => ({
+        ...prev,
+        box: {
+          x: Math.min(prev.start.x, point.x),
+          y: Math.min(prev.start.y, point.y),
+          width: Math.abs(point.x - prev.start.x),
+          height: Math.abs(point.y - prev.start.y)
+        }
+      }));
+    } else {
+      setInteraction(prev => ({
+        ...prev,
+        box: {
+          ...prev.origin,
+          x: prev.origin.x + point.x - prev.start.x,
+          y: prev.origin.y + point.y - prev.start.y
+        }
+      }));
+    }
+  };
+
+  const handleMouseUp = async () => {
+    if (!interaction) return;
+    const { fieldId, box } = interaction;
+    setInteraction(null);
+
+    if (box.width < MIN_BOX_SIZE || box.height < MIN_BOX_SIZE) return;
+
+    setIsSaving(true);
+    await onPlaceField(fieldId, pageIndex, box);
+    setIsSaving(false);
+  };
+
+  const placedFields = fields.filter(field => (field.page || 0) === pageIndex && field.coordinates);
+
+  return (
+    <div className="glass-card p-6 animate-slide-up">
+      {/* Header */}
+      <div className="flex flex-wrap items-start justify-between gap-4 mb-6">
+        <div>
+          <h2 className="text-2xl font-bold mb-2">Position Fields</h2>
+          <p className="text-white/70 text-sm">
+            Pick a field, then draw a box where its value goes, or drag an existing box.
+          </p>
+        </div>
+        <button onClick={onDone} className="btn-primary" disabled={isSaving}>
+          <FiCheck className="inline mr-2" />
+          Done
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+        {/* Field List */}
+        <div className="space-y-2 max-h-[700px] overflow-y-auto pr-2">
+          {fields.map(field => (
+            <button
+              key={field.id}
+              onClick={() => {
+                setActiveFieldId(field.id);
+                if (field.coordinates) setPageIndex(field.page || 0);
+              }}
+              className={`w-full text-left p-3 rounded-xl border text-sm transition-all duration-300 ${
+                field.id === activeFieldId
+                  ? 'bg-primary-500/20 border-primary-400'
+                  : 'bg-white/5 border-white/20 hover:bg-white/10'
+              }`}
+            >
+              <span className="font-medium">{field.label}</span>
+              <span className="block text-xs text-white/50">
+                {field.coordinates ? `Page ${(field.page || 0) + 1}` : 'Not placed'}
+              </span>
+            </button>
+          ))}
+        </div>
+
+        {/* Page Preview */}
+        <div className="lg:col-span-3">
+          {pages.length > 1 && (
+            <div className="flex items-center justify-center gap-4 mb-4">
+              <button
+                onClick={() => setPageIndex(index => index - 1)}
+                className="btn-secondary px-3 py-2"
+                disabled={pageIndex === 0}
+              >
+                <FiChevronLeft />
+              </button>
+              <span className="text-sm text-white/70">Page {pageIndex + 1} of {pages.length}</span>
+              <button
+                onClick={() => setPageIndex(index => index + 1)}
+                className="btn-secondary px-3 py-2"
+                disabled={pageIndex === pages.length - 1}
+              >
+                <FiChevronRight />
+              </button>
+            </div>
+          )}
+          <div
+            className={`relative select-none ${activeFieldId ? 'cursor-crosshair' : ''}`}
+            onMouseDown={startDrawing}
+            onMouseMove={handleMouseMove}
+            onMouseUp={handleMouseUp}
+            onMouseLeave={handleMouseUp}
+          >
+            <img
+              ref={imageRef}
+              src={pageImageUrl(pageIndex)}
+              alt={`Page ${pageIndex + 1}`}
+              className="w-full rounded-lg bg-white"
+              draggable={false}
+            />
+            {placedFields.map(field => {
+              const box = interaction?.fieldId === field.id
+                ? interaction.box
+                : targetBox(field.coordinates, pageSize);
+              return (
+                <div
+                  key={field.id}
+                  onMouseDown={(e) => startDragging(e, field, box)}
+                  className={`absolute border-2 rounded cursor-move ${
+                    field.id === activeFieldId
+                      ? 'border-primary-500 bg-primary-500/20'
+                      : 'border-accent-500 bg-accent-500/10'
+                  }`}
+                  style={toPercentStyle(box)}
+                  title={field.label}
+                >
+                  <span className="absolute -top-5 left-0 text-xs text-black bg-white/80 px-1 rounded whitespace-nowrap">
+                    {field.label}
+                  </span>
+                </div>
+              );
+            })}
+            {/* Box being drawn for a field that is not placed on this page yet */}
+            {interaction?.mode === 'draw' && !placedFields.some(field => field.id === interaction.fieldId) && (
+              <div
+                className="absolute border-2 rounded border-primary-500 bg-primary-500/20"
+                style={toPercentStyle(interaction.box)}
+              />
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FieldPlacement;
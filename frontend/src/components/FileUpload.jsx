@@ -6,7 +6,24 @@
 import React, { useState, useRef } from 'react';
 import { FiUpload, FiFile, FiX } from 'react-icons/fi';
 
-const FileUpload = ({ onFileSelect, isLoading }) => {
+// Languages the form can be read and filled in ('auto' detects it from the form)
+const LANGUAGES = [
+  { code: 'auto', label: 'Detect automatically' },
+  { code: 'en', label: 'English' },
+  { code: 'hi', label: 'हिन्दी (Hindi)' },
+  { code: 'es', label: 'Español (Spanish)' },
+  { code: 'fr', label: 'Français (French)' }
+];
+
+const FileUpload = ({
+  onFileSelect,
+  isLoading,
+  profiles = [],
+  selectedProfileId = '',
+  onProfileChange,
+  selectedLanguage = 'auto',
+  onLanguageChange
+}) => {
   const [isDragging, setIsDragging] = useState(false);
   const [selectedFile, setSelectedFile] = useState(null);
   const fileInputRef = useRef(null);
@@ -127,6 +144,43 @@ const FileUpload = ({ onFileSelect, isLoading }) => {
               <p className="text-white/70 mb-6">
                 {(selectedFile.size / 1024 / 1024).toFixed(2)} MB
               </p>
+              <div className="mb-6 max-w-xs mx-auto text-left">
+                <label className="block text-sm text-white/70 mb-2">
+                  Form language
+                </label>
+                <select
+                  value={selectedLanguage}
+                  onChange={(e) => onLanguageChange(e.target.value)}
+                  className="input-field py-2 text-sm"
+                  disabled={isLoading}
+                >
+                  {LANGUAGES.map(language => (
+                    <option key={language.code} value={language.code} className="text-black">
+                      {language.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              {profiles.length > 0 && (
+                <div className="mb-6 max-w-xs mx-auto text-left">
+                  <label className="block text-sm text-white/70 mb-2">
+                    Prefill from profile
+                  </label>
+                  <select
+                    value={selectedProfileId}
+                    onChange={(e) => onProfileChange(e.target.value)}
+                    className="input-field py-2 text-sm"
+                    disabled={isLoading}
+                  >
+                    <option value="" className="text-black">No profile</option>
+                    {profiles.map(profile => (
+                      <option key={profile.profileId} value={profile.profileId} className="text-black">
+                        {profile.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
               <div className="flex gap-4 justify-center">
                 <button
                   onClick={handleUpload}
@@ -3,18 +3,96 @@
  * Displays extracted form fields and their filled values
  */
 
-import React from 'react';
-import { FiCheckCircle, FiCircle, FiDownload } from 'react-icons/fi';
+import React, { useState, useRef } from 'react';
+import { FiCheckCircle, FiCircle, FiDownload, FiCheck, FiX, FiTrash2, FiUser, FiLayout, FiEye, FiEyeOff, FiUpload, FiAlertTriangle, FiMinusCircle } from 'react-icons/fi';
+
+const EXPORT_FORMATS = [
+  { value: 'pdf', label: 'Filled PDF' },
+  { value: 'summary', label: 'Summary report (PDF)' },
+  { value: 'json', label: 'JSON (fields and values)' },
+  { value: 'csv', label: 'CSV (label, value)' },
+  { value: 'xfdf', label: 'XFDF (for PDF tools)', needsPdfFields: true },
+  { value: 'fdf', label: 'FDF (for PDF tools)', needsPdfFields: true }
+];
+
+const FormPreview = ({
+  formSchema,
+  filledFields,
+  skippedFields = [],
+  prefilledFields = [],
+  hiddenFields = [],
+  requiredFields = null,
+  ruleViolations = [],
+  isComplete,
+  onExport,
+  isExporting,
+  onEditField,
+  onSelectField,
+  onSaveProfile,
+  onImportValues,
+  onSaveTemplate,
+  previewUrl,
+  isPreviewOpen,
+  isPreviewLoading,
+  onTogglePreview
+}) => {
+  const [editingFieldId, setEditingFieldId] = useState(null);
+  const [draftValue, setDraftValue] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [exportFormat, setExportFormat] = useState('pdf');
+  const [isImporting, setIsImporting] = useState(false);
+  const importInputRef = useRef(null);
 
-const FormPreview = ({ formSchema, filledFields, isComplete, onExport, isExporting }) => {
   if (!formSchema) {
     return null;
   }
 
+  const startEditing = (field) => {
+    setEditingFieldId(field.id);
+    setDraftValue(filledFields[field.id] || '');
+  };
+
+  const saveEdit = async (fieldId, value) => {
+    setIsSaving(true);
+    const saved = await onEditField(fieldId, value);
+    setIsSaving(false);
+    if (saved) {
+      setEditingFieldId(null);
+    }
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    // Reset so the same file can be picked again
+    e.target.value = '';
+    if (!file) return;
+
+    setIsImporting(true);
+    await onImportValues(file);
+    setIsImporting(false);
+  };
+
+  const handleEditKeyDown = (e, fieldId) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      saveEdit(fieldId, draftValue.trim());
+    } else if (e.key === 'Escape') {
+      setEditingFieldId(null);
+    }
+  };
+
   const fields = formSchema.fields || [];
   const totalFields = fields.length;
-  const filledCount = Object.keys(filledFields).length;
-  const progress = totalFields > 0 ? (filledCount / totalFields) * 100 : 0;
+  // Fields hidden by other answers do not apply and are left out of the progress
+  const applicableFields = fields.filter(field => !hiddenFields.includes(field.id));
+  const applicableCount = applicableFields.length;
+  const filledCount = applicableFields.filter(field => filledFields[field.id]).length;
+  const progress = applicableCount > 0 ? (filledCount / applicableCount) * 100 : 0;
+  // XFDF/FDF address the original AcroForm fields, so scanned forms cannot use them
+  const hasPdfFields = fields.some(field => field.pdfFieldName);
+  const exportFormats = EXPORT_FORMATS.filter(format => !format.needsPdfFields || hasPdfFields);
+  // Fields whose answers contradict another answer
+  const conflictingFieldIds = new Set(ruleViolations.flatMap(violation => violation.fieldIds));
 
   return (
     <div className="glass-card p-6 animate-slide-up">
@@ -22,7 +100,9 @@ const FormPreview = ({ formSchema, filledFields, isComplete, onExport, isExporti
       <div className="mb-6">
         <h2 className="text-2xl font-bold mb-2">Form Preview</h2>
         <p className="text-white/70 text-sm">
-          {totalFields} field{totalFields !== 1 ? 's' : ''} detected
+          {formSchema.templateName
+            ? `${totalFields} field${totalFields !== 1 ? 's' : ''} from template "${formSchema.templateName}"`
+            : `${totalFields} field${totalFields !== 1 ? 's' : ''} detected`}
         </p>
       </div>
 
@@ -30,7 +110,7 @@ const FormPreview = ({ formSchema, filledFields, isComplete, onExport, isExporti
       <div className="mb-6">
         <div className="flex justify-between items-center mb-2">
           <span className="text-sm font-medium">Progress</span>
-          <span className="text-sm text-white/70">{filledCount} / {totalFields}</span>
+          <span className="text-sm text-white/70">{filledCount} / {applicableCount}</span>
         </div>
         <div className="progress-bar">
           <div 
@@ -40,22 +120,67 @@ const FormPreview = ({ formSchema, filledFields, isComplete, onExport, isExporti
         </div>
       </div>
 
+      {/* Rule Violations */}
+      {ruleViolations.length > 0 && (
+        <div className="mb-6 p-4 rounded-xl border bg-amber-500/10 border-amber-500/30">
+          <div className="flex items-center gap-2 mb-2 text-amber-300 font-medium">
+            <FiAlertTriangle className="w-5 h-5 flex-shrink-0" />
+            {ruleViolations.length === 1 ? 'These answers contradict each other' : 'Some answers contradict each other'}
+          </div>
+          <ul className="space-y-1 text-sm text-amber-200/90">
+            {ruleViolations.map(violation => (
+              <li key={violation.ruleId}>{violation.message}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Fields List */}
       <div className="space-y-3 mb-6 max-h-[400px] overflow-y-auto pr-2">
         {fields.map((field, index) => {
+          // Fields hidden by other answers are not applicable: they are neither asked nor edited
+          if (hiddenFields.includes(field.id)) {
+            return (
+              <div
+                key={field.id}
+                className="p-4 rounded-xl border bg-white/5 border-white/10 opacity-50"
+                title="Not applicable given your other answers"
+              >
+                <div className="flex items-start justify-between">
+                  <div className="flex items-center gap-2">
+                    <FiMinusCircle className="w-5 h-5 text-white/30 flex-shrink-0" />
+                    <span className="font-medium">{field.label}</span>
+                  </div>
+                  <span className="field-badge empty">N/A</span>
+                </div>
+              </div>
+            );
+          }
+
           const isFilled = !!filledFields[field.id];
+          const isSkipped = !isFilled && skippedFields.includes(field.id);
+          const isPrefilled = isFilled && prefilledFields.includes(field.id);
+          // The backend knows which conditionally required fields other answers made required
+          const isRequired = requiredFields ? requiredFields.includes(field.id) : !!field.required;
+          const isConflicting = isFilled && conflictingFieldIds.has(field.id);
           const value = filledFields[field.id];
 
           return (
             <div
               key={field.id}
               className={`p-4 rounded-xl border transition-all duration-300 ${
-                isFilled
-                  ? 'bg-green-500/10 border-green-500/30'
-                  : 'bg-white/5 border-white/20'
+                isConflicting
+                  ? 'bg-amber-500/10 border-amber-500/40'
+                  : isFilled
+                    ? 'bg-green-500/10 border-green-500/30'
+                    : 'bg-white/5 border-white/20'
               }`}
             >
-              <div className="flex items-start justify-between mb-2">
+              <div
+                onClick={() => onSelectField && onSelectField(field.id)}
+                className={`flex items-start justify-between mb-2 ${onSelectField ? 'cursor-pointer' : ''}`}
+                title={onSelectField ? 'Ask about this field now' : undefined}
+              >
                 <div className="flex items-center gap-2">
                   {isFilled ? (
                     <FiCheckCircle className="w-5 h-5 text-green-400 flex-shrink-0" />
@@ -68,14 +193,93 @@ const FormPreview = ({ formSchema, filledFields, isComplete, onExport, isExporti
                   {field.type}
                 </span>
               </div>
-              {isFilled && (
+              {editingFieldId === field.id ? (
+                <div className="ml-7 mt-2 flex items-center gap-2">
+                  {field.type === 'choice' && field.options ? (
+                    <select
+                      value={draftValue}
+                      onChange={(e) => setDraftValue(e.target.value)}
+                      className="input-field py-2 text-sm"
+                      disabled={isSaving}
+                      autoFocus
+                    >
+                      <option value="" className="text-black">Select...</option>
+                      {field.options.map(option => (
+                        <option key={option} value={option} className="text-black">{option}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <input
+                      type="text"
+                      value={draftValue}
+                      onChange={(e) => setDraftValue(e.target.value)}
+                      onKeyDown={(e) => handleEditKeyDown(e, field.id)}
+                      className="input-field py-2 text-sm"
+                      disabled={isSaving}
+                      autoFocus
+                    />
+                  )}
+                  <button
+                    onClick={() => saveEdit(field.id, draftValue.trim())}
+                    className="text-green-400 hover:text-green-300 disabled:opacity-50"
+                    disabled={isSaving || !draftValue.trim()}
+                    title="Save"
+                  >
+                    <FiCheck className="w-5 h-5" />
+                  </button>
+                  <button
+                    onClick={() => saveEdit(field.id, null)}
+                    className="text-red-400 hover:text-red-300 disabled:opacity-50"
+                    disabled={isSaving || !isFilled}
+                    title="Clear value"
+                  >
+                    <FiTrash2 className="w-5 h-5" />
+                  </button>
+                  <button
+                    onClick={() => setEditingFieldId(null)}
+                    className="text-white/50 hover:text-white/80 disabled:opacity-50"
+                    disabled={isSaving}
+                    title="Cancel"
+                  >
+                    <FiX className="w-5 h-5" />
+                  </button>
+                </div>
+              ) : isFilled && (
                 <div className="ml-7 mt-2">
-                  <p className="text-primary-300 font-medium break-words">{value}</p>
+                  <p
+                    onClick={() => onEditField && startEditing(field)}
+                    className={`text-primary-300 font-medium break-words ${onEditField ? 'cursor-pointer hover:text-primary-200' : ''}`}
+                    title={onEditField ? 'Click to edit' : undefined}
+                  >
+                    {value}
+                  </p>
                 </div>
               )}
-              {!isFilled && field.required && (
+              {isPrefilled && editingFieldId !== field.id && (
+                <div className="ml-7 mt-1 flex items-center gap-2">
+                  <span className="text-xs text-accent-300">From profile - please confirm</span>
+                  {onEditField && (
+                    <button
+                      onClick={() => saveEdit(field.id, value)}
+                      className="text-xs text-green-400 hover:text-green-300 disabled:opacity-50"
+                      disabled={isSaving}
+                    >
+                      <FiCheck className="inline mr-1" />
+                      Confirm
+                    </button>
+                  )}
+                </div>
+              )}
+              {!isFilled && isRequired && (
                 <div className="ml-7 mt-1">
-                  <span className="text-xs text-red-400">Required</span>
+                  <span className="text-xs text-red-400">
+                    {field.required ? 'Required' : 'Required by your other answers'}
+                  </span>
+                </div>
+              )}
+              {isSkipped && !isRequired && (
+                <div className="ml-7 mt-1">
+                  <span className="text-xs text-white/50">Skipped</span>
                 </div>
               )}
             </div>
@@ -83,26 +287,133 @@ const FormPreview = ({ formSchema, filledFields, isComplete, onExport, isExporti
         })}
       </div>
 
-      {/* Export Button */}
-      {isComplete && (
+      {/* Filled Form Preview */}
+      {onTogglePreview && (
+        <div className="mb-6">
+          <button
+            onClick={onTogglePreview}
+            className="btn-secondary w-full"
+          >
+            {isPreviewOpen ? (
+              <>
+                <FiEyeOff className="inline mr-2" />
+                Hide Filled Form
+              </>
+            ) : (
+              <>
+                <FiEye className="inline mr-2" />
+                Preview Filled Form
+              </>
+            )}
+          </button>
+          {isPreviewOpen && (
+            <div className="relative mt-3">
+              {previewUrl && (
+                <iframe
+                  src={previewUrl}
+                  title="Filled form preview"
+                  className="w-full h-[500px] rounded-lg bg-white"
+                />
+              )}
+              {isPreviewLoading && (
+                <div className="absolute top-2 right-2 flex items-center gap-2 text-xs text-black bg-white/80 px-2 py-1 rounded">
+                  <span className="spinner"></span>
+                  Updating...
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Import Previous Answers Button */}
+      {onImportValues && !isComplete && (
+        <>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".json,.xfdf,.xml"
+            onChange={handleImportFile}
+            className="hidden"
+          />
+          <button
+            onClick={() => importInputRef.current.click()}
+            className="btn-secondary w-full mb-3"
+            disabled={isImporting}
+            title="Fill fields from a JSON or XFDF export of a previously filled form"
+          >
+            {isImporting ? (
+              <>
+                <span className="spinner mr-2"></span>
+                Importing...
+              </>
+            ) : (
+              <>
+                <FiUpload className="inline mr-2" />
+                Import Previous Answers
+              </>
+            )}
+          </button>
+        </>
+      )}
+
+      {/* Save as Profile Button */}
+      {onSaveProfile && filledCount > 0 && (
         <button
-          onClick={onExport}
-          className="btn-primary w-full glow"
-          disabled={isExporting}
+          onClick={onSaveProfile}
+          className="btn-secondary w-full mb-3"
         >
-          {isExporting ? (
-            <>
-              <span className="spinner mr-2"></span>
-              Generating PDF...
-            </>
-          ) : (
-            <>
-              <FiDownload className="inline mr-2" />
-              Export Filled PDF
-            </>
-          )}
+          <FiUser className="inline mr-2" />
+          Save Answers as Profile
+        </button>
+      )}
+
+      {/* Save as Template Button */}
+      {onSaveTemplate && (
+        <button
+          onClick={onSaveTemplate}
+          className="btn-secondary w-full mb-3"
+        >
+          <FiLayout className="inline mr-2" />
+          {formSchema.templateId ? 'Update Form Template' : 'Save Form as Template'}
         </button>
       )}
+
+      {/* Export Button */}
+      {isComplete && (
+        <div className="flex gap-3">
+          <select
+            value={exportFormat}
+            onChange={(e) => setExportFormat(e.target.value)}
+            className="input-field py-2 text-sm w-auto"
+            disabled={isExporting}
+            title="Export format"
+          >
+            {exportFormats.map(format => (
+              <option key={format.value} value={format.value} className="text-black">
+                {format.label}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={() => onExport(exportFormat)}
+            className="btn-primary flex-1 glow"
+            disabled={isExporting}
+          >
+            {isExporting ? (
+              <>
+                <span className="spinner mr-2"></span>
+                Exporting...
+              </>
+            ) : (
+              <>
+                <FiDownload className="inline mr-2" />
+                Export {exportFormat.toUpperCase()}
+              </>
+            )}
+          </button>
+        </div>
+      )}
     </div>
   );
 };
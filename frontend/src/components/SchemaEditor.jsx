@@ -0,0 +1,284 @@
+/**
+ * SchemaEditor Component
+ * Lets users correct detected fields (label, type, order, required) before filling
+ * Fields can be shown, or made required, only when another field has a given answer
+ */
+
+import React, { useState } from 'react';
+import { FiArrowUp, FiArrowDown, FiTrash2, FiPlus, FiCheck } from 'react-icons/fi';
+
+const FIELD_TYPES = [
+  'text', 'name', 'email', 'phone', 'date', 'address', 'postal', 'number', 'ssn', 'aadhaar', 'pan', 'checkbox', 'choice'
+];
+
+// Fields added in the editor get a temporary key until the backend assigns an id
+let newFieldCounter = 0;
+
+const toEditableField = (field) => ({
+  key: field.id,
+  id: field.id,
+  label: field.label,
+  type: field.type,
+  required: !!field.required,
+  optionsText: (field.options || []).join(', '),
+  format: field.format || '',
+  visibleIf: field.visibleIf || null,
+  requiredIf: field.requiredIf || null
+});
+
+// Without a value, a condition holds once the other field has any answer
+const savedCondition = ({ equals, ...condition }) => (
+  equals === undefined || String(equals).trim() === ''
+    ? condition
+    : { ...condition, equals: String(equals).trim() }
+);
+
+/**
+ * "<label> [other field] is [value]" editor for a visibleIf or requiredIf condition
+ */
+const ConditionInput = ({ label, condition, otherFields, onChange, disabled }) => (
+  <div className="flex flex-wrap items-center gap-2 mt-3 text-sm text-white/70">
+    <span>{label}</span>
+    <select
+      value={condition?.field || ''}
+      onChange={(e) => onChange(e.target.value ? { field: e.target.value, equals: condition?.equals || '' } : null)}
+      className="input-field py-2 text-sm w-auto"
+      disabled={disabled}
+    >
+      <option value="" className="text-black">(always)</option>
+      {otherFields.map(other => (
+        <option key={other.id} value={other.id} className="text-black">{other.label || other.id}</option>
+      ))}
+    </select>
+    {condition?.field && (
+      <>
+        <span>is</span>
+        <input
+          type="text"
+          value={condition.equals ?? ''}
+          onChange={(e) => onChange({ field: condition.field, equals: e.target.value })}
+          placeholder="any answer"
+          className="input-field py-2 text-sm flex-1 min-w-[120px]"
+          disabled={disabled}
+        />
+      </>
+    )}
+  </div>
+);
+
+const SchemaEditor = ({ formSchema, onSave, onCancel, isSaving }) => {
+  const [fields, setFields] = useState(() => (formSchema.fields || []).map(toEditableField));
+
+  const updateField = (key, changes) => {
+    setFields(prev => prev.map(field => (field.key === key ? { ...field, ...changes } : field)));
+  };
+
+  const moveField = (index, offset) => {
+    setFields(prev => {
+      const target = index + offset;
+      if (target < 0 || target >= prev.length) return prev;
+      const reordered = [...prev];
+      [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+      return reordered;
+    });
+  };
+
+  const removeField = (key) => {
+    setFields(prev => prev.filter(field => field.key !== key));
+  };
+
+  const addField = () => {
+    newFieldCounter += 1;
+    setFields(prev => [...prev, {
+      key: `new_${newFieldCounter}`,
+      id: null,
+      label: '',
+      type: 'text',
+      required: true,
+      optionsText: '',
+      format: '',
+      visibleIf: null,
+      requiredIf: null
+    }]);
+  };
+
+  const handleSave = () => {
+    // Conditions on removed fields are dropped with them
+    const savedIds = fields.map(field => field.id).filter(Boolean);
+    onSave(fields.map(field => ({
+      id: field.id,
+      label: field.label.trim(),
+      type: field.type,
+      required: field.required,
+      ...(field.type === 'choice' && {
+        options: field.optionsText.split(',').map(option => option.trim()).filter(Boolean)
+      }),
+      ...(field.type === 'date' && field.format.trim() && { format: field.format.trim() }),
+      visibleIf: savedIds.includes(field.visibleIf?.field) ? savedCondition(field.visibleIf) : null,
+      requiredIf: !field.required && savedIds.includes(field.requiredIf?.field) ? savedCondition(field.requiredIf) : null
+    })));
+  };
+
+  const hasInvalidField = fields.length === 0 || fields.some(field =>
+    !field.label.trim() || (field.type === 'choice' && !field.optionsText.trim())
+  );
+
+  return (
+    <div className="glass-card p-6 max-w-4xl mx-auto animate-slide-up">
+      {/* Header */}
+      <div className="mb-6">
+        <h2 className="text-2xl font-bold mb-2">Review Form Fields</h2>
+        <p className="text-white/70 text-sm">
+          Fix labels and types, reorder, remove or add fields before we start filling the form.
+        </p>
+      </div>
+
+      {/* Fields List */}
+      <div className="space-y-3 mb-6 max-h-[500px] overflow-y-auto pr-2">
+        {fields.map((field, index) => {
+          const typeOptions = FIELD_TYPES.includes(field.type) ? FIELD_TYPES : [field.type, ...FIELD_TYPES];
+
+          return (
+            <div key={field.key} className="p-4 rounded-xl border bg-white/5 border-white/20">
+              <div className="flex flex-wrap items-center gap-3">
+                <div className="flex flex-col">
+                  <button
+                    onClick={() => moveField(index, -1)}
+                    className="text-white/50 hover:text-white/80 disabled:opacity-30"
+                    disabled={isSaving || index === 0}
+                    title="Move up"
+                  >
+                    <FiArrowUp className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => moveField(index, 1)}
+                    className="text-white/50 hover:text-white/80 disabled:opacity-30"
+                    disabled={isSaving || index === fields.length - 1}
+                    title="Move down"
+                  >
+                    <FiArrowDown className="w-4 h-4" />
+                  </button>
+                </div>
+                <input
+                  type="text"
+                  value={field.label}
+                  onChange={(e) => updateField(field.key, { label: e.target.value })}
+                  placeholder="Field label"
+                  className="input-field py-2 text-sm flex-1 min-w-[180px]"
+                  disabled={isSaving}
+                />
+                <select
+                  value={field.type}
+                  onChange={(e) => updateField(field.key, { type: e.target.value })}
+                  className="input-field py-2 text-sm w-auto"
+                  disabled={isSaving}
+                >
+                  {typeOptions.map(type => (
+                    <option key={type} value={type} className="text-black">{type}</option>
+                  ))}
+                </select>
+                <label className="flex items-center gap-2 text-sm text-white/70">
+                  <input
+                    type="checkbox"
+                    checked={field.required}
+                    onChange={(e) => updateField(field.key, { required: e.target.checked })}
+                    disabled={isSaving}
+                  />
+                  Required
+                </label>
+                <button
+                  onClick={() => removeField(field.key)}
+                  className="text-red-400 hover:text-red-300 disabled:opacity-50"
+                  disabled={isSaving}
+                  title="Remove field"
+                >
+                  <FiTrash2 className="w-5 h-5" />
+                </button>
+              </div>
+              {field.type === 'choice' && (
+                <input
+                  type="text"
+                  value={field.optionsText}
+                  onChange={(e) => updateField(field.key, { optionsText: e.target.value })}
+                  placeholder="Options, separated by commas"
+                  className="input-field py-2 text-sm mt-3"
+                  disabled={isSaving}
+                />
+              )}
+              {field.id && (
+                <ConditionInput
+                  label="Show only if"
+                  condition={field.visibleIf}
+                  otherFields={fields.filter(other => other.id && other.id !== field.id)}
+                  onChange={(visibleIf) => updateField(field.key, { visibleIf })}
+                  disabled={isSaving}
+                />
+              )}
+              {!field.required && field.id && (
+                <ConditionInput
+                  label="Required only if"
+                  condition={field.requiredIf}
+                  otherFields={fields.filter(other => other.id && other.id !== field.id)}
+                  onChange={(requiredIf) => updateField(field.key, { requiredIf })}
+                  disabled={isSaving}
+                />
+              )}
+              {field.type === 'date' && (
+                <input
+                  type="text"
+                  value={field.format}
+                  onChange={(e) => updateField(field.key, { format: e.target.value })}
+                  placeholder="Date format, e.g. DD/MM/YYYY (default: the form's locale)"
+                  className="input-field py-2 text-sm mt-3"
+                  disabled={isSaving}
+                />
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Actions */}
+      <div className="flex flex-wrap gap-4 justify-between">
+        <button
+          onClick={addField}
+          className="btn-secondary"
+          disabled={isSaving}
+        >
+          <FiPlus className="inline mr-2" />
+          Add Field
+        </button>
+        <div className="flex gap-4">
+          {onCancel && (
+            <button
+              onClick={onCancel}
+              className="btn-secondary"
+              disabled={isSaving}
+            >
+              Cancel
+            </button>
+          )}
+          <button
+            onClick={handleSave}
+            className="btn-primary"
+            disabled={isSaving || hasInvalidField}
+          >
+            {isSaving ? (
+              <>
+                <span className="spinner mr-2"></span>
+                Saving...
+              </>
+            ) : (
+              <>
+                <FiCheck className="inline mr-2" />
+                Start Filling
+              </>
+            )}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SchemaEditor;
@@ -17,11 +17,17 @@ const api = axios.create({
 /**
  * Upload form file
  * @param {File} file - Form file (image or PDF)
+ * @param {string|null} profileId - Profile to prefill the form from
+ * @param {string} language - Form and conversation language code, or 'auto' to detect it
  * @returns {Promise} API response
  */
-export const uploadForm = async (file) => {
+export const uploadForm = async (file, profileId = null, language = 'auto') => {
   const formData = new FormData();
   formData.append('form', file);
+  if (profileId) {
+    formData.append('profileId', profileId);
+  }
+  formData.append('language', language);
 
   return api.post('/upload-form', formData, {
     headers: {
@@ -30,6 +36,23 @@ export const uploadForm = async (file) => {
   });
 };
 
+/**
+ * Prefill the session from previously filled values
+ * @param {string} sessionId - Session ID
+ * @param {File} file - JSON or XFDF file of field values
+ * @returns {Promise} API response with populated, rejected and missing fields
+ */
+export const importValues = async (sessionId, file) => {
+  const formData = new FormData();
+  formData.append('file', file);
+
+  return api.post(`/session/${sessionId}/import`, formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data'
+    }
+  });
+};
+
 /**
  * Send chat message
  * @param {string} sessionId - Session ID
@@ -43,6 +66,113 @@ export const sendMessage = async (sessionId, message) => {
   });
 };
 
+/**
+ * Send chat message and stream the next question over Server-Sent Events
+ * @param {string} sessionId - Session ID
+ * @param {string} message - User message
+ * @param {Function} onToken - Called with each new piece of question text
+ * @returns {Promise<object>} Final structured response (same shape as /chat)
+ */
+export const streamMessage = async (sessionId, message, onToken) => {
+  const response = await fetch(`${API_BASE_URL}/chat/stream`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ sessionId, message })
+  });
+
+  // Mirror axios errors so callers can read err.response.data
+  if (!response.ok) {
+    const error = new Error(`Request failed with status ${response.status}`);
+    error.response = { status: response.status, data: await response.json().catch(() => ({})) };
+    throw error;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+
+    for (const rawEvent of events) {
+      const event = rawEvent.match(/^event: (.*)$/m)?.[1];
+      const data = JSON.parse(rawEvent.match(/^data: (.*)$/m)?.[1] || '{}');
+
+      if (event === 'token') {
+        onToken(data.text);
+      } else if (event === 'done') {
+        return data;
+      } else if (event === 'error') {
+        const error = new Error(data.message);
+        error.response = { data };
+        throw error;
+      }
+    }
+  }
+
+  throw new Error('Chat stream ended unexpectedly');
+};
+
+/**
+ * Correct or clear a previously answered field
+ * @param {string} sessionId - Session ID
+ * @param {string} fieldId - Field ID
+ * @param {string|null} value - New value (empty or null clears the field)
+ * @returns {Promise} API response
+ */
+export const updateField = async (sessionId, fieldId, value) => {
+  return api.put(`/session/${sessionId}/fields/${fieldId}`, { value });
+};
+
+/**
+ * Make a field the current question
+ * @param {string} sessionId - Session ID
+ * @param {string} fieldId - Field ID
+ * @returns {Promise} API response with the question for that field
+ */
+export const goToField = async (sessionId, fieldId) => {
+  return api.put(`/session/${sessionId}/current-field`, { fieldId });
+};
+
+/**
+ * Replace the session's fields after the user corrected them
+ * @param {string} sessionId - Session ID
+ * @param {Array} fields - Fields in their new order ({ id?, label, type, required, options? })
+ * @returns {Promise} API response
+ */
+export const updateSchema = async (sessionId, fields) => {
+  return api.put(`/session/${sessionId}/schema`, { fields });
+};
+
+/**
+ * URL of an uploaded page rendered as an image
+ * @param {string} sessionId - Session ID
+ * @param {number} pageIndex - 0-based page index
+ * @returns {string} Image URL
+ */
+export const getPageImageUrl = (sessionId, pageIndex) => {
+  return `${API_BASE_URL}/session/${sessionId}/pages/${pageIndex}/image`;
+};
+
+/**
+ * Set the box a field's value is written in on a scanned form
+ * @param {string} sessionId - Session ID
+ * @param {string} fieldId - Field ID
+ * @param {number} page - 0-based page index
+ * @param {object} box - { x, y, width, height } in page coordinates
+ * @returns {Promise} API response
+ */
+export const placeField = async (sessionId, fieldId, page, box) => {
+  return api.put(`/session/${sessionId}/fields/${fieldId}/position`, { page, ...box });
+};
+
 /**
  * Get form state
  * @param {string} sessionId - Session ID
@@ -53,17 +183,27 @@ export const getFormState = async (sessionId) => {
 };
 
 /**
- * Export filled PDF
+ * Export the filled form
  * @param {string} sessionId - Session ID
+ * @param {string} format - 'pdf', 'summary', 'json', 'csv', 'xfdf' or 'fdf'
  * @returns {Promise} Blob response
  */
-export const exportPDF = async (sessionId) => {
-  return api.post('/export-pdf', 
-    { sessionId },
+export const exportForm = async (sessionId, format = 'pdf') => {
+  return api.post('/export', 
+    { sessionId, format },
     { responseType: 'blob' }
   );
 };
 
+/**
+ * Render the form filled with the current values (no cleanup, works before completion)
+ * @param {string} sessionId - Session ID
+ * @returns {Promise} Blob response
+ */
+export const getFilledPreview = async (sessionId) => {
+  return api.get(`/session/${sessionId}/preview`, { responseType: 'blob' });
+};
+
 /**
  * Delete session
  * @param {string} sessionId - Session ID
@@ -73,4 +213,32 @@ export const deleteSession = async (sessionId) => {
   return api.delete(`/session/${sessionId}`);
 };
 
+/**
+ * List saved profiles
+ * @returns {Promise} API response
+ */
+export const getProfiles = async () => {
+  return api.get('/profiles');
+};
+
+/**
+ * Save a session's filled fields as a reusable profile
+ * @param {string} name - Profile name
+ * @param {string} sessionId - Session ID
+ * @returns {Promise} API response
+ */
+export const createProfileFromSession = async (name, sessionId) => {
+  return api.post('/profiles', { name, sessionId });
+};
+
+/**
+ * Save a session's form schema as a template for future uploads of the same form
+ * @param {string} name - Template name
+ * @param {string} sessionId - Session ID
+ * @returns {Promise} API response
+ */
+export const saveTemplate = async (name, sessionId) => {
+  return api.post('/templates', { name, sessionId });
+};
+
 export default api;